@@ -0,0 +1,144 @@
+import { page } from '@vitest/browser/context';
+import { describe, expect, it, vi } from 'vitest';
+import { render } from 'vitest-browser-svelte';
+import BattlePhase from './BattlePhase.svelte';
+import { GameState, Coordinate, Land, Citadel, Soldier, Turtle, Necromancer } from '$lib/game';
+
+/**
+ * A battle on a 3x2 island, with Alice (player1) to play.
+ * Alice has a Soldier at (1, 0); Bob's Citadel is on an islet at (5, 5).
+ */
+function createBattle() {
+  const gameState = new GameState();
+  gameState.addPlayer('player1', 'Alice');
+  gameState.addPlayer('player2', 'Bob');
+  gameState.phase = 'battle';
+
+  for (let x = 0; x <= 2; x++) {
+    for (let y = 0; y <= 1; y++) {
+      gameState.setTerrain(new Coordinate(x, y), new Land({ owner: 'neutral' }));
+    }
+  }
+  gameState.setTerrain(new Coordinate(5, 5), new Land({ owner: 'neutral' }));
+  gameState.setPiece(new Coordinate(0, 0), new Citadel({ owner: 'player1', id: 'citadel1' }));
+  gameState.setPiece(new Coordinate(5, 5), new Citadel({ owner: 'player2', id: 'citadel2' }));
+  gameState.setPiece(new Coordinate(1, 0), new Soldier({ owner: 'player1', id: 'soldier1' }));
+  return gameState;
+}
+
+/**
+ * @param {number} x
+ * @param {number} y
+ */
+function cell(x, y) {
+  return page.getByRole('button', { name: `Cell ${x},${y}`, exact: true });
+}
+
+describe('BattlePhase', () => {
+  it('highlights where a selected piece can go and submits the move', async () => {
+    const onAction = vi.fn();
+    render(BattlePhase, { gameState: createBattle(), myId: 'player1', onAction, onEndTurn: () => {} });
+
+    await cell(1, 0).click();
+    for (const [x, y] of [[0, 1], [1, 1], [2, 0], [2, 1]]) {
+      await expect.element(cell(x, y)).toHaveClass('hl');
+    }
+    // Not onto its own Citadel, nor into water
+    await expect.element(cell(0, 0)).not.toHaveClass('hl');
+    await expect.element(cell(3, 0)).not.toHaveClass('hl');
+
+    await cell(2, 0).click();
+    expect(onAction).toHaveBeenCalledWith({
+      pieceId: 'soldier1',
+      actionType: 'move',
+      params: {},
+      coordinate: expect.objectContaining({ x: 2, y: 0 })
+    });
+  });
+
+  it('asks which action to take when several apply to a cell', async () => {
+    const gameState = createBattle();
+    gameState.setTerrain(new Coordinate(3, 0), new Turtle({ owner: 'player1', id: 'turtle1' }));
+    gameState.setPiece(new Coordinate(2, 0), new Soldier({ owner: 'player1', id: 'soldier2' }));
+    const onAction = vi.fn();
+    render(BattlePhase, { gameState, myId: 'player1', onAction, onEndTurn: () => {} });
+
+    await cell(2, 0).click();
+    await cell(3, 0).click();
+    await expect.element(page.getByRole('menu')).toBeInTheDocument();
+    await expect.element(page.getByRole('menuitem', { name: 'Move Soldier one square' })).toBeInTheDocument();
+
+    await page.getByRole('menuitem', { name: 'Board with Soldier' }).click();
+    expect(onAction).toHaveBeenCalledWith(expect.objectContaining({ pieceId: 'soldier2', actionType: 'move' }));
+    await expect.element(page.getByRole('menu')).not.toBeInTheDocument();
+  });
+
+  it('offers pieces in the Graveyard as choices off the board', async () => {
+    const gameState = createBattle();
+    gameState.setPiece(new Coordinate(1, 1), new Necromancer({ owner: 'player1', id: 'necromancer1' }));
+    gameState.moveToGraveyard(new Soldier({ owner: 'player2', id: 'soldier3' }));
+    const onAction = vi.fn();
+    render(BattlePhase, { gameState, myId: 'player1', onAction, onEndTurn: () => {} });
+
+    await cell(1, 1).click();
+    const choices = page.getByRole('region', { name: 'Choose a piece to raise from the Graveyard' });
+    await choices.getByRole('button', { name: 'Soldier' }).click();
+
+    // The raised piece takes the Necromancer's place, so that's the target left to pick
+    await expect.element(cell(1, 1)).toHaveClass('hl');
+    await cell(1, 1).click();
+    expect(onAction).toHaveBeenCalledWith({
+      pieceId: 'necromancer1',
+      actionType: 'resurrect',
+      params: { revived: 'soldier3' },
+      coordinate: expect.objectContaining({ x: 1, y: 1 })
+    });
+  });
+
+  it('selects a Turtle in the water, and the piece on its back first', async () => {
+    const gameState = createBattle();
+    gameState.setTerrain(new Coordinate(3, 0), new Turtle({ owner: 'player1', id: 'turtle1' }));
+    gameState.setTerrain(new Coordinate(3, 1), new Turtle({ owner: 'player1', id: 'turtle2' }));
+    gameState.setPiece(new Coordinate(3, 1), new Soldier({ owner: 'player1', id: 'soldier2' }));
+    const onAction = vi.fn();
+    render(BattlePhase, { gameState, myId: 'player1', onAction, onEndTurn: () => {} });
+
+    // The Turtle moves through water
+    await cell(3, 0).click();
+    await expect.element(cell(4, 0)).toHaveClass('hl');
+    await cell(4, 0).click();
+    expect(onAction).toHaveBeenLastCalledWith(expect.objectContaining({ pieceId: 'turtle1', actionType: 'move' }));
+
+    // Clicking again moves from the Soldier down to the Turtle carrying it
+    await cell(3, 1).click();
+    await expect.element(cell(2, 1)).toHaveClass('hl');
+    await cell(3, 1).click();
+    await expect.element(cell(2, 1)).not.toHaveClass('hl');
+    await expect.element(cell(4, 1)).toHaveClass('hl');
+  });
+
+  it('deploys Turtles from the community pool, but not Land', async () => {
+    const gameState = createBattle();
+    gameState.addToCommunityPool(new Turtle({ owner: 'neutral', id: 'turtle1' }));
+    gameState.addToCommunityPool(new Land({ owner: 'neutral', id: 'land1' }));
+    const onAction = vi.fn();
+    render(BattlePhase, { gameState, myId: 'player1', onAction, onEndTurn: () => {} });
+
+    const pool = page.getByRole('region', { name: 'Community pool' });
+    await expect.element(pool.getByRole('button', { name: 'Land' })).not.toBeInTheDocument();
+    await pool.getByRole('button', { name: 'Turtle' }).click();
+    await expect.element(cell(-1, 0)).toHaveClass('hl');
+    await cell(-1, 0).click();
+    expect(onAction).toHaveBeenCalledWith(expect.objectContaining({ pieceId: 'turtle1', actionType: 'deploy' }));
+  });
+
+  it('does not act out of turn', async () => {
+    const onAction = vi.fn();
+    render(BattlePhase, { gameState: createBattle(), myId: 'player2', onAction, onEndTurn: () => {} });
+
+    await expect.element(page.getByRole('button', { name: 'End turn' })).not.toBeInTheDocument();
+    await cell(1, 0).click();
+    await expect.element(cell(2, 0)).not.toHaveClass('hl');
+    expect(onAction).not.toHaveBeenCalled();
+  });
+});
@@ -1,20 +1,161 @@
-import { RuleViolation } from '../engine/Errors.js';
+import { RuleViolation, ReplayError } from '../engine/Errors.js';
 import { Coordinate } from '../engine/Coordinate.js';
 import { GameState } from '../engine/GameState.js';
 import { db } from '../../firebase.js';
 import { doc, runTransaction, serverTimestamp } from 'firebase/firestore';
 
+/**
+ * A choice the player makes before picking an action's target cell,
+ * such as which land tile a Builder moves or which graveyard piece a Necromancer raises
+ * @typedef {Object} ActionParameter
+ * @property {string} name - Key of the choice in the action's params
+ * @property {'cell'|'piece'|'graveyard'} kind - A board cell, a piece on the board, or a piece in the graveyard
+ * @property {string} [prompt] - What to ask the player, e.g. 'Choose a land tile to move'
+ * @property {(action: Action, gameState: GameState) => Array<Coordinate|string>} [options] -
+ *   Candidates worth checking, when they can be narrowed down cheaply; defaults to the action's candidate
+ *   targets for 'cell' parameters, and to every piece on the board or in the graveyard for the others
+ */
+
+/**
+ * Chosen parameter values: a Coordinate for 'cell' parameters, a piece ID otherwise
+ * @typedef {Object<string, Coordinate|string>} ActionParams
+ */
+
 /**
  * Base class for all actions that pieces can perform.
  * Provides the interface for checking validity and performing actions.
  */
 export class Action {
+  /**
+   * The type this action is recorded under in the action log.
+   * Subclasses that record themselves declare it and register with the ActionRegistry.
+   * @type {string|null}
+   */
+  static type = null;
+
+  /**
+   * Whether recording this action uses up the player's turn, in phases where each action passes the turn.
+   * Actions that come on top of the player's action, like an Assassin declaring a new target, set it to false.
+   * @type {boolean}
+   */
+  static passesTurn = true;
+
+  /**
+   * Choices the player makes, in order, before picking the target cell.
+   * The engine offers valid options for each in turn (see GameEngine.getParameterOptions).
+   * @type {ActionParameter[]}
+   */
+  static parameters = [];
+
   /**
    * @param {import('../pieces/Piece.js').Piece} piece - The piece performing this action
+   * @param {ActionParams} [params] - Values chosen for the action's parameters
    */
-  constructor(piece) {
+  constructor(piece, params = {}) {
     this.piece = piece;
     this.name = this.constructor.name;
+    /** @type {ActionParams} */
+    this.params = { ...params };
+  }
+
+  /**
+   * The type this action is recorded under in the action log
+   * @returns {string|null}
+   */
+  get type() {
+    return /** @type {typeof Action} */ (this.constructor).type;
+  }
+
+  /**
+   * The parameters declared by this action's class
+   * @returns {ActionParameter[]}
+   */
+  get parameters() {
+    return /** @type {typeof Action} */ (this.constructor).parameters;
+  }
+
+  /**
+   * Get the first parameter that hasn't been chosen yet
+   * @returns {ActionParameter|null}
+   */
+  getMissingParameter() {
+    return this.parameters.find(parameter => this.params[parameter.name] == null) || null;
+  }
+
+  /**
+   * Create a copy of this action with more parameters chosen, keeping any other state it was constructed with
+   * @param {ActionParams} params
+   * @returns {this}
+   */
+  withParams(params) {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this, { params: { ...this.params, ...params } });
+  }
+
+  /**
+   * Serialize the chosen parameters for the action log
+   * @returns {Object<string, string>}
+   */
+  serializeParams() {
+    /** @type {Object<string, string>} */
+    const json = {};
+    for (const [name, value] of Object.entries(this.params)) {
+      json[name] = value.toString();
+    }
+    return json;
+  }
+
+  /**
+   * Restore parameters serialized by serializeParams()
+   * @param {Object<string, string>} [json]
+   * @returns {ActionParams}
+   */
+  static deserializeParams(json = {}) {
+    /** @type {ActionParams} */
+    const params = {};
+    for (const parameter of this.parameters) {
+      const value = json[parameter.name];
+      if (value != null) {
+        params[parameter.name] = parameter.kind === 'cell' ? Coordinate.fromString(value) : value;
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Re-apply a recorded action to a game state during replay.
+   * Subclasses with a `type` must implement this so that replay matches perform().
+   * @param {import('../engine/GameState.js').GameState} gameState - The game state to modify
+   * @param {import('../engine/PersistentGameState.js').GameAction} action - The recorded action
+   * @param {import('./ActionRegistry.js').ReplayContext} context
+   */
+  static replay(gameState, action, context) {
+    throw new ReplayError(`${this.name} does not support replay`);
+  }
+
+  /**
+   * Get the piece that performed a recorded action, failing if it isn't in the game
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   * @param {import('./ActionRegistry.js').ReplayContext} context
+   * @returns {import('../pieces/Piece.js').Piece}
+   * @throws {ReplayError} If the piece could not be found
+   */
+  static getReplayPiece(action, context) {
+    if (!context.piece) {
+      throw new ReplayError(`Cannot replay ${action.type}: piece ${action.pieceId} is not in the game`);
+    }
+    return context.piece;
+  }
+
+  /**
+   * Generate the coordinates this action could target, so the engine only simulates the action on those.
+   * Overrides must yield every target check() could accept, and narrow the search with
+   * neighbours or ray casts. The default scans the board extents plus a margin.
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    // Allow pieces to move a little beyond the current board
+    yield* gameState.getCoordinatesInExtents(5);
   }
 
   /**
@@ -35,6 +176,26 @@ export class Action {
     }
   }
 
+  /**
+   * Check that the piece may capture the target, for actions that capture
+   * @param {import('../pieces/Piece.js').Piece} target - The piece that would be captured
+   * @param {import('../engine/Cell.js').Cell} targetCell - The cell the target is on
+   * @throws {RuleViolation} If the target can't be captured
+   */
+  checkCapture(target, targetCell) {
+    if (target.isTerrain()) {
+      throw new RuleViolation(`Cannot capture ${target.type} at ${targetCell.coordinate}`);
+    }
+
+    if (target.owner === this.piece.owner) {
+      throw new RuleViolation(`Cannot capture your own ${target.type}`);
+    }
+
+    if (!this.piece.canCapture(target, targetCell, this)) {
+      throw new RuleViolation(`${this.piece.type} cannot capture ${target.type} this way`);
+    }
+  }
+
   /**
    * Perform the action
    * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
@@ -0,0 +1,96 @@
+import { GameError, ReplayError } from '../engine/Errors.js';
+
+/**
+ * @typedef {Object} ReplayContext
+ * @property {import('../pieces/Piece.js').Piece|null} piece - The piece that performed the action, if it is in the game
+ * @property {Function} pieceFromJSON - Function to recreate pieces from JSON
+ */
+
+/**
+ * Anything that can replay a recorded action. Action subclasses satisfy this
+ * through their static `type` and `replay` members.
+ * @typedef {Object} ReplayableAction
+ * @property {string|null} type - The type the action is recorded under in the action log
+ * @property {(gameState: import('../engine/GameState.js').GameState, action: import('../engine/PersistentGameState.js').GameAction, context: ReplayContext) => void} replay
+ * @property {boolean} [passesTurn] - Whether the action uses up the player's turn (defaults to true)
+ */
+
+/**
+ * Maps recorded action types to the classes that know how to replay them.
+ * Action classes register themselves next to their definition, so adding a new
+ * piece never requires editing the replay engine:
+ *
+ * ```js
+ * export class Swap extends Action {
+ *   static type = 'swap';
+ *   static replay(gameState, action, { piece }) { ... }
+ * }
+ * ActionRegistry.register(Swap);
+ * ```
+ */
+export class ActionRegistry {
+  /** @type {Map<string, ReplayableAction>} */
+  static _actions = new Map();
+
+  /**
+   * Register an action class (or any object with `type` and `replay`)
+   * @param {ReplayableAction} ActionClass
+   * @throws {GameError} If the class has no type, or another class already owns the type
+   */
+  static register(ActionClass) {
+    const type = ActionClass.type;
+    if (!type) {
+      throw new GameError('Actions must declare a static type to be registered for replay');
+    }
+
+    const existing = ActionRegistry._actions.get(type);
+    // Re-registering the same class (e.g. after a hot reload) is fine
+    if (existing && existing !== ActionClass && /** @type {any} */ (existing).name !== /** @type {any} */ (ActionClass).name) {
+      throw new GameError(`Action type "${type}" is already registered`);
+    }
+    ActionRegistry._actions.set(type, ActionClass);
+  }
+
+  /**
+   * Get the replay handler for an action type
+   * @param {string} type
+   * @returns {ReplayableAction|null}
+   */
+  static get(type) {
+    return ActionRegistry._actions.get(type) || null;
+  }
+
+  /**
+   * Check if an action type can be replayed
+   * @param {string} type
+   * @returns {boolean}
+   */
+  static has(type) {
+    return ActionRegistry._actions.has(type);
+  }
+
+  /**
+   * Check if recording an action type uses up the player's turn.
+   * Unregistered types do, like any action that doesn't say otherwise.
+   * @param {string} type
+   * @returns {boolean}
+   */
+  static passesTurn(type) {
+    return ActionRegistry.get(type)?.passesTurn !== false;
+  }
+
+  /**
+   * Replay a recorded action onto a game state
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   * @param {ReplayContext} context
+   * @throws {ReplayError} If no action is registered for the recorded type
+   */
+  static replay(gameState, action, context) {
+    const ActionClass = ActionRegistry.get(action.type);
+    if (!ActionClass) {
+      throw new ReplayError(`Unknown action type: ${action.type}`);
+    }
+    ActionClass.replay(gameState, action, context);
+  }
+}
@@ -0,0 +1,53 @@
+import { Move } from './Move.js';
+import { RuleViolation } from '../engine/Errors.js';
+import { Coordinate } from '../engine/Coordinate.js';
+
+/**
+ * Step onto the back of an adjacent carrier, like a Turtle, which then carries the piece when it moves.
+ * Any piece on the board can board (see Piece.getBoardingActions); the carrier must have nobody on its back.
+ * Boarding is recorded and replayed as a move.
+ */
+export class Board extends Move {
+  /**
+   * Check if the piece can board the target
+   * @param {import('../engine/Cell.js').Cell} targetCell - The cell with the carrier
+   * @param {import('../engine/GameState.js').GameState} currentGame - The current game state
+   * @param {import('../engine/GameState.js').GameState} newGame - The new game state after boarding
+   * @throws {RuleViolation} If the piece can't board
+   */
+  check(targetCell, currentGame, newGame) {
+    if (!targetCell.terrain?.isCarrier()) {
+      throw new RuleViolation(`There is nothing to board at ${targetCell.coordinate}`);
+    }
+
+    if (targetCell.hasPiece()) {
+      throw new RuleViolation(`The ${targetCell.terrain.type} is already carrying a piece`);
+    }
+
+    super.check(targetCell, currentGame, newGame);
+
+    if (!this.piece.isAdjacentTo(targetCell.coordinate)) {
+      throw new RuleViolation(`${this.piece.type} can only board from an adjacent square`);
+    }
+  }
+
+  /**
+   * Only adjacent carriers can be boarded
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    for (const coordinate of this.piece.coordinate?.getAllAdjacent() || []) {
+      // Peek at the board so the search doesn't take cells
+      if (gameState.board.get(coordinate.key)?.terrain?.isCarrier()) yield coordinate;
+    }
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return `Board with ${this.piece.type}`;
+  }
+}
@@ -0,0 +1,99 @@
+import { Action } from './Action.js';
+import { ActionRegistry } from './ActionRegistry.js';
+import { RuleViolation } from '../engine/Errors.js';
+import { Coordinate } from '../engine/Coordinate.js';
+
+/**
+ * Base Capture action for pieces that capture without moving.
+ * By default the target must be an adjacent (orthogonal or diagonal) enemy piece.
+ * Subclasses can override check() to change which pieces are in reach.
+ */
+export class Capture extends Action {
+  static type = 'capture';
+
+  /**
+   * Check if the target can be captured
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
+   * @param {import('../engine/GameState.js').GameState} currentGame - The current game state
+   * @param {import('../engine/GameState.js').GameState} newGame - The new game state after the capture
+   * @throws {RuleViolation} If the capture is invalid
+   */
+  check(targetCell, currentGame, newGame) {
+    // Call base class validation
+    super.check(targetCell, currentGame, newGame);
+
+    if (!targetCell.piece) {
+      throw new RuleViolation(`There is no piece to capture at ${targetCell.coordinate}`);
+    }
+
+    this.checkCapture(targetCell.piece, targetCell);
+
+    if (!this.isInReach(targetCell)) {
+      throw new RuleViolation(`${this.piece.type} can only capture adjacent pieces`);
+    }
+  }
+
+  /**
+   * Check if the target cell is within capturing reach.
+   * Override to capture from further away.
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
+   * @returns {boolean}
+   */
+  isInReach(targetCell) {
+    return this.piece.isAdjacentTo(targetCell.coordinate);
+  }
+
+  /**
+   * Only cells with a piece can be captured, wherever the piece's reach ends
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    for (const cell of [...gameState.board.values()]) {
+      if (cell.piece) yield cell.coordinate;
+    }
+  }
+
+  /**
+   * Perform the capture
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
+   * @param {import('../engine/GameState.js').GameState} gameState - The game state to modify
+   */
+  perform(targetCell, gameState) {
+    const capturedPiece = gameState.capturePieceAt(targetCell.coordinate);
+
+    // Record the action
+    gameState.addAction({
+      type: this.type,
+      pieceId: this.piece.id,
+      data: {
+        at: targetCell.coordinate.toString(),
+        captured: capturedPiece ? capturedPiece.id : null,
+        capturedType: capturedPiece ? capturedPiece.type : null,
+        capturedOwner: capturedPiece ? capturedPiece.owner : null
+      }
+    });
+  }
+
+  /**
+   * Replay a recorded capture
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   * @param {import('./ActionRegistry.js').ReplayContext} context
+   */
+  static replay(gameState, action, context) {
+    /** @type {import('../engine/PersistentGameState.js').CaptureActionData} */
+    const data = /** @type {any} */ (action.data);
+    gameState.capturePieceAt(Coordinate.fromString(data.at));
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return `Capture with ${this.piece.type}`;
+  }
+}
+
+ActionRegistry.register(Capture);
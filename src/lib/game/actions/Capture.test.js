@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { Capture } from './Capture.js';
+import { Move } from './Move.js';
+import { GameState } from '../engine/GameState.js';
+import { GameStateReplay } from '../engine/GameStateReplay.js';
+import { PersistentGameState } from '../engine/PersistentGameState.js';
+import { Coordinate } from '../engine/Coordinate.js';
+import { RuleViolation } from '../engine/Errors.js';
+import { Piece } from '../pieces/Piece.js';
+import { Soldier, SoldierMove } from '../pieces/Soldier.js';
+import { Bird, BirdMove } from '../pieces/Bird.js';
+import { Citadel } from '../pieces/Citadel.js';
+import { Land } from '../pieces/Land.js';
+
+/**
+ * A piece that can't take Citadels, to exercise the capture policy
+ */
+class Ghost extends Piece {
+  /** @param {Omit<import('../pieces/Piece.js').PieceOptions, 'type'>} options */
+  constructor(options) {
+    super({ ...options, type: 'Ghost' });
+  }
+
+  getActions() {
+    return [Move, Capture];
+  }
+
+  /**
+   * @param {Piece} target
+   * @param {import('../engine/Cell.js').Cell} targetCell
+   * @param {import('./Action.js').Action} action
+   */
+  canCapture(target, targetCell, action) {
+    return target.type !== 'Citadel';
+  }
+}
+
+describe('Capture', () => {
+  /** @type {GameState} */
+  let gameState;
+
+  beforeEach(() => {
+    gameState = new GameState();
+    gameState.addPlayer('player1');
+    gameState.addPlayer('player2');
+
+    for (let x = 0; x <= 3; x++) {
+      gameState.setTerrain(new Coordinate(x, 0), new Land({ owner: 'neutral' }));
+    }
+  });
+
+  describe('Moving onto pieces', () => {
+    it('should capture an enemy piece', () => {
+      const soldier = new Soldier({ owner: 'player1', id: 'soldier1' });
+      const enemy = new Bird({ owner: 'player2', id: 'bird1' });
+      gameState.setPiece(new Coordinate(0, 0), soldier);
+      gameState.setPiece(new Coordinate(1, 0), enemy);
+
+      const move = new SoldierMove(soldier);
+      const targetCell = gameState.getCell(new Coordinate(1, 0));
+      expect(() => move.check(targetCell, gameState, gameState)).not.toThrow();
+
+      move.perform(targetCell, gameState);
+      expect(gameState.getPieceAt(new Coordinate(1, 0))).toBe(soldier);
+      expect(gameState.getPieceAt(new Coordinate(0, 0))).toBeNull();
+      expect(gameState.graveyard).toEqual([enemy]);
+      expect(enemy.coordinate).toBeNull();
+      expect(gameState.actionHistory.at(-1)).toMatchObject({
+        type: 'move',
+        data: { captured: 'bird1', capturedType: 'Bird', capturedOwner: 'player2' }
+      });
+    });
+
+    it('should reject moving onto a friendly piece', () => {
+      const bird = new Bird({ owner: 'player1' });
+      gameState.setPiece(new Coordinate(0, 0), bird);
+      gameState.setPiece(new Coordinate(2, 0), new Soldier({ owner: 'player1' }));
+
+      const move = new BirdMove(bird);
+      expect(() => move.check(gameState.getCell(new Coordinate(2, 0)), gameState, gameState))
+        .toThrow('Cannot capture your own Soldier');
+    });
+
+    it('should respect the piece capture policy', () => {
+      const ghost = new Ghost({ owner: 'player1' });
+      gameState.setPiece(new Coordinate(0, 0), ghost);
+      gameState.setPiece(new Coordinate(1, 0), new Citadel({ owner: 'player2' }));
+      gameState.setPiece(new Coordinate(2, 0), new Soldier({ owner: 'player2' }));
+
+      const move = new Move(ghost);
+      expect(() => move.check(gameState.getCell(new Coordinate(1, 0)), gameState, gameState))
+        .toThrow(RuleViolation);
+      expect(() => move.check(gameState.getCell(new Coordinate(2, 0)), gameState, gameState))
+        .not.toThrow();
+    });
+  });
+
+  describe('Capturing without moving', () => {
+    it('should capture an adjacent enemy and stay in place', () => {
+      const ghost = new Ghost({ owner: 'player1', id: 'ghost1' });
+      const enemy = new Soldier({ owner: 'player2', id: 'soldier2' });
+      gameState.setPiece(new Coordinate(0, 0), ghost);
+      gameState.setPiece(new Coordinate(1, 0), enemy);
+
+      const capture = new Capture(ghost);
+      const targetCell = gameState.getCell(new Coordinate(1, 0));
+      expect(() => capture.check(targetCell, gameState, gameState)).not.toThrow();
+
+      capture.perform(targetCell, gameState);
+      expect(gameState.getPieceAt(new Coordinate(0, 0))).toBe(ghost);
+      expect(gameState.getPieceAt(new Coordinate(1, 0))).toBeNull();
+      expect(gameState.graveyard).toEqual([enemy]);
+      expect(gameState.actionHistory.at(-1)).toMatchObject({
+        type: 'capture',
+        pieceId: 'ghost1',
+        data: { at: '(1, 0)', captured: 'soldier2' }
+      });
+    });
+
+    it('should reject empty, friendly, distant and protected targets', () => {
+      const ghost = new Ghost({ owner: 'player1' });
+      gameState.setPiece(new Coordinate(0, 0), ghost);
+      gameState.setPiece(new Coordinate(1, 0), new Citadel({ owner: 'player2' }));
+      gameState.setPiece(new Coordinate(3, 0), new Soldier({ owner: 'player2' }));
+      gameState.setPiece(new Coordinate(0, 1), new Soldier({ owner: 'player1' }));
+
+      const capture = new Capture(ghost);
+      /** @param {number} x @param {number} y */
+      const check = (x, y) => capture.check(gameState.getCell(new Coordinate(x, y)), gameState, gameState);
+
+      expect(() => check(1, 1)).toThrow('There is no piece to capture');
+      expect(() => check(0, 1)).toThrow('Cannot capture your own Soldier');
+      expect(() => check(3, 0)).toThrow('can only capture adjacent pieces');
+      expect(() => check(1, 0)).toThrow('Ghost cannot capture Citadel');
+    });
+
+    it('should replay captures from the action log', () => {
+      const persistent = new PersistentGameState();
+      persistent.addPlayer('player1', 'Alice');
+      persistent.addPlayer('player2', 'Bob');
+      persistent.setPhase('citadel');
+      persistent.updateInitial({
+        initialPieces: [new Soldier({ owner: 'player2', id: 'soldier2' }).toJSON()]
+      });
+      persistent.addAction({ type: 'place', pieceId: 'soldier2', player: 'player2', turnNumber: 1, data: { at: '(1, 0)' } });
+      persistent.addAction({
+        type: 'capture',
+        pieceId: 'ghost1',
+        player: 'player1',
+        turnNumber: 2,
+        data: { at: '(1, 0)', captured: 'soldier2', capturedType: 'Soldier', capturedOwner: 'player2' }
+      });
+
+      const state = GameStateReplay.replayToFullState(persistent);
+      expect(state.getPieceAt(new Coordinate(1, 0))).toBeNull();
+      expect(state.graveyard.map(p => p.id)).toEqual(['soldier2']);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import { Action } from './Action.js';
+import { ActionRegistry } from './ActionRegistry.js';
+import { RuleViolation } from '../engine/Errors.js';
+import { Coordinate } from '../engine/Coordinate.js';
+
+/**
+ * @typedef {'stash'|'community'} DeploySource
+ */
+
+/**
+ * Place a piece from the current player's stash or the community pool onto the board,
+ * adjacent (orthogonally or diagonally) to a Citadel the player owns (requirements/Battle.md).
+ * - Regular pieces go on terrain, which includes Turtles; terrain pieces like Turtles go in water.
+ * - Deploying can't capture, so the target must be free.
+ * - Pieces taken from the community pool become owned by the deploying player.
+ */
+export class Deploy extends Action {
+  static type = 'deploy';
+
+  /**
+   * Find where an off-board piece is available to a player from
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @param {string} playerId
+   * @returns {DeploySource|null} The source, or null if the player can't deploy the piece
+   */
+  static getSource(gameState, piece, playerId) {
+    if ((gameState.playerStashes.get(playerId) || []).some(p => p.id === piece.id)) {
+      return 'stash';
+    }
+    if (gameState.communityPool.some(p => p.id === piece.id)) {
+      return 'community';
+    }
+    return null;
+  }
+
+  /**
+   * Check if the piece can be deployed to the target
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
+   * @param {import('../engine/GameState.js').GameState} currentGame - The current game state
+   * @param {import('../engine/GameState.js').GameState} newGame - The new game state after deploying
+   * @throws {RuleViolation} If the deployment is invalid
+   */
+  check(targetCell, currentGame, newGame) {
+    // Skip base class validation since the piece isn't on the board yet
+    const player = currentGame.currentPlayer;
+
+    if (this.piece.coordinate) {
+      throw new RuleViolation(`${this.piece.type} is already on the board`);
+    }
+
+    // Pieces choose how they enter the board, e.g. Land only comes in through a Builder
+    if (!this.piece.getDeployActions().includes(this.constructor)) {
+      throw new RuleViolation(`${this.piece.type} cannot be deployed`);
+    }
+
+    if (!Deploy.getSource(currentGame, this.piece, player)) {
+      throw new RuleViolation(`${this.piece.type} is not in your stash or the community pool`);
+    }
+
+    if (!targetCell.canPlacePiece(this.piece.isTerrain())) {
+      throw new RuleViolation(this.piece.isTerrain()
+        ? `${this.piece.type} must be deployed to an empty water space`
+        : `${this.piece.type} must be deployed to an empty land space`);
+    }
+
+    const citadels = currentGame.findPieces('Citadel', player);
+    if (!citadels.some(({ coordinate }) => coordinate.isAdjacentTo(targetCell.coordinate))) {
+      throw new RuleViolation('Pieces must be deployed next to one of your Citadels');
+    }
+  }
+
+  /**
+   * Only cells next to the player's Citadels can be deployed to
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    for (const { coordinate } of gameState.findPieces('Citadel', gameState.currentPlayer)) {
+      yield* coordinate.getAllAdjacent();
+    }
+  }
+
+  /**
+   * Perform the deployment
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
+   * @param {import('../engine/GameState.js').GameState} gameState - The game state to modify
+   */
+  perform(targetCell, gameState) {
+    const player = gameState.currentPlayer;
+    const from = Deploy.getSource(gameState, this.piece, player);
+    if (!from) {
+      throw new RuleViolation(`${this.piece.type} is not in your stash or the community pool`);
+    }
+
+    Deploy._deploy(gameState, this.piece.id, targetCell.coordinate, from, player);
+
+    gameState.addAction({
+      type: this.type,
+      pieceId: this.piece.id,
+      data: {
+        at: targetCell.coordinate.toString(),
+        from
+      }
+    });
+  }
+
+  /**
+   * Replay a recorded deployment
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   * @param {import('./ActionRegistry.js').ReplayContext} context
+   */
+  static replay(gameState, action, context) {
+    /** @type {import('../engine/PersistentGameState.js').DeployActionData} */
+    const data = /** @type {any} */ (action.data);
+    const piece = Deploy.getReplayPiece(action, context);
+    Deploy._deploy(gameState, piece.id, Coordinate.fromString(data.at), data.from, action.player);
+  }
+
+  /**
+   * Take a piece out of its source collection, hand it to the player and put it on the board
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {string} pieceId
+   * @param {Coordinate} coordinate
+   * @param {DeploySource} from
+   * @param {string} player - The deploying player, who becomes the owner
+   * @protected
+   */
+  static _deploy(gameState, pieceId, coordinate, from, player) {
+    const position = gameState.getPieceLocation(pieceId);
+    const inSource = from === 'stash'
+      ? position?.area === 'stash' && position.playerId === player
+      : position?.area === 'community';
+    const piece = inSource ? gameState.getPieceById(pieceId) : null;
+    if (!piece) {
+      throw new RuleViolation(`Piece ${pieceId} is not in the ${from === 'stash' ? 'stash' : 'community pool'}`);
+    }
+    if (from === 'stash') {
+      gameState.removeFromStash(player, piece);
+    } else {
+      gameState.removeFromCommunityPool(piece);
+    }
+
+    piece.owner = player;
+    piece.origin = from;
+    piece._setGameState(gameState);
+    gameState.setLayer(coordinate, piece.layer, piece);
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return `Deploy ${this.piece.type}`;
+  }
+}
+
+ActionRegistry.register(Deploy);
@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest';
+
+import { Deploy } from './Deploy.js';
+import { GameEngine } from '../engine/GameEngine.js';
+import { PersistentGameState } from '../engine/PersistentGameState.js';
+import { Coordinate } from '../engine/Coordinate.js';
+import { Piece } from '../pieces/Piece.js';
+import { Bird } from '../pieces/Bird.js';
+import { Soldier } from '../pieces/Soldier.js';
+import { Citadel } from '../pieces/Citadel.js';
+import { Land } from '../pieces/Land.js';
+import { PieceRegistry } from '../pieces/PieceRegistry.js';
+
+/**
+ * A terrain piece that floats in water, like a Turtle
+ */
+class Raft extends Piece {
+  /** @param {Omit<import('../pieces/Piece.js').PieceOptions, 'type'>} options */
+  constructor(options) {
+    super({ ...options, type: 'Raft' });
+  }
+
+  layer = 0;
+}
+PieceRegistry.register('Raft', Raft, { selectable: false });
+
+/**
+ * A battle on a 4x2 island with player1's Citadel at (0, 0) and player2's at (3, 0).
+ * player1 has a Bird in their stash, player2 a Soldier, and the community pool holds a Soldier.
+ * @param {Piece[]} [extraCommunityPieces]
+ * @returns {GameEngine}
+ */
+function createEngine(extraCommunityPieces = []) {
+  const persistent = new PersistentGameState();
+  persistent.addPlayer('player1', 'Alice');
+  persistent.addPlayer('player2', 'Bob');
+  persistent.setPhase('battle');
+  persistent.updateInitial({
+    initialPieces: [new Soldier({ owner: 'neutral', id: 'pool-soldier' }), ...extraCommunityPieces].map(piece => piece.toJSON())
+  });
+
+  /**
+   * @param {string} type
+   * @param {string} player
+   * @param {Object} data
+   */
+  const record = (type, player, data) => persistent.addAction({
+    type,
+    pieceId: '',
+    player,
+    turnNumber: 1,
+    data: /** @type {any} */ (data)
+  });
+  for (let x = 0; x <= 3; x++) {
+    for (let y = 0; y <= 1; y++) {
+      record('place', 'player1', { at: new Coordinate(x, y).toString(), piece: new Land({ owner: 'neutral' }).toJSON() });
+    }
+  }
+  record('place', 'player1', { at: '(0, 0)', piece: new Citadel({ owner: 'player1', id: 'citadel1' }).toJSON() });
+  record('place', 'player2', { at: '(3, 0)', piece: new Citadel({ owner: 'player2', id: 'citadel2' }).toJSON() });
+  record('select-piece', 'player1', { destination: 'stash', piece: new Bird({ owner: 'player1', id: 'bird1' }).toJSON() });
+  record('select-piece', 'player2', { destination: 'stash', piece: new Soldier({ owner: 'player2', id: 'soldier2' }).toJSON() });
+  // Leave player1 to act
+  record('end_turn', 'player2', {});
+
+  return new GameEngine(undefined, persistent);
+}
+
+/**
+ * @param {GameEngine} engine
+ * @param {string} pieceId
+ */
+function offBoard(engine, pieceId) {
+  const state = engine.getCurrentState();
+  const piece = [...(state.playerStashes.get('player1') || []), ...(state.playerStashes.get('player2') || []), ...state.communityPool]
+    .find(p => p.id === pieceId);
+  if (!piece) throw new Error(`${pieceId} is not off the board`);
+  return piece;
+}
+
+/**
+ * @param {GameEngine} engine
+ * @param {string} pieceId
+ * @param {number} x
+ * @param {number} y
+ */
+function deploy(engine, pieceId, x, y) {
+  const piece = offBoard(engine, pieceId);
+  engine.executeAction(piece, new Deploy(piece), engine.getCurrentState().getCell(new Coordinate(x, y)));
+}
+
+describe('Deploy', () => {
+  it('should deploy a stash piece next to an owned Citadel', () => {
+    const engine = createEngine();
+    expect(engine.getCurrentState().currentPlayer).toBe('player1');
+    deploy(engine, 'bird1', 1, 1);
+
+    const state = engine.getCurrentState();
+    expect(state.getPieceAt(new Coordinate(1, 1))?.id).toBe('bird1');
+    expect(state.playerStashes.get('player1')).toEqual([]);
+    expect(engine.getPersistentState().getLastAction()).toMatchObject({
+      type: 'deploy',
+      pieceId: 'bird1',
+      data: { at: '(1, 1)', from: 'stash' }
+    });
+
+    const restored = GameEngine.fromJSON(engine.toJSON()).getCurrentState();
+    expect(restored.getPieceAt(new Coordinate(1, 1))).toBeInstanceOf(Bird);
+    expect(restored.playerStashes.get('player1')).toEqual([]);
+  });
+
+  it('should give community pool pieces to the deploying player', () => {
+    const engine = createEngine();
+    deploy(engine, 'pool-soldier', 1, 0);
+
+    const state = engine.getCurrentState();
+    expect(state.getPieceAt(new Coordinate(1, 0))?.owner).toBe('player1');
+    expect(state.communityPool.map(p => p.id)).not.toContain('pool-soldier');
+    expect(GameEngine.fromJSON(engine.toJSON()).getCurrentState().getPieceAt(new Coordinate(1, 0))?.owner).toBe('player1');
+  });
+
+  it('should reject deployments that break the rules', () => {
+    const engine = createEngine();
+    const state = engine.getCurrentState();
+    const bird = offBoard(engine, 'bird1');
+    /** @param {Piece} piece @param {number} x @param {number} y */
+    const check = (piece, x, y) => engine.checkAction(piece, new Deploy(piece), state.getCell(new Coordinate(x, y)));
+
+    expect(() => check(bird, 2, 0)).toThrow('next to one of your Citadels');
+    expect(() => check(bird, 0, 0)).toThrow('empty land space');
+    expect(() => check(bird, -1, 0)).toThrow('empty land space');
+    expect(() => check(offBoard(engine, 'soldier2'), 2, 0)).toThrow('not in your stash or the community pool');
+    expect(() => check(bird, 1, 0)).not.toThrow();
+  });
+
+  it('should deploy terrain pieces into water and other pieces onto them', () => {
+    const engine = createEngine([new Raft({ owner: 'neutral', id: 'raft1' })]);
+    const state = engine.getCurrentState();
+    const raft = offBoard(engine, 'raft1');
+
+    expect(() => engine.checkAction(raft, new Deploy(raft), state.getCell(new Coordinate(1, 0))))
+      .toThrow('Raft must be deployed to an empty water space');
+    engine.executeAction(raft, new Deploy(raft), state.getCell(new Coordinate(-1, 0)));
+    expect(engine.getCurrentState().getTerrainAt(new Coordinate(-1, 0))?.id).toBe('raft1');
+
+    deploy(engine, 'bird1', -1, 0);
+    expect(engine.getCurrentState().getPieceAt(new Coordinate(-1, 0))?.id).toBe('bird1');
+  });
+
+  it('should not deploy Land from the community pool', () => {
+    const engine = createEngine([new Land({ owner: 'neutral', id: 'pool-land' })]);
+    const land = offBoard(engine, 'pool-land');
+
+    expect(engine.getValidActionsForPiece(land)).toEqual([]);
+    expect(() => engine.checkAction(land, new Deploy(land), engine.getCurrentState().getCell(new Coordinate(-1, 0))))
+      .toThrow('Land cannot be deployed');
+    expect(engine.getCurrentState().communityPool.find(piece => piece.id === 'pool-land')?.owner).toBe('neutral');
+  });
+
+  it('should be offered for pieces off the board', () => {
+    const engine = createEngine();
+    const actions = engine.getValidActionsForPiece(offBoard(engine, 'bird1'));
+
+    expect(actions).toHaveLength(1);
+    expect(actions[0].action).toBeInstanceOf(Deploy);
+    expect(actions[0].targets.map(cell => cell.coordinate.toString()).sort()).toEqual(['(0, 1)', '(1, 0)', '(1, 1)']);
+  });
+});
@@ -1,11 +1,17 @@
 import { Action } from './Action.js';
+import { ActionRegistry } from './ActionRegistry.js';
 import { RuleViolation } from '../engine/Errors.js';
+import { Coordinate } from '../engine/Coordinate.js';
 
 /**
  * Base Move action that provides common movement functionality.
+ * Moving onto an enemy piece captures it, subject to the piece's capture policy (`Piece.canCapture`).
+ * A moving piece carries the pieces stacked on top of it along, like the Turtle carries the piece on its back.
  * Other movement actions can extend this class.
  */
 export class Move extends Action {
+  static type = 'move';
+
   /**
    * Check if the target is a valid move destination
    * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
@@ -27,8 +33,9 @@ export class Move extends Action {
       throw new RuleViolation('Cannot move to the same position');
     }
     
-    if (targetCell.hasPieceAtLayer(this.piece.layer)) {
-      throw new RuleViolation(`There is already piece on the same layer at ${targetCell.coordinate}`);
+    const occupant = targetCell.getLayer(this.piece.layer);
+    if (occupant) {
+      this.checkCapture(occupant, targetCell);
     }
 
     if (this.piece.layer > 0 && !targetCell.hasPieceAtLayer(this.piece.layer - 1)) {
@@ -46,35 +53,75 @@ export class Move extends Action {
       throw new Error('Piece must be on the board to move');
     }
     
-    // Handle capture if there's an enemy piece at the target
-    const capturedPiece = targetCell.hasPiece() && targetCell.getPieceOwner() !== this.piece.owner ? targetCell.piece : null;
-    if (capturedPiece) {
-      // Send captured piece to graveyard
-      gameState.moveToGraveyard(capturedPiece);
-    }
+    // Capture whatever is at the target (check() rejects friendly and protected pieces)
+    const capturedPiece = this.piece.isTerrain() ? null : gameState.capturePieceAt(targetCell.coordinate, this.piece.layer);
     
     // Store the original position for action recording
     const fromCoordinate = this.piece.coordinate;
     
-    // Remove piece from current position
-    gameState.setPiece(this.piece.coordinate, null);
-    
-    // Place piece at target position
-    gameState.setPiece(targetCell.coordinate, this.piece);
-    this.piece._setCoordinate(targetCell.coordinate);
+    // Move the piece, along with anything it carries
+    const carried = Move.relocate(gameState, this.piece, fromCoordinate, targetCell.coordinate);
     
     // Record the action
     gameState.addAction({
-      type: 'move',
+      type: this.type,
       pieceId: this.piece.id,
       data: {
         from: fromCoordinate.toString(),
         to: targetCell.coordinate.toString(),
         captured: capturedPiece ? capturedPiece.id : null,
         capturedType: capturedPiece ? capturedPiece.type : null,
-        capturedOwner: capturedPiece ? capturedPiece.owner : null
+        capturedOwner: capturedPiece ? capturedPiece.owner : null,
+        ...(carried.length > 0 ? { carried: carried.map(piece => piece.id) } : {})
       }
     });
   }
-  
+
+  /**
+   * Replay a recorded move
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   * @param {import('./ActionRegistry.js').ReplayContext} context
+   */
+  static replay(gameState, action, context) {
+    const piece = Action.getReplayPiece(action, context);
+    /** @type {import('../engine/PersistentGameState.js').MoveActionData} */
+    const data = /** @type {any} */ (action.data);
+    const fromCoord = Coordinate.fromString(data.from);
+    const toCoord = Coordinate.fromString(data.to);
+    
+    // Handle captured piece if any
+    if (data.captured) {
+      gameState.capturePieceAt(toCoord, piece.layer);
+    }
+    
+    Move.relocate(gameState, piece, fromCoord, toCoord);
+  }
+
+  /**
+   * Move a piece between cells, taking the pieces stacked on top of it along
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @param {Coordinate} from
+   * @param {Coordinate} to - Must be free from the piece's layer up
+   * @returns {import('../pieces/Piece.js').Piece[]} The carried pieces, bottom first
+   */
+  static relocate(gameState, piece, from, to) {
+    // Take the cell, so the pieces carried along are this state's own
+    const stack = gameState.getCell(from).layers.slice(piece.layer);
+
+    // Empty the source from the top down, then rebuild the stack at the target from the bottom up
+    for (let layer = piece.layer + stack.length - 1; layer >= piece.layer; layer--) {
+      gameState.setLayer(from, layer, null);
+    }
+    stack[0] = piece;
+    stack.forEach((stacked, offset) => {
+      if (stacked) gameState.setLayer(to, piece.layer + offset, stacked);
+    });
+    piece._setCoordinate(to);
+
+    return /** @type {import('../pieces/Piece.js').Piece[]} */ (stack.slice(1).filter(Boolean));
+  }
 }
+
+ActionRegistry.register(Move);
@@ -0,0 +1,77 @@
+import { Move } from './Move.js';
+import { Capture } from './Capture.js';
+import { RuleViolation } from '../engine/Errors.js';
+import { Coordinate } from '../engine/Coordinate.js';
+
+/**
+ * Move one square orthogonally, to an empty square.
+ * For pieces that capture without moving (see OrthogonalCapture), like the Bomber and the Necromancer,
+ * or only through their other actions, like the Builder.
+ */
+export class OrthogonalStep extends Move {
+  /**
+   * Check if the target is an empty orthogonal neighbour
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell to check
+   * @param {import('../engine/GameState.js').GameState} currentGame - The current game state
+   * @param {import('../engine/GameState.js').GameState} newGame - The new game state after the move
+   * @throws {RuleViolation} If the move is invalid
+   */
+  check(targetCell, currentGame, newGame) {
+    if (targetCell.getLayer(this.piece.layer)) {
+      throw new RuleViolation(`${this.piece.type} can only move to an empty square`);
+    }
+
+    super.check(targetCell, currentGame, newGame);
+
+    if (!this.piece.isAdjacentTo(targetCell.coordinate, { allowDiagonal: false })) {
+      throw new RuleViolation(`${this.piece.type} can only move to orthogonally adjacent squares`);
+    }
+  }
+
+  /**
+   * Only the piece's orthogonal neighbours
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    yield* this.piece.coordinate?.getOrthogonalAdjacent() || [];
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return `Move ${this.piece.type} one square`;
+  }
+}
+
+/**
+ * Capture a piece orthogonally adjacent to this one, without moving
+ */
+export class OrthogonalCapture extends Capture {
+  /**
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
+   * @returns {boolean}
+   */
+  isInReach(targetCell) {
+    return this.piece.isAdjacentTo(targetCell.coordinate, { allowDiagonal: false });
+  }
+
+  /**
+   * Only the piece's orthogonal neighbours
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    yield* this.piece.coordinate?.getOrthogonalAdjacent() || [];
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return `Capture with ${this.piece.type}`;
+  }
+}
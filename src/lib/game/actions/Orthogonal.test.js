@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { OrthogonalStep, OrthogonalCapture } from './Orthogonal.js';
+import { GameState } from '../engine/GameState.js';
+import { Coordinate } from '../engine/Coordinate.js';
+import { Land } from '../pieces/Land.js';
+import { Soldier } from '../pieces/Soldier.js';
+import { Bomber } from '../pieces/Bomber.js';
+import { Necromancer } from '../pieces/Necromancer.js';
+
+describe('Orthogonal step and capture', () => {
+  /** @type {GameState} */
+  let gameState;
+
+  beforeEach(() => {
+    gameState = new GameState();
+    gameState.addPlayer('player1');
+    gameState.addPlayer('player2');
+
+    for (let x = -1; x <= 1; x++) {
+      for (let y = -1; y <= 1; y++) {
+        gameState.setTerrain(new Coordinate(x, y), new Land({ owner: 'neutral' }));
+      }
+    }
+    gameState.setPiece(new Coordinate(1, 0), new Soldier({ owner: 'player2' }));
+    gameState.setPiece(new Coordinate(1, 1), new Soldier({ owner: 'player2' }));
+  });
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  function cell(x, y) {
+    return gameState.getCell(new Coordinate(x, y));
+  }
+
+  for (const PieceClass of [Bomber, Necromancer]) {
+    it(`should be how the ${PieceClass.name} moves and captures`, () => {
+      const piece = new PieceClass({ owner: 'player1' });
+      expect(piece.getActions()).toEqual(expect.arrayContaining([OrthogonalStep, OrthogonalCapture]));
+    });
+  }
+
+  it('should step to an empty orthogonal neighbour', () => {
+    const bomber = new Bomber({ owner: 'player1' });
+    gameState.setPiece(new Coordinate(0, 0), bomber);
+    const step = new OrthogonalStep(bomber);
+
+    expect(() => step.check(cell(0, 1), gameState, gameState)).not.toThrow();
+    expect(() => step.check(cell(-1, -1), gameState, gameState))
+      .toThrow('Bomber can only move to orthogonally adjacent squares');
+    expect([...step.getCandidateTargets(gameState)]).toHaveLength(4);
+  });
+
+  it('should not capture by moving', () => {
+    const necromancer = new Necromancer({ owner: 'player1' });
+    gameState.setPiece(new Coordinate(0, 0), necromancer);
+
+    expect(() => new OrthogonalStep(necromancer).check(cell(1, 0), gameState, gameState))
+      .toThrow('Necromancer can only move to an empty square');
+  });
+
+  it('should capture orthogonal neighbours without moving', () => {
+    const necromancer = new Necromancer({ owner: 'player1' });
+    gameState.setPiece(new Coordinate(0, 0), necromancer);
+    const capture = new OrthogonalCapture(necromancer);
+
+    expect(() => capture.check(cell(1, 0), gameState, gameState)).not.toThrow();
+    expect(() => capture.check(cell(1, 1), gameState, gameState))
+      .toThrow('Necromancer can only capture adjacent pieces');
+
+    capture.perform(cell(1, 0), gameState);
+    expect(gameState.getPieceAt(new Coordinate(0, 0))).toBe(necromancer);
+    expect(gameState.getPieceAt(new Coordinate(1, 0))).toBeNull();
+    expect(gameState.graveyard).toHaveLength(1);
+  });
+});
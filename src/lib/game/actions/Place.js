@@ -1,5 +1,6 @@
 import { Action } from './Action.js';
-import { RuleViolation } from '../engine/Errors.js';
+import { ActionRegistry } from './ActionRegistry.js';
+import { RuleViolation, ReplayError } from '../engine/Errors.js';
 import { Coordinate } from '../engine/Coordinate.js';
 
 /**
@@ -7,6 +8,8 @@ import { Coordinate } from '../engine/Coordinate.js';
  * Handles basic placement validation like checking for existing pieces and terrain layer stacking
  */
 export class Place extends Action {
+  static type = 'place';
+
   /**
    * Check if the placement is valid
    * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
@@ -33,40 +36,67 @@ export class Place extends Action {
    * @param {import('../engine/GameState.js').GameState} gameState - The game state to modify
    */
   perform(targetCell, gameState) {
-    // Create a copy of the piece and set its coordinate
+    // Create a copy of the piece with its own ID in the game, and set its coordinate
     const placedPiece = this.piece.copy();
+    placedPiece.id = gameState.allocatePieceId(placedPiece.type);
     placedPiece._setCoordinate(targetCell.coordinate);
     
-    // Place the piece in the appropriate layer
-    if (this.piece.type === 'Land') {
-      gameState.setTerrain(targetCell.coordinate, placedPiece);
-    } else {
-      gameState.setPiece(targetCell.coordinate, placedPiece);
-    }
+    // Place the piece on its layer
+    gameState.setLayer(targetCell.coordinate, placedPiece.layer, placedPiece);
 
-    // Record the action
+    // Record the action, including the piece so replay can recreate it with the same ID
     gameState.addAction({
-      type: 'place',
-      pieceId: this.piece.id,
+      type: this.type,
+      pieceId: placedPiece.id,
       data: {
-        at: targetCell.coordinate.toString()
+        at: targetCell.coordinate.toString(),
+        piece: placedPiece.toJSON()
       }
     });
   }
 
   /**
-   * Get reasonable search bounds for valid placement
+   * Replay a recorded placement
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   * @param {import('./ActionRegistry.js').ReplayContext} context
+   */
+  static replay(gameState, action, context) {
+    /** @type {import('../engine/PersistentGameState.js').PlaceActionData} */
+    const data = /** @type {any} */ (action.data);
+    const coordinate = Coordinate.fromString(data.at);
+
+    let piece = context.piece;
+    if (!piece) {
+      if (!data.piece) {
+        throw new ReplayError(`Cannot replay ${action.type}: piece ${action.pieceId} is not in the game`);
+      }
+      piece = /** @type {import('../pieces/Piece.js').Piece} */ (context.pieceFromJSON(data.piece, gameState));
+    }
+    
+    // Create a copy of the piece for placement
+    const placedPiece = piece.copy();
+    placedPiece._setCoordinate(coordinate);
+    placedPiece._setGameState(gameState);
+    
+    gameState.setLayer(coordinate, placedPiece.layer, placedPiece);
+  }
+
+  /**
+   * Pieces above the terrain layer need something to stand on, so only cells with the layer below qualify.
+   * Terrain can go anywhere, so it falls back to scanning around the board.
    * @param {import('../engine/GameState.js').GameState} gameState - The current game state
-   * @returns {{minX: number, maxX: number, minY: number, maxY: number}} Bounds object with minX, maxX, minY, maxY
+   * @returns {Iterable<Coordinate>}
    */
-  getSearchBounds(gameState) {
-    // Default bounds - can be overridden by subclasses
-    return {
-      minX: -10,
-      maxX: 10,
-      minY: -10,
-      maxY: 10
-    };
+  *getCandidateTargets(gameState) {
+    if (this.piece.layer === 0) {
+      yield* super.getCandidateTargets(gameState);
+      return;
+    }
+
+    for (const cell of [...gameState.board.values()]) {
+      if (cell.hasPieceAtLayer(this.piece.layer - 1)) yield cell.coordinate;
+    }
   }
 
   /**
@@ -76,4 +106,6 @@ export class Place extends Action {
   getDescription() {
     return `Place ${this.piece.type}`;
   }
-}
\ No newline at end of file
+}
+
+ActionRegistry.register(Place);
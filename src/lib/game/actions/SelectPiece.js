@@ -0,0 +1,141 @@
+import { Action } from './Action.js';
+import { ActionRegistry } from './ActionRegistry.js';
+import { RuleViolation, ReplayError } from '../engine/Errors.js';
+import { PhaseMachine } from '../engine/PhaseMachine.js';
+import { PieceRegistry } from '../pieces/PieceRegistry.js';
+
+/**
+ * @typedef {'stash'|'community'} SelectionDestination
+ */
+
+/**
+ * Pick a piece during the selection phase, either into the picking player's stash
+ * or into the community pool. The piece isn't in the game yet: it is created from the
+ * variant's palette (see SelectPiece.getCandidates) and added when the pick is performed.
+ * Selections don't target the board, so check() and perform() ignore the target cell.
+ */
+export class SelectPiece extends Action {
+  static type = 'select-piece';
+
+  /**
+   * @param {import('../pieces/Piece.js').Piece} piece - The picked piece; owned by the picking player for their stash, 'neutral' for the community pool
+   * @param {Object} options
+   * @param {SelectionDestination} options.destination - Where the piece goes
+   * @param {import('../variants/Variant.js').Variant|null} [options.variant] - Active variant, whose palette limits the candidates
+   */
+  constructor(piece, { destination, variant = null }) {
+    super(piece);
+    this.destination = destination;
+    this.variant = variant;
+  }
+
+  /**
+   * List the pieces players can pick from: the variant's palette, or every selectable
+   * registered piece without a variant. Pieces registered as not selectable (Land, Citadel)
+   * are never offered, even if the variant allows them on the board.
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../variants/Variant.js').Variant|null} [variant]
+   * @returns {import('../variants/Variant.js').VariantPieceDescriptor[]}
+   */
+  static getCandidates(gameState, variant = null) {
+    const palette = variant ? variant.listPiecePalette(gameState) : PieceRegistry.palette();
+    const unselectable = new Set(PieceRegistry.list().filter(entry => !entry.selectable).map(entry => entry.type));
+    return palette.filter(entry => !unselectable.has(entry.key));
+  }
+
+  /**
+   * Check if the pick is valid
+   * @param {import('../engine/Cell.js').Cell|null} targetCell - Unused
+   * @param {import('../engine/GameState.js').GameState} currentGame - The current game state
+   * @param {import('../engine/GameState.js').GameState} newGame - The new game state after the pick
+   * @throws {RuleViolation} If the pick is invalid
+   */
+  check(targetCell, currentGame, newGame) {
+    // Skip base class validation since the piece isn't on the board
+    PhaseMachine.checkActionAllowed(currentGame, this.type);
+
+    const player = currentGame.currentPlayer;
+    const expectedOwner = this.destination === 'stash' ? player : 'neutral';
+    if (this.piece.owner !== expectedOwner) {
+      throw new RuleViolation(this.destination === 'stash'
+        ? 'Stash picks must belong to the picking player'
+        : 'Community pool picks must be neutral');
+    }
+
+    if (PhaseMachine.getRemainingPicks(currentGame, player)[this.destination] === 0) {
+      throw new RuleViolation(this.destination === 'stash'
+        ? `${currentGame.getPlayerName(player)} has no stash picks left`
+        : `${currentGame.getPlayerName(player)} has no community pool picks left`);
+    }
+
+    const candidates = SelectPiece.getCandidates(currentGame, this.variant);
+    if (!candidates.some(entry => entry.key === this.piece.type)) {
+      throw new RuleViolation(`${this.piece.type} cannot be picked in this game`);
+    }
+  }
+
+  /**
+   * Perform the pick
+   * @param {import('../engine/Cell.js').Cell|null} targetCell - Unused
+   * @param {import('../engine/GameState.js').GameState} gameState - The game state to modify
+   */
+  perform(targetCell, gameState) {
+    const picked = this.piece.copy();
+    picked.id = gameState.allocatePieceId(picked.type);
+    picked._setGameState(gameState);
+    SelectPiece._add(gameState, picked, this.destination, gameState.currentPlayer);
+
+    gameState.addAction({
+      type: this.type,
+      pieceId: picked.id,
+      data: {
+        destination: this.destination,
+        piece: picked.toJSON()
+      }
+    });
+  }
+
+  /**
+   * Replay a recorded pick
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   * @param {import('./ActionRegistry.js').ReplayContext} context
+   */
+  static replay(gameState, action, context) {
+    /** @type {import('../engine/PersistentGameState.js').SelectPieceActionData} */
+    const data = /** @type {any} */ (action.data);
+    if (!data.piece) {
+      throw new ReplayError(`Cannot replay ${action.type}: the picked piece was not recorded`);
+    }
+    const picked = /** @type {import('../pieces/Piece.js').Piece} */ (context.pieceFromJSON(data.piece, gameState));
+    SelectPiece._add(gameState, picked, data.destination, action.player);
+  }
+
+  /**
+   * Put a picked piece where it belongs
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @param {SelectionDestination} destination
+   * @param {string} player - The picking player
+   * @private
+   */
+  static _add(gameState, piece, destination, player) {
+    if (destination === 'stash') {
+      gameState.addToStash(player, piece);
+    } else {
+      gameState.addToCommunityPool(piece);
+    }
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return this.destination === 'stash'
+      ? `Pick ${this.piece.type} for your stash`
+      : `Pick ${this.piece.type} for the community pool`;
+  }
+}
+
+ActionRegistry.register(SelectPiece);
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { SelectPiece } from './SelectPiece.js';
+import { GameState } from '../engine/GameState.js';
+import { GameStateReplay } from '../engine/GameStateReplay.js';
+import { PersistentGameState } from '../engine/PersistentGameState.js';
+import { RuleViolation } from '../engine/Errors.js';
+import { Bird } from '../pieces/Bird.js';
+import { Soldier } from '../pieces/Soldier.js';
+import { Builder } from '../pieces/Builder.js';
+import { Citadel } from '../pieces/Citadel.js';
+import { Assassin } from '../variants/Assassin.js';
+import { Variant } from '../variants/Variant.js';
+
+describe('SelectPiece', () => {
+  /** @type {GameState} */
+  let gameState;
+
+  beforeEach(() => {
+    gameState = new GameState();
+    gameState.addPlayer('player1', 'Alice');
+    gameState.addPlayer('player2', 'Bob');
+    gameState.setSetup({ landsPerPlayer: 1, personalPiecesPerPlayer: 1, communityPiecesPerPlayer: 1 });
+    gameState.setPhase('selection');
+  });
+
+  /**
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @param {'stash'|'community'} destination
+   * @param {import('../variants/Variant.js').Variant} [variant]
+   */
+  function select(piece, destination, variant) {
+    const action = new SelectPiece(piece, { destination, variant });
+    action.check(null, gameState, gameState);
+    action.perform(null, gameState);
+  }
+
+  it('should offer the variant palette without unselectable pieces', () => {
+    const keys = SelectPiece.getCandidates(gameState, Assassin).map(entry => entry.key);
+    expect(keys).toEqual(['Bird', 'Soldier', 'Builder']);
+
+    const birdsOnly = new Variant({ id: 'birds', name: 'Birds', availablePieces: [Bird], checkEnd: () => ({ isEnded: false }) });
+    expect(SelectPiece.getCandidates(gameState, birdsOnly).map(entry => entry.key)).toEqual(['Bird']);
+  });
+
+  it('should add picks to the stash or community pool and pass the turn', () => {
+    select(new Bird({ owner: 'player1', id: 'bird1' }), 'stash');
+    expect(gameState.playerStashes.get('player1')?.map(piece => piece.id)).toEqual(['Bird#1']);
+    expect(gameState.currentPlayer).toBe('player2');
+    expect(gameState.actionHistory.at(-1)).toMatchObject({
+      type: 'select-piece',
+      pieceId: 'Bird#1',
+      player: 'player1',
+      data: { destination: 'stash' }
+    });
+
+    select(new Soldier({ owner: 'neutral', id: 'soldier1' }), 'community');
+    expect(gameState.communityPool.map(piece => piece.id)).toEqual(['Soldier#1']);
+    expect(gameState.currentPlayer).toBe('player1');
+  });
+
+  it('should reject picks outside the rules', () => {
+    expect(() => select(new Bird({ owner: 'player2' }), 'stash')).toThrow('must belong to the picking player');
+    expect(() => select(new Bird({ owner: 'player1' }), 'community')).toThrow('must be neutral');
+    expect(() => select(new Citadel({ owner: 'player1' }), 'stash')).toThrow('Citadel cannot be picked');
+
+    const birdsOnly = new Variant({ id: 'birds', name: 'Birds', availablePieces: [Bird], checkEnd: () => ({ isEnded: false }) });
+    expect(() => select(new Soldier({ owner: 'player1' }), 'stash', birdsOnly)).toThrow(RuleViolation);
+
+    // Use up player1's stash pick, then come back around to them
+    select(new Bird({ owner: 'player1' }), 'stash');
+    select(new Bird({ owner: 'player2' }), 'stash');
+    expect(() => select(new Soldier({ owner: 'player1' }), 'stash')).toThrow('Alice has no stash picks left');
+
+    gameState.setPhase('battle');
+    expect(() => select(new Soldier({ owner: 'neutral' }), 'community')).toThrow('not allowed during the battle phase');
+  });
+
+  it('should start the battle once every quota is met', () => {
+    select(new Bird({ owner: 'player1' }), 'stash');
+    select(new Bird({ owner: 'player2' }), 'stash');
+    select(new Soldier({ owner: 'neutral' }), 'community');
+    expect(gameState.phase).toBe('selection');
+    select(new Builder({ owner: 'neutral' }), 'community');
+
+    expect(gameState.phase).toBe('battle');
+    expect(gameState.currentPlayer).toBe('player1');
+  });
+
+  it('should replay picks from the action log', () => {
+    const persistent = new PersistentGameState();
+    persistent.addPlayer('player1', 'Alice');
+    persistent.addPlayer('player2', 'Bob');
+    persistent.setSetup({ personalPiecesPerPlayer: 1, communityPiecesPerPlayer: 0 });
+    persistent.setPhase('selection');
+    persistent.addAction({
+      type: 'select-piece',
+      pieceId: 'bird1',
+      player: 'player1',
+      turnNumber: 1,
+      data: { destination: 'stash', piece: new Bird({ owner: 'player1', id: 'bird1' }).toJSON() }
+    });
+    persistent.addAction({
+      type: 'select-piece',
+      pieceId: 'soldier2',
+      player: 'player2',
+      turnNumber: 1,
+      data: { destination: 'stash', piece: new Soldier({ owner: 'player2', id: 'soldier2' }).toJSON() }
+    });
+
+    const state = GameStateReplay.replayToFullState(persistent);
+    expect(state.playerStashes.get('player1')?.[0]).toBeInstanceOf(Bird);
+    expect(state.playerStashes.get('player2')?.map(piece => piece.id)).toEqual(['soldier2']);
+    expect(state.phase).toBe('battle');
+  });
+});
@@ -3,26 +3,82 @@ import { Coordinate } from './Coordinate.js';
 /**
  * @typedef {Object} CellJSON
  * @property {string} coordinate - The coordinate key
- * @property {import('../pieces/Piece.js').PieceJSON|null} terrain - The terrain piece JSON
- * @property {import('../pieces/Piece.js').PieceJSON|null} piece - The piece JSON
+ * @property {(import('../pieces/Piece.js').PieceJSON|null)[]} [layers] - The pieces on each layer, bottom first
+ * @property {import('../pieces/Piece.js').PieceJSON|null} [terrain] - Layer 0, in cells saved before layer stacks
+ * @property {import('../pieces/Piece.js').PieceJSON|null} [piece] - Layer 1, in cells saved before layer stacks
  */
 
 /**
- * Represents a cell on the game board that can contain terrain and a piece.
+ * Represents a cell on the game board: a stack of layers, each holding at most one piece.
+ * Layer 0 is the terrain (Land, a Turtle, ...) and layer 1 the piece standing on it; anything
+ * stacked higher, like a piece on a bridge, goes on the layers above.
  * Provides utility methods for piece authoring and game logic.
  */
 export class Cell {
   /**
    * @param {Coordinate} coordinate - The coordinate of this cell
-   * @param {import('../pieces/Piece.js').Piece|null} [terrain] - The terrain piece
-   * @param {import('../pieces/Piece.js').Piece|null} [piece] - The piece on this cell
+   * @param {(import('../pieces/Piece.js').Piece|null)[]} [layers] - The pieces on each layer, bottom first
    * @param {import('./GameState.js').GameState|null} [gameState] - Reference to the game state
    */
-  constructor(coordinate, terrain = null, piece = null, gameState = null) {
+  constructor(coordinate, layers = [], gameState = null) {
     this.coordinate = coordinate;
-    this.terrain = terrain;
-    this.piece = piece;
+    /**
+     * The pieces on each layer, bottom first, without empty layers at the top
+     * @type {(import('../pieces/Piece.js').Piece|null)[]}
+     * @private
+     */
+    this._layers = [];
     this.gameState = gameState;
+    layers.forEach((piece, layer) => this.setLayer(layer, piece));
+  }
+
+  /**
+   * The terrain (layer 0)
+   * @returns {import('../pieces/Piece.js').Piece|null}
+   */
+  get terrain() {
+    return this.getLayer(0);
+  }
+
+  /**
+   * The piece standing on the terrain (layer 1)
+   * @returns {import('../pieces/Piece.js').Piece|null}
+   */
+  get piece() {
+    return this.getLayer(1);
+  }
+
+  /**
+   * The pieces on each layer, bottom first. Empty layers below the top are null.
+   * @returns {readonly (import('../pieces/Piece.js').Piece|null)[]}
+   */
+  get layers() {
+    return this._layers;
+  }
+
+  /**
+   * The number of layers up to and including the top piece
+   * @returns {number}
+   */
+  get height() {
+    return this._layers.length;
+  }
+
+  /**
+   * Get the piece at a layer, or null if there is none
+   * @param {number} layer
+   * @returns {import('../pieces/Piece.js').Piece|null}
+   */
+  getLayer(layer) {
+    return this._layers[layer] || null;
+  }
+
+  /**
+   * Get the topmost piece, or null if the cell is empty
+   * @returns {import('../pieces/Piece.js').Piece|null}
+   */
+  top() {
+    return this.getLayer(this.height - 1);
   }
 
   /**
@@ -47,9 +103,7 @@ export class Cell {
    * @returns {boolean}
    */
   hasPieceAtLayer(layer) {
-    if (layer === 0) return this.hasTerrain();
-    if (layer === 1) return this.hasPiece();
-    return false;
+    return this.getLayer(layer) !== null;
   }
 
   /**
@@ -73,7 +127,7 @@ export class Cell {
    * @returns {boolean}
    */
   isCompletelyEmpty() {
-    return !this.hasTerrain() && !this.hasPiece();
+    return this.height === 0;
   }
 
   /**
@@ -231,24 +285,50 @@ export class Cell {
   copy(newGameState = null) {
     return new Cell(
       this.coordinate,
-      this.terrain ? this.terrain.copy() : null,
-      this.piece ? this.piece.copy() : null,
+      this._layers.map(piece => piece ? piece.copy() : null),
       newGameState || this.gameState
     );
   }
 
+  /**
+   * Put a piece on a layer, or empty the layer with null
+   * @param {number} layer
+   * @param {import('../pieces/Piece.js').Piece|null} piece
+   */
+  setLayer(layer, piece) {
+    const prev = this.getLayer(layer);
+    this._layers[layer] = piece;
+    for (let i = 0; i < this._layers.length; i++) {
+      this._layers[i] ??= null;
+    }
+    while (this._layers.length > 0 && !this._layers[this._layers.length - 1]) {
+      this._layers.pop();
+    }
+
+    // Keep the game state's piece index up to date
+    if (prev && prev !== piece) {
+      this.gameState?._unindexPiece(prev, { area: 'board', coordinate: this.coordinate, layer });
+      if (prev._setCoordinate) {
+        prev._setCoordinate(null);
+      }
+    }
+    if (piece) {
+      this.gameState?._indexPiece(piece, { area: 'board', coordinate: this.coordinate, layer });
+    }
+
+    // Update piece coordinates and game state references
+    if (piece && piece._setCoordinate && piece._setGameState && this.gameState) {
+      piece._setCoordinate(this.coordinate);
+      piece._setGameState(this.gameState);
+    }
+  }
+
   /**
    * Set the terrain for this cell
    * @param {import('../pieces/Piece.js').Piece|null} terrain
    */
   setTerrain(terrain) {
-    this.terrain = terrain;
-    
-    // Update terrain coordinates and game state references
-    if (terrain && terrain._setCoordinate && terrain._setGameState && this.gameState) {
-      terrain._setCoordinate(this.coordinate);
-      terrain._setGameState(this.gameState);
-    }
+    this.setLayer(0, terrain);
   }
 
   /**
@@ -256,36 +336,42 @@ export class Cell {
    * @param {import('../pieces/Piece.js').Piece|null} piece
    */
   setPiece(piece) {
-    const prev = this.piece;
-    this.piece = piece;
-    
-    // Update piece coordinates and game state references
-    if (prev && prev._setCoordinate) {
-      prev._setCoordinate(null);
-    }
-    if (piece && piece._setCoordinate && piece._setGameState && this.gameState) {
-      piece._setCoordinate(this.coordinate);
-      piece._setGameState(this.gameState);
+    this.setLayer(1, piece);
+  }
+
+  /**
+   * Put a piece on top of the stack
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @returns {number} The layer the piece went on
+   */
+  pushPiece(piece) {
+    const layer = this.height;
+    this.setLayer(layer, piece);
+    return layer;
+  }
+
+  /**
+   * Take the top piece off the stack
+   * @returns {import('../pieces/Piece.js').Piece|null} The piece, or null if the cell was empty
+   */
+  popPiece() {
+    const piece = this.top();
+    if (piece) {
+      this.setLayer(this.height - 1, null);
     }
+    return piece;
   }
 
   /**
-   * Remove both terrain and piece from this cell
-   * @returns {{terrain: import('../pieces/Piece.js').Piece|null, piece: import('../pieces/Piece.js').Piece|null}}
+   * Remove every piece from this cell
+   * @returns {(import('../pieces/Piece.js').Piece|null)[]} The pieces that were on each layer, bottom first
    */
   clear() {
-    const terrain = this.terrain;
-    const piece = this.piece;
-    
-    this.terrain = null;
-    this.piece = null;
-    
-    // Update piece coordinate
-    if (piece && piece._setCoordinate) {
-      piece._setCoordinate(null);
+    const layers = [...this._layers];
+    for (let layer = layers.length - 1; layer >= 0; layer--) {
+      this.setLayer(layer, null);
     }
-    
-    return { terrain, piece };
+    return layers;
   }
 
   /**
@@ -295,11 +381,19 @@ export class Cell {
   toJSON() {
     return {
       coordinate: this.coordinate.key,
-      terrain: this.terrain ? this.terrain.toJSON() : null,
-      piece: this.piece ? this.piece.toJSON() : null
+      layers: this._layers.map(piece => piece ? piece.toJSON() : null)
     };
   }
 
+  /**
+   * Get the pieces on each layer from cell JSON, including cells saved before layer stacks
+   * @param {CellJSON} data
+   * @returns {(import('../pieces/Piece.js').PieceJSON|null)[]}
+   */
+  static layersFromJSON(data) {
+    return data.layers || [data.terrain || null, data.piece || null];
+  }
+
   /**
    * Create a Cell from JSON data
    * @param {CellJSON} data
@@ -309,10 +403,8 @@ export class Cell {
    */
   static fromJSON(data, pieceFromJSON, gameState = null) {
     const coordinate = Coordinate.fromKey(data.coordinate);
-    const terrain = data.terrain ? pieceFromJSON(data.terrain) : null;
-    const piece = data.piece ? pieceFromJSON(data.piece) : null;
-    
-    return new Cell(coordinate, terrain, piece, gameState);
+    const layers = Cell.layersFromJSON(data).map(piece => piece ? pieceFromJSON(piece) : null);
+    return new Cell(coordinate, layers, gameState);
   }
 
   /**
@@ -322,7 +414,7 @@ export class Cell {
    * @returns {Cell}
    */
   static empty(coordinate, gameState = null) {
-    return new Cell(coordinate, null, null, gameState);
+    return new Cell(coordinate, [], gameState);
   }
 
   /**
@@ -330,8 +422,7 @@ export class Cell {
    * @returns {string}
    */
   toString() {
-    const terrainStr = this.terrain ? `T:${this.terrain.type}` : 'T:none';
-    const pieceStr = this.piece ? `P:${this.piece.type}(${this.piece.owner})` : 'P:none';
-    return `Cell(${this.coordinate.toString()}, ${terrainStr}, ${pieceStr})`;
+    const layers = this._layers.map((piece, layer) => `${layer}:${piece ? `${piece.type}(${piece.owner})` : 'none'}`);
+    return `Cell(${[this.coordinate.toString(), ...layers].join(', ')})`;
   }
 }
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { Cell } from './Cell.js';
+import { Coordinate } from './Coordinate.js';
+import { GameState } from './GameState.js';
+import { Piece } from '../pieces/Piece.js';
+import { Move } from '../actions/Move.js';
+import { Place } from '../actions/Place.js';
+
+// A piece that stands on top of the piece on layer 1, like a flag on a bridge
+class Flag extends Piece {
+  /**
+   * @param {Omit<import('../pieces/Piece.js').PieceOptions, 'type'>} options
+   */
+  constructor(options) {
+    super({ ...options, type: 'Flag' });
+  }
+
+  layer = 2
+}
+
+/**
+ * @param {any} data
+ * @param {GameState} [gameState]
+ */
+const pieceFromJSON = (data, gameState) => data.type === 'Flag' ? Flag.fromJSON(data, gameState) : Piece.fromJSON(data, gameState);
+
+describe('Cell layers', () => {
+  /** @type {GameState} */
+  let state;
+  const here = new Coordinate(0, 0);
+  const there = new Coordinate(1, 0);
+
+  beforeEach(() => {
+    state = new GameState();
+    state.addPlayer('player1', 'Alice');
+    state.addPlayer('player2', 'Bob');
+  });
+
+  it('should stack pieces bottom up', () => {
+    const cell = Cell.empty(here);
+    const land = new Piece({ type: 'Land', owner: 'neutral', id: 'land1' });
+    const soldier = new Piece({ type: 'Soldier', owner: 'player1', id: 'soldier1' });
+
+    expect(cell.top()).toBeNull();
+    expect(cell.pushPiece(land)).toBe(0);
+    expect(cell.pushPiece(soldier)).toBe(1);
+
+    expect(cell.height).toBe(2);
+    expect(cell.terrain).toBe(land);
+    expect(cell.piece).toBe(soldier);
+    expect(cell.getLayer(2)).toBeNull();
+    expect(cell.top()).toBe(soldier);
+
+    expect(cell.popPiece()).toBe(soldier);
+    expect(cell.top()).toBe(land);
+    expect(cell.height).toBe(1);
+  });
+
+  it('should keep empty layers below the top and drop them above it', () => {
+    const cell = Cell.empty(here);
+    cell.setLayer(2, new Flag({ owner: 'player1', id: 'flag1' }));
+
+    expect(cell.layers.map(piece => piece?.id ?? null)).toEqual([null, null, 'flag1']);
+    expect(cell.hasPieceAtLayer(1)).toBe(false);
+
+    cell.setLayer(2, null);
+    expect(cell.height).toBe(0);
+    expect(cell.isCompletelyEmpty()).toBe(true);
+  });
+
+  it('should read cells saved before layer stacks', () => {
+    const cell = Cell.fromJSON({
+      coordinate: '0,0',
+      terrain: { type: 'Land', owner: 'neutral', id: 'land1' },
+      piece: { type: 'Soldier', owner: 'player1', id: 'soldier1' }
+    }, pieceFromJSON);
+
+    expect(cell.terrain?.id).toBe('land1');
+    expect(cell.piece?.id).toBe('soldier1');
+    expect(cell.toJSON().layers?.map(piece => piece?.id)).toEqual(['land1', 'soldier1']);
+  });
+
+  it('should save, restore and index stacks of any height', () => {
+    state.setTerrain(here, new Piece({ type: 'Land', owner: 'neutral', id: 'land1' }));
+    state.setPiece(here, new Piece({ type: 'Bridge', owner: 'neutral', id: 'bridge1' }));
+    state.setLayer(here, 2, new Flag({ owner: 'player1', id: 'flag1' }));
+
+    const restored = GameState.fromJSON(/** @type {any} */ (state.toJSON()), pieceFromJSON);
+
+    expect(restored.getLayersAt(here).map(piece => piece?.id)).toEqual(['land1', 'bridge1', 'flag1']);
+    expect(restored.getPieceLocation('flag1')).toEqual({ area: 'board', coordinate: here, layer: 2 });
+    expect(restored.findPieces('Flag').map(({ piece }) => piece.id)).toEqual(['flag1']);
+  });
+
+  it('should only place or move a piece onto the layer below it', () => {
+    state.setTerrain(here, new Piece({ type: 'Land', owner: 'neutral', id: 'land1' }));
+    state.setPiece(here, new Piece({ type: 'Bridge', owner: 'neutral', id: 'bridge1' }));
+    state.setTerrain(there, new Piece({ type: 'Land', owner: 'neutral', id: 'land2' }));
+
+    const placed = new Flag({ owner: 'player1', id: 'flag1' });
+    expect(() => new Place(placed).check(state.getCell(here), state, state)).not.toThrow();
+    expect(() => new Place(placed).check(state.getCell(there), state, state))
+      .toThrow('Cannot place piece on layer 2 without a piece on layer 1');
+
+    state.setLayer(here, 2, placed);
+    expect(() => new Move(placed).check(state.getCell(there), state, state))
+      .toThrow('Cannot move piece to layer 2 without a piece on layer 1');
+  });
+
+  it('should carry the whole stack above a moving piece', () => {
+    state.setTerrain(here, new Piece({ type: 'Land', owner: 'neutral', id: 'land1' }));
+    state.setTerrain(there, new Piece({ type: 'Land', owner: 'neutral', id: 'land2' }));
+    const bridge = new Piece({ type: 'Bridge', owner: 'player1', id: 'bridge1' });
+    state.setPiece(here, bridge);
+    state.setLayer(here, 2, new Flag({ owner: 'player1', id: 'flag1' }));
+
+    expect(Move.relocate(state, bridge, here, there).map(piece => piece.id)).toEqual(['flag1']);
+
+    expect(state.getLayersAt(here).map(piece => piece?.id)).toEqual(['land1']);
+    expect(state.getLayersAt(there).map(piece => piece?.id)).toEqual(['land2', 'bridge1', 'flag1']);
+    expect(state.getPieceById('flag1')?.coordinate).toEqual(there);
+  });
+});
@@ -0,0 +1,61 @@
+import { RuleViolation } from './Errors.js';
+
+/**
+ * A rule that applies to every action, checked after the action has been simulated.
+ * Constraints come from the engine, the active variant, and pieces on the board, so rules
+ * like "Citadels must stay connected" don't need to be repeated in every Action subclass.
+ *
+ * ```js
+ * const NoWaterLanding = new Constraint({
+ *   id: 'no-water-landing',
+ *   description: 'Pieces can never end up in water',
+ *   check(currentGame, newGame, action) {
+ *     if (action.piece.coordinate && newGame.isWater(action.piece.coordinate)) {
+ *       throw new RuleViolation('Pieces cannot end up in water');
+ *     }
+ *   }
+ * });
+ * ```
+ */
+export class Constraint {
+  /**
+   * @param {{ id: string, description?: string, check: (currentGame: import('./GameState.js').GameState, newGame: import('./GameState.js').GameState, action: import('../actions/Action.js').Action) => void }} cfg
+   */
+  constructor(cfg) {
+    this.id = cfg.id;
+    this.description = cfg.description || '';
+    this._check = cfg.check;
+  }
+
+  /**
+   * Check the rule against a simulated action
+   * @param {import('./GameState.js').GameState} currentGame - The game state before the action
+   * @param {import('./GameState.js').GameState} newGame - The game state after the action
+   * @param {import('../actions/Action.js').Action} action - The action being checked
+   * @throws {RuleViolation} If the action breaks the rule
+   */
+  check(currentGame, newGame, action) {
+    this._check(currentGame, newGame, action);
+  }
+}
+
+// Citadels must stay connected by orthogonally adjacent land (requirements/Battle.md)
+export const CitadelsConnected = new Constraint({
+  id: 'citadels-connected',
+  description: 'Citadels must stay connected by orthogonally adjacent land',
+  check(currentGame, newGame) {
+    const disconnected = newGame.getDisconnectedCitadels();
+    // Only reject actions that break an existing connection
+    if (disconnected.length === 0 || !currentGame.areCitadelsConnected()) {
+      return;
+    }
+    const where = disconnected.map(({ coordinate }) => coordinate.toString()).join(', ');
+    throw new RuleViolation(`Citadels must stay connected by orthogonally adjacent land; this would cut off the Citadel at ${where}`);
+  }
+});
+
+/**
+ * Constraints every game enforces, regardless of variant or pieces
+ * @type {Constraint[]}
+ */
+export const DEFAULT_CONSTRAINTS = [CitadelsConnected];
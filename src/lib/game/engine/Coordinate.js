@@ -181,4 +181,13 @@ export class Coordinate {
     const [x, y] = key.split(',').map(Number);
     return new Coordinate(x, y);
   }
+
+  /**
+   * Create a coordinate from its string representation
+   * @param {string} str - Format: "(x, y)", as produced by toString()
+   * @returns {Coordinate}
+   */
+  static fromString(str) {
+    return Coordinate.fromKey(str.replace(/[()\s]/g, ''));
+  }
 }
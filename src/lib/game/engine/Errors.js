@@ -24,3 +24,18 @@ export class RuleViolation extends GameError {
 }
 
 
+
+
+/**
+ * Exception thrown when the action log cannot be replayed,
+ * e.g. because an action type is unknown or refers to a piece that doesn't exist.
+ */
+export class ReplayError extends GameError {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ReplayError';
+  }
+}
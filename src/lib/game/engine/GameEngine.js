@@ -1,13 +1,21 @@
 import { GameState } from './GameState.js';
 import { PersistentGameState } from './PersistentGameState.js';
-import { GameStateReplay } from './GameStateReplay.js';
-import { RuleViolation } from './Errors.js';
+import { GameStateReplay, ReplayCheckpoints } from './GameStateReplay.js';
+import { RuleViolation, GameError } from './Errors.js';
 import { Coordinate } from './Coordinate.js';
+import { PieceRegistry } from '../pieces/PieceRegistry.js';
+import { ActionRegistry } from '../actions/ActionRegistry.js';
+import { DEFAULT_CONSTRAINTS } from './Constraints.js';
+import { PhaseMachine } from './PhaseMachine.js';
+import { lastCitadelStanding } from '../variants/Variant.js';
 
 /**
  * @typedef {Object} ValidAction
  * @property {import('../actions/Action.js').Action} action
- * @property {import('./Cell.js').Cell[]} targets
+ * @property {import('./Cell.js').Cell[]} targets - Cells the action can target,
+ *   or while a parameter is still needed, the cells holding its options
+ * @property {import('../actions/Action.js').ActionParameter} [parameter] - The next choice the action needs before a target
+ * @property {Array<Coordinate|string>} [options] - Valid values for that choice
  */
 
 /**
@@ -22,11 +30,11 @@ import { Coordinate } from './Coordinate.js';
  */
 export class GameEngine {
   /**
-   * @param {Function} pieceFromJSON - Function to recreate pieces from JSON
+   * @param {Function} [pieceFromJSON] - Function to recreate pieces from JSON (defaults to the PieceRegistry)
    * @param {PersistentGameState} [persistentState] - Persistent game state
    * @param {import('../variants/Variant.js').Variant} [variant] - Game variant
    */
-  constructor(pieceFromJSON, persistentState = undefined, variant = undefined) {
+  constructor(pieceFromJSON = PieceRegistry.fromJSON, persistentState = undefined, variant = undefined) {
     /** @type {PersistentGameState} */
     this.persistentState = persistentState || new PersistentGameState();
     
@@ -36,8 +44,26 @@ export class GameEngine {
     /** @type {Function} */
     this.pieceFromJSON = pieceFromJSON;
 
+    /**
+     * Rules checked against every action, in addition to those from the variant and pieces
+     * @type {import('./Constraints.js').Constraint[]}
+     */
+    this.constraints = [...DEFAULT_CONSTRAINTS];
+
     /** @type {GameState|null} */
     this._cachedCurrentState = null;
+
+    /**
+     * Snapshots used to avoid replaying the whole action log after the cache is dropped
+     * @type {ReplayCheckpoints}
+     */
+    this.checkpoints = new ReplayCheckpoints();
+
+    /**
+     * Groups of undone actions, most recently undone last
+     * @type {import('./PersistentGameState.js').GameAction[][]}
+     */
+    this._redoStack = [];
   }
 
   /**
@@ -48,18 +74,29 @@ export class GameEngine {
     if (!this._cachedCurrentState) {
       this._cachedCurrentState = GameStateReplay.replayToFullState(
         this.persistentState,
-        { pieceFromJSON: this.pieceFromJSON }
+        { pieceFromJSON: this.pieceFromJSON, checkpoints: this.checkpoints }
       );
     }
     return this._cachedCurrentState;
   }
 
   /**
-   * Invalidate the cached state (call after making changes to persistent state)
+   * Invalidate the cached state and all replay snapshots (call after changing the initial configuration)
    * @private
    */
   _invalidateCache() {
     this._cachedCurrentState = null;
+    this.checkpoints.clear();
+  }
+
+  /**
+   * Invalidate the cached state after actions were removed from or restored to the log.
+   * Snapshots taken within the remaining log stay valid.
+   * @private
+   */
+  _invalidateCacheAfterLogChange() {
+    this._cachedCurrentState = null;
+    this.checkpoints.invalidateAfter(this.persistentState.actions.length);
   }
 
   /**
@@ -100,7 +137,7 @@ export class GameEngine {
 
   /**
    * Set the game phase
-   * @param {'lobby'|'land'|'citadel'|'done'} phase
+   * @param {import('./PhaseMachine.js').GamePhase} phase
    */
   setPhase(phase) {
     this.persistentState.setPhase(phase);
@@ -154,12 +191,23 @@ export class GameEngine {
   checkAction(piece, action, targetCell) {
     // Get current state for validation
     const currentState = this.getCurrentState();
+    if (currentState.isOver()) {
+      throw new RuleViolation('The game is over');
+    }
+    PhaseMachine.checkActionAllowed(currentState, action.type);
+
+    const missing = action.getMissingParameter();
+    if (missing) {
+      throw new RuleViolation(`${action.getDescription()} needs a ${missing.name} to be chosen first`);
+    }
     
-    // Create a simulation copy 
+    // Create a simulation copy, and a separate copy for the "new state" that the check method expects.
+    // Both are made before taking any cells, so that each keeps its own pieces (see GameState.getCell).
     const simulationState = currentState.copy({ isSimulation: true });
+    const newState = currentState.copy({ isSimulation: true });
     
     // Set up the piece in the simulation
-    const simulationPiece = this._findPieceInState(piece.id, simulationState);
+    const simulationPiece = simulationState.getPieceById(piece.id);
     if (!simulationPiece) {
       throw new RuleViolation('Piece not found on the board');
     }
@@ -167,18 +215,14 @@ export class GameEngine {
     // Get the corresponding cell in the simulation state
     const simulationTargetCell = simulationState.getCell(targetCell.coordinate);
     
-    // Create the action instance for the simulation piece
-    /** @type {typeof import('../actions/Action.js').Action} */
-    const ActionClass = /** @type {any} */ (action.constructor);
-    const simulationAction = new ActionClass(simulationPiece);
+    // Create the action instance for the simulation piece, keeping its parameters
+    const simulationAction = this._bindAction(action, simulationPiece);
     
-    // Create a separate copy for the "new state" that the check method expects
-    const newState = simulationState.copy({ isSimulation: true });
-    const newStatePiece = this._findPieceInState(piece.id, newState);
+    const newStatePiece = newState.getPieceById(piece.id);
     if (!newStatePiece) {
       throw new RuleViolation('Piece not found in new state');
     }
-    const newStateAction = new ActionClass(newStatePiece);
+    const newStateAction = this._bindAction(action, newStatePiece);
     const newStateTargetCell = newState.getCell(targetCell.coordinate);
     
     // Apply the action to the new state to simulate the result
@@ -186,6 +230,30 @@ export class GameEngine {
     
     // Now check the action validity using the original and modified states
     simulationAction.check(simulationTargetCell, simulationState, newState);
+
+    // Then check the rules that apply to every action
+    for (const constraint of this.getConstraints(simulationState)) {
+      constraint.check(simulationState, newState, simulationAction);
+    }
+  }
+
+  /**
+   * Get every constraint that applies to actions in a game state:
+   * the engine's own, the variant's, and those of pieces on the board
+   * @param {GameState} gameState
+   * @returns {import('./Constraints.js').Constraint[]}
+   */
+  getConstraints(gameState) {
+    // Several pieces of the same type share their constraints, so only keep one of each
+    const constraints = new Set([...this.constraints, ...(this.variant?.constraints || [])]);
+    for (const cell of gameState.board.values()) {
+      for (const piece of cell.layers) {
+        for (const constraint of piece?.getConstraints() || []) {
+          constraints.add(constraint);
+        }
+      }
+    }
+    return [...constraints];
   }
 
   /**
@@ -199,26 +267,59 @@ export class GameEngine {
     // First validate the action
     this.checkAction(piece, action, targetCell);
     
-    // Get current state to execute action on
+    // Get current state to execute action on, and make sure the action acts on its pieces
     const gameState = this.getCurrentState();
+    const livePiece = gameState.getPieceById(piece.id);
+    if (!livePiece) {
+      throw new RuleViolation('Piece not found on the board');
+    }
+    const liveAction = action.piece === livePiece ? action : this._bindAction(action, livePiece);
+    const liveTargetCell = gameState.getCell(targetCell.coordinate);
+    const historyLength = gameState.actionHistory.length;
+    const phase = gameState.phase;
     
-    // Apply the action to the game state (which will record itself in actionHistory)
-    action.perform(targetCell, gameState);
+    // Apply the action to the cached game state (which will record itself in actionHistory)
+    try {
+      liveAction.perform(liveTargetCell, gameState);
+    } catch (error) {
+      // The cached state may be half-modified, rebuild it from the log next time
+      this._invalidateCacheAfterLogChange();
+      throw error;
+    }
     
-    // Extract the recorded action from the temporary gameState and add to persistent state
-    const recordedAction = gameState.actionHistory[gameState.actionHistory.length - 1];
+    // Extract the recorded action from the gameState and add to persistent state
+    const recordedAction = gameState.actionHistory.length > historyLength
+      ? gameState.actionHistory[gameState.actionHistory.length - 1]
+      : null;
     if (recordedAction) {
       this.persistentState.addAction({
         type: /** @type {any} */ (recordedAction).type || /** @type {any} */ (recordedAction).name,
         pieceId: /** @type {any} */ (recordedAction).pieceId || piece.id,
         data: /** @type {any} */ (recordedAction).data || /** @type {any} */ (recordedAction),
         turnNumber: /** @type {any} */ (recordedAction).turnNumber || gameState.turnNumber,
-        player: /** @type {any} */ (recordedAction).player || gameState.currentPlayer
+        player: /** @type {any} */ (recordedAction).player || gameState.currentPlayer,
+        // Keep the player's choices so the log shows how the action was made
+        ...(liveAction.parameters.length > 0 ? { params: liveAction.serializeParams() } : {})
       });
     }
     
-    // Invalidate cache so next getCurrentState() will replay from persistent state
-    this._invalidateCache();
+    // Any new action invalidates the redo history
+    this._redoStack = [];
+
+    const persistedAction = this.persistentState.getLastAction();
+    if (recordedAction && persistedAction) {
+      // Keep the cached state identical to what replaying the log would produce
+      gameState.actionHistory[gameState.actionHistory.length - 1] = persistedAction;
+      gameState.lastModified = new Date(persistedAction.timestamp);
+
+      const actionCount = this.persistentState.actions.length;
+      if (this.checkpoints.shouldSnapshot(actionCount, gameState.phase !== phase)) {
+        this.checkpoints.save(actionCount, gameState);
+      }
+    } else {
+      // Nothing was recorded, so the log can't reproduce the change: rebuild from the log
+      this._invalidateCacheAfterLogChange();
+    }
 
     // Variant post-action hook
     if (this.variant?.onAction) {
@@ -231,12 +332,42 @@ export class GameEngine {
       }
     }
 
+    this.checkGameEnd();
+
     // Update Firestore if needed
     if (this.persistentState.getGameId()) {
       this._updateFirestore().catch(console.error);
     }
   }
 
+  /**
+   * Evaluate the win condition and end the game if it is met, recording an `end_game` action.
+   * Uses the variant's checkEnd, or the last Citadel standing rule when there is no variant.
+   * Only evaluated during battle, since setup phases start with Citadels still being placed.
+   * @returns {import('../variants/Variant.js').EndResult|null} The result if the game ended
+   */
+  checkGameEnd() {
+    const currentState = this.getCurrentState();
+    if (currentState.phase !== 'battle') {
+      return null;
+    }
+
+    const result = this.variant ? this.variant.checkEnd(currentState) : lastCitadelStanding(currentState);
+    if (!result?.isEnded) {
+      return null;
+    }
+
+    this.persistentState.addAction({
+      type: 'end_game',
+      pieceId: '', // The game ends as a whole, not through a piece
+      data: { winner: result.winner, reason: result.reason },
+      turnNumber: currentState.turnNumber,
+      player: currentState.currentPlayer
+    });
+    this._invalidateCacheAfterLogChange();
+    return result;
+  }
+
   /**
    * Execute an action and wait for Firestore update
    * @param {import('../pieces/Piece.js').Piece} piece
@@ -264,33 +395,21 @@ export class GameEngine {
   }
 
   /**
-   * Get all valid actions for a piece
+   * Get all valid actions for a piece.
+   * Pieces on the board use their own actions and can board carriers; pieces in a stash or the community pool can be deployed.
+   * Actions with parameters are offered with the options for their first choice.
    * @param {import('../pieces/Piece.js').Piece} piece
    * @returns {ValidAction[]}
    */
   getValidActionsForPiece(piece) {
-    const currentState = this.getCurrentState();
-    
-    if (!piece.coordinate) {
-      return [];
-    }
-
-    const actions = piece.getActions();
     const validActions = [];
 
-    for (const ActionClass of actions) {
+    for (const ActionClass of GameEngine._getOfferedActions(piece)) {
       /** @type {typeof import('../actions/Action.js').Action} */
       const TypedActionClass = /** @type {any} */ (ActionClass);
-      const action = new TypedActionClass(piece);
-      
-      // Generate potential targets by iterating over board extents plus margin
-      const validTargets = this.getValidTargetsForAction(piece, action);
-
-      if (validTargets.length > 0) {
-        validActions.push({
-          action,
-          targets: validTargets
-        });
+      const validAction = this.getValidAction(piece, new TypedActionClass(piece));
+      if (validAction) {
+        validActions.push(validAction);
       }
     }
 
@@ -298,41 +417,228 @@ export class GameEngine {
   }
 
   /**
-   * Get valid targets for an action
+   * Find the action a piece takes on a cell from the type it records under, e.g. for a move sent by a client.
+   * Class names can't be used for this, as minifiers rename them.
+   * Several of a piece's actions may record under the same type (a Soldier's own move and boarding a Turtle
+   * are both a `move`); the first one valid for the target is used, since the action log can't tell them apart either.
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @param {string} type - The type the action records under
+   * @param {import('./Cell.js').Cell} targetCell
+   * @param {Object<string, string>} [params] - Serialized parameters (see Action.serializeParams)
+   * @returns {import('../actions/Action.js').Action}
+   * @throws {GameError} If no action records under the type
+   * @throws {RuleViolation} If the piece can't take an action of that type on the target
+   */
+  findAction(piece, type, targetCell, params = {}) {
+    if (!ActionRegistry.get(type)) {
+      throw new GameError(`Unknown action type: ${type}`);
+    }
+
+    /** @type {typeof import('../actions/Action.js').Action[]} */
+    const candidates = /** @type {any[]} */ (GameEngine._getOfferedActions(piece)).filter(ActionClass => ActionClass.type === type);
+    if (candidates.length === 0) {
+      throw new RuleViolation(`${piece.type} cannot ${type}`);
+    }
+
+    const actions = candidates.map(ActionClass => new ActionClass(piece, ActionClass.deserializeParams(params)));
+    const valid = actions.find(action => this.validateAction(piece, action, targetCell));
+    if (valid) {
+      return valid;
+    }
+    // Report why the first of them doesn't apply
+    this.checkAction(piece, actions[0], targetCell);
+    return actions[0];
+  }
+
+  /**
+   * The action classes a piece is offered: its own and boarding actions on the board, its deploy actions off it
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @returns {Function[]}
+   * @private
+   */
+  static _getOfferedActions(piece) {
+    return piece.coordinate ? [...piece.getActions(), ...piece.getBoardingActions()] : piece.getDeployActions();
+  }
+
+  /**
+   * Describe what a player can do next with an action whose parameters may be partly chosen:
+   * pick one of the options for its next parameter, or pick a target once every parameter is chosen
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @param {import('../actions/Action.js').Action} action
+   * @returns {ValidAction|null} null if the action can't be completed
+   */
+  getValidAction(piece, action) {
+    const next = this.getParameterOptions(piece, action);
+    if (!next) {
+      const targets = this.getValidTargetsForAction(piece, action);
+      return targets.length > 0 ? { action, targets } : null;
+    }
+    if (next.options.length === 0) {
+      return null;
+    }
+
+    // Point at the options on the board, so they can be picked like targets
+    const currentState = this.getCurrentState();
+    const targets = [];
+    for (const option of next.options) {
+      const coordinate = next.parameter.kind === 'cell'
+        ? /** @type {Coordinate} */ (option)
+        : next.parameter.kind === 'piece' ? currentState.getPieceById(/** @type {string} */ (option))?.coordinate : null;
+      if (coordinate) {
+        targets.push(currentState.getCell(coordinate));
+      }
+    }
+    return { action, targets, parameter: next.parameter, options: next.options };
+  }
+
+  /**
+   * Get the valid options for the next parameter an action needs.
+   * An option is valid if the action can still be completed with it,
+   * i.e. some choice of the remaining parameters and target passes checkAction.
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @param {import('../actions/Action.js').Action} action
+   * @returns {{parameter: import('../actions/Action.js').ActionParameter, options: Array<Coordinate|string>}|null}
+   *   null if every parameter has been chosen
+   */
+  getParameterOptions(piece, action) {
+    const parameter = action.getMissingParameter();
+    if (!parameter) {
+      return null;
+    }
+
+    const currentState = this.getCurrentState();
+    const candidates = parameter.options
+      ? parameter.options(action, currentState)
+      : this._getParameterCandidates(piece, action, parameter, currentState);
+    const options = candidates.filter(value => this._canComplete(piece, action.withParams({ [parameter.name]: value })));
+    return { parameter, options };
+  }
+
+  /**
+   * Check whether an action can be completed with some choice of its remaining parameters and target
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @param {import('../actions/Action.js').Action} action
+   * @returns {boolean}
+   * @private
+   */
+  _canComplete(piece, action) {
+    const next = this.getParameterOptions(piece, action);
+    if (next) {
+      return next.options.length > 0;
+    }
+    return this._getCandidateCells(piece, action).some(cell => this._isValidTarget(piece, action, cell));
+  }
+
+  /**
+   * Choices for parameters that don't narrow down their own options: the cells the action
+   * generates as candidate targets, or every piece of the kind
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @param {import('../actions/Action.js').Action} action
+   * @param {import('../actions/Action.js').ActionParameter} parameter
+   * @param {GameState} gameState
+   * @returns {Array<Coordinate|string>}
+   * @private
+   */
+  _getParameterCandidates(piece, action, parameter, gameState) {
+    switch (parameter.kind) {
+      case 'cell':
+        return this._getCandidateCells(piece, action).map(cell => cell.coordinate);
+      case 'piece':
+        return [...gameState.board.values()].flatMap(cell => cell.piece ? [cell.piece.id] : []);
+      case 'graveyard':
+        return gameState.graveyard.map(piece => piece.id);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Get valid targets for an action, simulating it only on the candidates it generates
    * @param {import('../pieces/Piece.js').Piece} piece
    * @param {import('../actions/Action.js').Action} action
    * @returns {import('./Cell.js').Cell[]}
    */
   getValidTargetsForAction(piece, action) {
+    return this._getCandidateCells(piece, action).filter(cell => this._isValidTarget(piece, action, cell));
+  }
+
+  /**
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @param {import('../actions/Action.js').Action} action
+   * @param {import('./Cell.js').Cell} cell
+   * @returns {boolean}
+   * @private
+   */
+  _isValidTarget(piece, action, cell) {
+    try {
+      this.checkAction(piece, action, cell);
+      return true;
+    } catch (error) {
+      // Only rule violations mean the target isn't valid; anything else is a bug to surface
+      if (error instanceof RuleViolation) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the distinct cells an action's getCandidateTargets yields in the current state
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @param {import('../actions/Action.js').Action} action
+   * @returns {import('./Cell.js').Cell[]}
+   * @private
+   */
+  _getCandidateCells(piece, action) {
     const currentState = this.getCurrentState();
-    const validTargets = [];
-    
-    // Get board extents with a margin for pieces that can move long distances
-    const extents = currentState.getBoardExtents();
-    const margin = 5; // Allow pieces to move beyond current board
-    
-    for (let x = extents.minX - margin; x <= extents.maxX + margin; x++) {
-      for (let y = extents.minY - margin; y <= extents.maxY + margin; y++) {
-        const coord = new Coordinate(x, y);
-        const cell = currentState.getCell(coord);
-        
-        try {
-          this.checkAction(piece, action, cell);
-          validTargets.push(cell);
-        } catch (error) {
-          // Action is not valid for this target, skip it
-        }
+
+    // Generate from the piece as it is in the current state
+    const livePiece = currentState.getPieceById(piece.id);
+    if (!livePiece) {
+      return [];
+    }
+    const liveAction = action.piece === livePiece ? action : this._bindAction(action, livePiece);
+
+    /** @type {Map<string, import('./Cell.js').Cell>} */
+    const cells = new Map();
+    for (const coordinate of liveAction.getCandidateTargets(currentState)) {
+      if (!cells.has(coordinate.key)) {
+        cells.set(coordinate.key, currentState.getCell(coordinate));
       }
     }
+    return [...cells.values()];
+  }
+
+  /**
+   * Leave the lobby and start the first setup phase
+   * @throws {RuleViolation} If the game can't start yet
+   */
+  startGame() {
+    const currentState = this.getCurrentState();
+    PhaseMachine.checkStart(currentState);
+
+    this.persistentState.addAction({
+      type: 'start_game',
+      pieceId: '',
+      data: /** @type {any} */ ({}),
+      turnNumber: currentState.turnNumber,
+      player: currentState.currentPlayer
+    });
 
-    return validTargets;
+    this._redoStack = [];
+    this._invalidateCacheAfterLogChange();
   }
 
   /**
-   * End the current player's turn
+   * End the current player's turn.
+   * Setup phases pass the turn after every action, so only phases with several actions per turn allow this.
    */
   endTurn() {
     const currentState = this.getCurrentState();
+    if (currentState.isOver()) {
+      throw new RuleViolation('The game is over');
+    }
+    PhaseMachine.checkActionAllowed(currentState, 'end_turn');
     
     // Record the end turn action
     this.persistentState.addAction({
@@ -343,48 +649,155 @@ export class GameEngine {
       player: currentState.currentPlayer
     });
     
-    this._invalidateCache();
+    this._redoStack = [];
+    this._invalidateCacheAfterLogChange();
   }
 
   /**
-   * Find a piece by ID in a game state
-   * @param {string} pieceId
-   * @param {GameState} gameState
-   * @returns {import('../pieces/Piece.js').Piece|null}
-   * @private
+   * Check if there is anything to undo
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.persistentState.actions.length > 0;
+  }
+
+  /**
+   * Check if there is anything to redo
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * Undo recorded actions and rebuild the state by replaying what remains.
+   * By default this rolls back to the last turn boundary, i.e. every trailing action
+   * recorded by the same player on the same turn (including its end_turn).
+   * @param {Object} [options]
+   * @param {boolean} [options.singleAction] - Only undo the most recent action
+   * @returns {import('./PersistentGameState.js').GameAction[]} The undone actions, oldest first
    */
-  _findPieceInState(pieceId, gameState) {
-    // Check board pieces
-    for (const [key, cell] of gameState.board) {
-      if (cell.piece?.id === pieceId) return cell.piece;
-      if (cell.terrain?.id === pieceId) return cell.terrain;
+  undo(options = {}) {
+    const last = this.persistentState.getLastAction();
+    if (!last) {
+      return [];
     }
-    
-    // Check player stashes
-    for (const [playerId, stash] of gameState.playerStashes) {
-      const piece = stash.find(p => p.id === pieceId);
-      if (piece) return piece;
+
+    /** @type {import('./PersistentGameState.js').GameAction[]} */
+    const undone = [];
+    /** @type {import('./PersistentGameState.js').GameAction|null} */
+    let action = last;
+    while (action && (undone.length === 0 || GameEngine._isSameTurn(action, last))) {
+      const popped = this.persistentState.popAction();
+      if (!popped) break;
+      undone.unshift(popped);
+      if (options.singleAction) break;
+      action = this.persistentState.getLastAction();
     }
-    
-    // Check community pool
-    const communityPiece = gameState.communityPool.find(p => p.id === pieceId);
-    if (communityPiece) return communityPiece;
-    
-    // Check graveyard
-    const graveyardPiece = gameState.graveyard.find(p => p.id === pieceId);
-    if (graveyardPiece) return graveyardPiece;
-    
-    return null;
+
+    this._redoStack.push(undone);
+    this._invalidateCacheAfterLogChange();
+
+    if (this.persistentState.getGameId()) {
+      this._updateFirestore().catch(console.error);
+    }
+
+    return undone;
+  }
+
+  /**
+   * Re-apply the most recently undone group of actions
+   * @returns {import('./PersistentGameState.js').GameAction[]} The restored actions, oldest first
+   */
+  redo() {
+    const group = this._redoStack.pop();
+    if (!group) {
+      return [];
+    }
+
+    for (const action of group) {
+      this.persistentState.restoreAction(action);
+    }
+    this._invalidateCacheAfterLogChange();
+
+    if (this.persistentState.getGameId()) {
+      this._updateFirestore().catch(console.error);
+    }
+
+    return group;
+  }
+
+  /**
+   * Check if two recorded actions belong to the same turn
+   * @param {import('./PersistentGameState.js').GameAction} a
+   * @param {import('./PersistentGameState.js').GameAction} b
+   * @returns {boolean}
+   * @private
+   */
+  static _isSameTurn(a, b) {
+    return a.player === b.player && a.turnNumber === b.turnNumber;
+  }
+
+  /**
+   * Create a copy of an action that acts on a different instance of its piece,
+   * keeping any extra state the action was constructed with
+   * @param {import('../actions/Action.js').Action} action
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @returns {import('../actions/Action.js').Action}
+   * @private
+   */
+  _bindAction(action, piece) {
+    return Object.assign(Object.create(Object.getPrototypeOf(action)), action, { piece });
+  }
+
+  /**
+   * Find a piece by ID in the current state, on the board or off it
+   * @param {string} pieceId
+   * @returns {import('../pieces/Piece.js').Piece|null}
+   */
+  findPiece(pieceId) {
+    return this.getCurrentState().getPieceById(pieceId);
+  }
+
+  /**
+   * Create an engine for a full GameState, such as one loaded from Firestore.
+   * The state's action history becomes the log, and the state itself is kept as a replay
+   * checkpoint, so the engine carries on from it instead of replaying from the lobby.
+   * @param {GameState} gameState
+   * @param {import('../variants/Variant.js').Variant|null} [variant]
+   * @param {Function} [pieceFromJSON] - Defaults to the PieceRegistry
+   * @returns {GameEngine}
+   */
+  static fromGameState(gameState, variant = null, pieceFromJSON = PieceRegistry.fromJSON) {
+    const persistentState = new PersistentGameState();
+    persistentState.updateInitial({
+      players: [...gameState.players],
+      playerInfo: gameState.playerInfo.map(info => ({ ...info })),
+      hostPlayerId: gameState.hostPlayerId,
+      setup: gameState.setup ? { ...gameState.setup } : null,
+      createdAt: gameState.createdAt.toISOString(),
+      seed: gameState.randomSeed
+    });
+    persistentState.actions = gameState.actionHistory.map(entry => {
+      const action = /** @type {any} */ (entry);
+      // Timestamps may be Dates, ISO strings, or Firestore Timestamps
+      const timestamp = typeof action.timestamp?.toDate === 'function' ? action.timestamp.toDate() : action.timestamp;
+      return { ...action, timestamp: new Date(timestamp ?? Date.now()).toISOString() };
+    });
+
+    const engine = new GameEngine(pieceFromJSON, persistentState, variant || undefined);
+    engine.checkpoints.save(persistentState.actions.length, gameState);
+    return engine;
   }
 
   /**
    * Create from persistent state JSON
    * @param {import('./PersistentGameState.js').PersistentGameStateJSON} data
-   * @param {Function} pieceFromJSON
+   * @param {Function} [pieceFromJSON] - Defaults to the PieceRegistry
    * @param {import('../variants/Variant.js').Variant} [variant]
    * @returns {GameEngine}
    */
-  static fromJSON(data, pieceFromJSON, variant) {
+  static fromJSON(data, pieceFromJSON = PieceRegistry.fromJSON, variant = undefined) {
     const persistentState = PersistentGameState.fromJSON(data);
     return new GameEngine(pieceFromJSON, persistentState, variant);
   }
@@ -1,8 +1,23 @@
-import { test, expect, describe } from 'vitest';
+import { test, expect, describe, vi, afterEach } from 'vitest';
 import { GameEngine } from './GameEngine.js';
+import { GameState } from './GameState.js';
+import { PhaseMachine } from './PhaseMachine.js';
 import { PersistentGameState } from './PersistentGameState.js';
-import { Land } from '../pieces/Land.js';
+import { GameStateReplay, ReplayCheckpoints } from './GameStateReplay.js';
+import { ActionRegistry } from '../actions/ActionRegistry.js';
+import { ReplayError, RuleViolation, GameError } from './Errors.js';
+import { Piece } from '../pieces/Piece.js';
+import { Citadel } from '../pieces/Citadel.js';
+import { Builder, BuilderMove, BuilderMoveTerrain, BuilderRemoveTerrain } from '../pieces/Builder.js';
+import { Bird, BirdMove } from '../pieces/Bird.js';
+import { Soldier, SoldierMove } from '../pieces/Soldier.js';
+import { Constraint, CitadelsConnected } from './Constraints.js';
+import { Variant } from '../variants/Variant.js';
+import { Assassin } from '../variants/Assassin.js';
+import { PieceRegistry } from '../pieces/PieceRegistry.js';
+import { Land, LandPlace } from '../pieces/Land.js';
 import { Coordinate } from './Coordinate.js';
+import { Place } from '../actions/Place.js';
 
 // Mock piece from JSON function
 function mockPieceFromJSON(/** @type {any} */ data) {
@@ -115,7 +130,7 @@ describe('GameEngine2 - Persistent State Design', () => {
     const persistentState = engine.getPersistentState();
     expect(persistentState.actions).toHaveLength(1);
     expect(persistentState.actions[0].type).toBe('place');
-    expect(persistentState.actions[0].pieceId).toBe('land1');
+    expect(persistentState.actions[0].pieceId).toBe('Land#1');
     expect((/** @type {any} */ (persistentState.actions[0].data)).at).toBe('(0, 0)');
     
     // Create a new engine from the serialized state
@@ -127,7 +142,7 @@ describe('GameEngine2 - Persistent State Design', () => {
     expect(newCurrentState.hasTerrain(coordinate)).toBe(true);
     const terrain = newCurrentState.getTerrainAt(coordinate);
     expect(terrain?.type).toBe('Land');
-    expect(terrain?.id).toBe('land1');
+    expect(terrain?.id).toBe('Land#1');
   });
 
   test('serialized state should be minimal', () => {
@@ -186,3 +201,747 @@ describe('GameEngine2 - Persistent State Design', () => {
     expect((/** @type {any} */ (reconstructedState.setup))?.landsPerPlayer).toBe(3);
   });
 });
+
+describe('GameEngine - Undo/Redo', () => {
+  /**
+   * Create an engine with two players and some land in the community pool
+   * @returns {GameEngine}
+   */
+  function createEngine() {
+    const engine = new GameEngine(mockPieceFromJSON);
+    engine.addPlayer('player1', 'Alice');
+    engine.addPlayer('player2', 'Bob');
+    engine.setPhase('land');
+    engine.updateInitialConfig({
+      initialPieces: ['land1', 'land2', 'land3'].map(id => new Land({ id, owner: 'neutral' }).toJSON())
+    });
+    return engine;
+  }
+
+  /**
+   * Place a land piece from the community pool through the engine
+   * @param {GameEngine} engine
+   * @param {string} pieceId
+   * @param {number} x
+   * @param {number} y
+   */
+  function placeLand(engine, pieceId, x, y) {
+    const state = engine.getCurrentState();
+    const land = state.communityPool.find(p => p.id === pieceId);
+    if (!land) {
+      throw new Error(`Land ${pieceId} not found in community pool`);
+    }
+    const LandPlaceAction = /** @type {any} */ (land.getActions()[0]);
+    engine.executeAction(land, new LandPlaceAction(land), state.getCell(new Coordinate(x, y)));
+  }
+
+  test('should report nothing to undo or redo on a fresh game', () => {
+    const engine = createEngine();
+
+    expect(engine.canUndo()).toBe(false);
+    expect(engine.canRedo()).toBe(false);
+    expect(engine.undo()).toEqual([]);
+    expect(engine.redo()).toEqual([]);
+  });
+
+  test('should undo and redo an action by replaying the action log', () => {
+    const engine = createEngine();
+    placeLand(engine, 'land1', 0, 0);
+    expect(engine.canUndo()).toBe(true);
+
+    const undone = engine.undo();
+    expect(undone).toHaveLength(1);
+    expect(engine.getPersistentState().actions).toHaveLength(0);
+    expect(engine.getCurrentState().hasTerrain(new Coordinate(0, 0))).toBe(false);
+    expect(engine.canRedo()).toBe(true);
+
+    const redone = engine.redo();
+    expect(redone).toEqual(undone);
+    expect(engine.getPersistentState().actions).toHaveLength(1);
+    expect(engine.getCurrentState().hasTerrain(new Coordinate(0, 0))).toBe(true);
+    expect(engine.canRedo()).toBe(false);
+  });
+
+  test('should roll back to the last turn boundary by default', () => {
+    const engine = createEngine();
+    // Setup phases pass the turn after every placement; battle turns last until end_turn
+    engine.setPhase('battle');
+    engine.variant = new Variant({ id: 'endless', name: 'Endless', checkEnd: () => ({ isEnded: false }) });
+    placeLand(engine, 'land1', 0, 0);
+    engine.endTurn();
+    placeLand(engine, 'land2', 1, 0);
+    placeLand(engine, 'land3', 2, 0);
+
+    const undone = engine.undo();
+    expect(undone.map(a => a.pieceId)).toEqual(['Land#2', 'Land#3']);
+
+    const state = engine.getCurrentState();
+    expect(state.hasTerrain(new Coordinate(0, 0))).toBe(true);
+    expect(state.hasTerrain(new Coordinate(1, 0))).toBe(false);
+    expect(state.hasTerrain(new Coordinate(2, 0))).toBe(false);
+    expect(state.currentPlayer).toBe('player2');
+
+    // Undoing again removes the whole previous turn, including its end_turn
+    const previousTurn = engine.undo();
+    expect(previousTurn.map(a => a.type)).toEqual(['place', 'end_turn']);
+    expect(engine.getCurrentState().currentPlayer).toBe('player1');
+  });
+
+  test('should not undo across the start of the battle', () => {
+    const persistent = new PersistentGameState();
+    persistent.addPlayer('player1', 'Alice');
+    persistent.addPlayer('player2', 'Bob');
+    persistent.setSetup({ landsPerPlayer: 0, personalPiecesPerPlayer: 1, communityPiecesPerPlayer: 0 });
+    persistent.setPhase('selection');
+    persistent.initial.initialPieces = [new Land({ id: 'land1', owner: 'neutral' }).toJSON()];
+    // Player1 makes the last pick, so the turn doesn't wrap around before the battle starts
+    for (const [player, id] of [['player2', 'pick2'], ['player1', 'pick1']]) {
+      persistent.addAction({
+        type: 'select-piece',
+        pieceId: id,
+        player,
+        turnNumber: 1,
+        data: { destination: 'stash', piece: new Land({ id, owner: player }).toJSON() }
+      });
+    }
+    const engine = new GameEngine(mockPieceFromJSON, persistent);
+    engine.variant = new Variant({ id: 'endless', name: 'Endless', checkEnd: () => ({ isEnded: false }) });
+    expect(engine.getCurrentState().phase).toBe('battle');
+    expect(engine.getCurrentState().currentPlayer).toBe('player1');
+
+    placeLand(engine, 'land1', 0, 0);
+    expect(engine.undo().map(a => a.type)).toEqual(['place']);
+    expect(engine.getPersistentState().actions).toHaveLength(2);
+  });
+
+  test('should undo a single action when requested', () => {
+    const engine = createEngine();
+    placeLand(engine, 'land1', 0, 0);
+    placeLand(engine, 'land2', 1, 0);
+
+    const undone = engine.undo({ singleAction: true });
+    expect(undone.map(a => a.pieceId)).toEqual(['Land#2']);
+
+    const state = engine.getCurrentState();
+    expect(state.hasTerrain(new Coordinate(0, 0))).toBe(true);
+    expect(state.hasTerrain(new Coordinate(1, 0))).toBe(false);
+  });
+
+  test('should clear the redo stack when a new action is executed', () => {
+    const engine = createEngine();
+    placeLand(engine, 'land1', 0, 0);
+    placeLand(engine, 'land2', 1, 0);
+    engine.undo({ singleAction: true });
+    expect(engine.canRedo()).toBe(true);
+
+    placeLand(engine, 'land3', 0, 1);
+    expect(engine.canRedo()).toBe(false);
+    expect(engine.redo()).toEqual([]);
+  });
+
+  test('should allocate the same piece IDs when the log is replayed', () => {
+    const engine = createEngine();
+    placeLand(engine, 'land1', 0, 0);
+    placeLand(engine, 'land2', 1, 0);
+    const ids = () => engine.getCurrentState().getAllTerrainCoordinates()
+      .map(c => engine.getCurrentState().getTerrainAt(c)?.id);
+    expect(ids()).toEqual(['Land#1', 'Land#2']);
+
+    const replayed = GameEngine.fromJSON(engine.toJSON(), mockPieceFromJSON);
+    expect(replayed.getCurrentState().getAllTerrainCoordinates()
+      .map(c => replayed.getCurrentState().getTerrainAt(c)?.id)).toEqual(['Land#1', 'Land#2']);
+
+    // Both carry on from the same place
+    engine.undo({ singleAction: true });
+    placeLand(engine, 'land3', 1, 0);
+    expect(ids()).toEqual(['Land#1', 'Land#2']);
+    expect(replayed.getCurrentState().allocatePieceId('Land')).toBe('Land#3');
+  });
+});
+
+describe('GameEngine - Replay checkpoints', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Create an engine with one player and plenty of land in the community pool
+   * @returns {GameEngine}
+   */
+  function createEngine() {
+    const engine = new GameEngine(mockPieceFromJSON);
+    engine.checkpoints = new ReplayCheckpoints({ interval: 2 });
+    engine.addPlayer('player1', 'Alice');
+    engine.setPhase('land');
+    engine.updateInitialConfig({
+      initialPieces: ['land1', 'land2', 'land3', 'land4', 'land5'].map(id => new Land({ id, owner: 'neutral' }).toJSON())
+    });
+    return engine;
+  }
+
+  /**
+   * Place land pieces from the community pool in a row starting at the origin
+   * @param {GameEngine} engine
+   * @param {string[]} pieceIds
+   */
+  function placeRow(engine, pieceIds) {
+    for (const pieceId of pieceIds) {
+      const state = engine.getCurrentState();
+      const land = state.communityPool.find(p => p.id === pieceId);
+      if (!land) {
+        throw new Error(`Land ${pieceId} not found in community pool`);
+      }
+      const x = state.getAllTerrainCoordinates().length;
+      const LandPlaceAction = /** @type {any} */ (land.getActions()[0]);
+      engine.executeAction(land, new LandPlaceAction(land), state.getCell(new Coordinate(x, 0)));
+    }
+  }
+
+  test('should apply executed actions to the cached state instead of replaying', () => {
+    const engine = createEngine();
+    const state = engine.getCurrentState();
+    const replaySpy = vi.spyOn(GameStateReplay, 'replayToFullState');
+
+    placeRow(engine, ['land1', 'land2', 'land3']);
+
+    expect(replaySpy).not.toHaveBeenCalled();
+    expect(engine.getCurrentState()).toBe(state);
+
+    // The incrementally updated state matches a full replay of the log
+    const replayed = GameStateReplay.replayToFullState(engine.getPersistentState(), { pieceFromJSON: mockPieceFromJSON });
+    expect(engine.getCurrentState().toJSON()).toEqual(replayed.toJSON());
+  });
+
+  test('should take snapshots periodically and resume replay from the nearest one', () => {
+    const engine = createEngine();
+    placeRow(engine, ['land1', 'land2', 'land3']);
+    expect([...engine.checkpoints.snapshots.keys()]).toEqual([2]);
+
+    const replaySpy = vi.spyOn(/** @type {any} */ (GameStateReplay), '_replayAction');
+    const rebuilt = GameEngine.fromJSON(engine.toJSON(), mockPieceFromJSON);
+    rebuilt.checkpoints = engine.checkpoints;
+    const state = rebuilt.getCurrentState();
+
+    // Only the action after the snapshot is replayed
+    expect(replaySpy).toHaveBeenCalledTimes(1);
+    expect(state.getAllTerrainCoordinates()).toHaveLength(3);
+    expect(state.actionHistory).toEqual(engine.getPersistentState().actions);
+  });
+
+  test('should drop snapshots past the end of the log on undo', () => {
+    const engine = createEngine();
+    placeRow(engine, ['land1', 'land2', 'land3', 'land4']);
+    expect([...engine.checkpoints.snapshots.keys()]).toEqual([2, 4]);
+
+    engine.undo({ singleAction: true });
+    expect([...engine.checkpoints.snapshots.keys()]).toEqual([2]);
+
+    const state = engine.getCurrentState();
+    expect(state.getAllTerrainCoordinates()).toHaveLength(3);
+    expect(state.hasTerrain(new Coordinate(3, 0))).toBe(false);
+  });
+
+  test('should drop all snapshots when the initial configuration changes', () => {
+    const engine = createEngine();
+    placeRow(engine, ['land1', 'land2']);
+    expect(engine.checkpoints.snapshots.size).toBe(1);
+
+    engine.addPlayer('player2', 'Bob');
+    expect(engine.checkpoints.snapshots.size).toBe(0);
+    expect(engine.getCurrentState().players).toEqual(['player1', 'player2']);
+  });
+});
+
+describe('GameStateReplay - Action registry', () => {
+  /**
+   * Create a persistent state with one player in the land phase
+   * @returns {PersistentGameState}
+   */
+  function createPersistentState() {
+    const persistent = new PersistentGameState();
+    persistent.addPlayer('player1', 'Alice');
+    persistent.setPhase('land');
+    return persistent;
+  }
+
+  test('should fail loudly on unknown action types', () => {
+    const persistent = createPersistentState();
+    persistent.addAction({ type: 'teleport', pieceId: 'citadel1', player: 'player1', turnNumber: 1, data: { at: '(0, 0)' } });
+
+    expect(() => GameStateReplay.replayToFullState(persistent, { pieceFromJSON: mockPieceFromJSON }))
+      .toThrow(ReplayError);
+  });
+
+  test('should recreate placed pieces that were not in the game from the recorded piece', () => {
+    const persistent = createPersistentState();
+    const land = new Land({ id: 'land1', owner: 'neutral' });
+    persistent.addAction({
+      type: 'place',
+      pieceId: land.id,
+      player: 'player1',
+      turnNumber: 1,
+      data: { at: '(2, 3)', piece: land.toJSON() }
+    });
+
+    const state = GameStateReplay.replayToFullState(persistent, { pieceFromJSON: mockPieceFromJSON });
+    expect(state.getCell(new Coordinate(2, 3)).terrain?.id).toBe('land1');
+  });
+
+  test('should replay the hand-logged placements of old saved games', () => {
+    const persistent = createPersistentState();
+    persistent.addPlayer('player2', 'Bob');
+    // The game page logged place-land next to the place entry LandPlace made, and place-citadel on its own
+    /** @type {any[]} */
+    const legacy = [
+      { type: 'place', pieceId: 'Land_1712345678901_abc123def', player: 'player1', turnNumber: 1, data: { at: '(0, 0)' } },
+      { type: 'place-land', at: '(0, 0)', player: 'player1', turnNumber: 1 },
+      { type: 'place', pieceId: 'Land_1712345678902_ghi456jkl', player: 'player2', turnNumber: 1, data: { at: '(1, 0)' } },
+      { type: 'place-land', at: '(1, 0)', player: 'player2', turnNumber: 1 },
+      { type: 'place-citadel', at: '(0, 0)', player: 'player1', turnNumber: 2 },
+      { type: 'place-citadel', at: '(1, 0)', player: 'player2', turnNumber: 2 }
+    ];
+    legacy.forEach(action => persistent.addAction(action));
+    const engine = new GameEngine(undefined, persistent);
+
+    // Undoing replays the log from the start
+    engine.undo({ singleAction: true });
+    const state = engine.getCurrentState();
+    expect(state.getCell(new Coordinate(0, 0)).terrain).toMatchObject({ id: 'Land_1712345678901_abc123def', owner: 'neutral' });
+    expect(state.getCell(new Coordinate(1, 0)).terrain?.id).toBe('Land_1712345678902_ghi456jkl');
+    expect(state.getPieceAt(new Coordinate(0, 0))).toMatchObject({ id: 'Citadel#1', type: 'Citadel', owner: 'player1' });
+    expect(state.hasPiece(new Coordinate(1, 0))).toBe(false);
+
+    engine.redo();
+    expect(engine.getCurrentState().getPieceAt(new Coordinate(1, 0))?.owner).toBe('player2');
+  });
+
+  test('should replay action types registered outside the engine', () => {
+    ActionRegistry.register({
+      type: 'test_flood',
+      /** @param {import('./GameState.js').GameState} gameState @param {any} action */
+      replay(gameState, action) {
+        gameState.removeCellContents(Coordinate.fromString(action.data.at));
+      }
+    });
+
+    const persistent = createPersistentState();
+    persistent.initial.initialPieces = [new Land({ id: 'land1', owner: 'neutral' }).toJSON()];
+    persistent.addAction({ type: 'place', pieceId: 'land1', player: 'player1', turnNumber: 1, data: { at: '(0, 0)' } });
+    persistent.addAction({ type: 'test_flood', pieceId: 'land1', player: 'player1', turnNumber: 1, data: { at: '(0, 0)' } });
+
+    const state = GameStateReplay.replayToFullState(persistent, { pieceFromJSON: mockPieceFromJSON });
+    expect(state.hasTerrain(new Coordinate(0, 0))).toBe(false);
+    expect(state.actionHistory).toEqual(persistent.actions);
+  });
+
+  test('should still fail loudly on placements of pieces that were never recorded', () => {
+    const persistent = createPersistentState();
+    persistent.addAction({ type: 'place', pieceId: 'Land_1712345678901_abc123def', player: 'player1', turnNumber: 1, data: { at: '(0, 0)' } });
+
+    expect(() => GameStateReplay.replayToFullState(persistent, { pieceFromJSON: mockPieceFromJSON }))
+      .toThrow('Cannot replay place: piece Land_1712345678901_abc123def is not in the game');
+  });
+});
+
+/**
+ * Create an engine whose log places land everywhere in `lands` and the given pieces on top
+ * @param {Array<[number, number]>} lands
+ * @param {Array<[number, number, Piece]>} pieces
+ * @param {import('./PhaseMachine.js').GamePhase} [phase] - Phase the placements are recorded in
+ * @returns {GameEngine}
+ */
+function createBoardEngine(lands, pieces, phase = 'battle') {
+  const persistent = new PersistentGameState();
+  persistent.addPlayer('player1', 'Alice');
+  persistent.addPlayer('player2', 'Bob');
+  persistent.setPhase(phase);
+
+  /** @param {Piece} piece @param {number} x @param {number} y */
+  const place = (piece, x, y) => persistent.addAction({
+    type: 'place',
+    pieceId: piece.id,
+    player: 'player1',
+    turnNumber: 1,
+    data: { at: new Coordinate(x, y).toString(), piece: piece.toJSON() }
+  });
+  for (const [x, y] of lands) {
+    place(new Land({ owner: 'neutral' }), x, y);
+  }
+  for (const [x, y, piece] of pieces) {
+    place(piece, x, y);
+  }
+  return new GameEngine(undefined, persistent);
+}
+
+describe('GameEngine - Citadel connectivity', () => {
+  test('should reject actions that disconnect the Citadels', () => {
+    const builder = new Builder({ owner: 'player1', id: 'builder1' });
+    const engine = createBoardEngine(
+      [[0, 0], [1, 0], [2, 0], [1, 1], [2, 1]],
+      [[0, 0, new Citadel({ owner: 'player1' })], [2, 0, new Citadel({ owner: 'player2' })], [1, 1, builder]]
+    );
+    const state = engine.getCurrentState();
+    const live = /** @type {Piece} */ (state.getPieceAt(new Coordinate(1, 1)));
+
+    // Removing the only bridge between the Citadels is illegal
+    const bridge = state.getCell(new Coordinate(1, 0));
+    expect(() => engine.checkAction(live, new BuilderRemoveTerrain(live), bridge)).toThrow(RuleViolation);
+    expect(() => engine.checkAction(live, new BuilderRemoveTerrain(live), bridge)).toThrow('cut off the Citadel at (2, 0)');
+
+    // Removing land that isn't holding them together is fine
+    const spare = state.getCell(new Coordinate(2, 1));
+    expect(() => engine.checkAction(live, new BuilderRemoveTerrain(live), spare)).not.toThrow();
+  });
+
+  test('should count any terrain, like a Turtle, as connecting', () => {
+    const state = createBoardEngine(
+      [[0, 0], [2, 0]],
+      [[0, 0, new Citadel({ owner: 'player1' })], [2, 0, new Citadel({ owner: 'player2' })]]
+    ).getCurrentState();
+    expect(state.areCitadelsConnected()).toBe(false);
+
+    const turtle = new Piece({ type: 'Turtle', owner: 'player1' });
+    turtle.layer = 0;
+    state.setTerrain(new Coordinate(1, 0), turtle);
+    expect(state.areCitadelsConnected()).toBe(true);
+    expect(state.getDisconnectedCitadels()).toEqual([]);
+  });
+});
+
+describe('GameEngine - Constraints', () => {
+  // Soldiers may never end up on the x = 2 column
+  const NoColumnTwo = new Constraint({
+    id: 'no-column-two',
+    check(currentGame, newGame, action) {
+      if (action.piece.type === 'Soldier' && newGame.findPieces('Soldier').some(({ coordinate }) => coordinate.x === 2)) {
+        throw new RuleViolation('No Soldiers on column 2');
+      }
+    }
+  });
+
+  class Warden extends Piece {
+    /** @param {Omit<import('../pieces/Piece.js').PieceOptions, 'type'>} options */
+    constructor(options) {
+      super({ ...options, type: 'Warden' });
+    }
+
+    getConstraints() {
+      return [NoColumnTwo];
+    }
+  }
+  PieceRegistry.register('Warden', Warden, { selectable: false });
+
+  /**
+   * @param {Piece[]} extraPieces - Pieces to place along y = 1
+   */
+  function createEngine(extraPieces = []) {
+    const soldier = new Soldier({ owner: 'player1', id: 'soldier1' });
+    const engine = createBoardEngine(
+      [[0, 0], [1, 0], [2, 0], [0, 1], [1, 1]],
+      [[1, 0, soldier], ...extraPieces.map((piece, x) => /** @type {[number, number, Piece]} */ ([x, 1, piece]))]
+    );
+    const state = engine.getCurrentState();
+    const live = /** @type {Piece} */ (state.getPieceAt(new Coordinate(1, 0)));
+    return { engine, state, move: () => engine.checkAction(live, new SoldierMove(live), state.getCell(new Coordinate(2, 0))) };
+  }
+
+  test('should check constraints from pieces on the board', () => {
+    expect(() => createEngine().move()).not.toThrow();
+    expect(() => createEngine([new Warden({ owner: 'player2' })]).move()).toThrow('No Soldiers on column 2');
+  });
+
+  test('should check constraints from the variant and the engine', () => {
+    const fromVariant = createEngine();
+    fromVariant.engine.variant = new Variant({ id: 'strict', name: 'Strict', checkEnd: () => ({ isEnded: false }), constraints: [NoColumnTwo] });
+    expect(() => fromVariant.move()).toThrow('No Soldiers on column 2');
+
+    const fromEngine = createEngine();
+    fromEngine.engine.constraints.push(NoColumnTwo);
+    expect(() => fromEngine.move()).toThrow('No Soldiers on column 2');
+  });
+
+  test('should collect each constraint once', () => {
+    const { engine, state } = createEngine([new Warden({ owner: 'player2' }), new Warden({ owner: 'player1' })]);
+    engine.variant = new Variant({ id: 'strict', name: 'Strict', checkEnd: () => ({ isEnded: false }), constraints: [NoColumnTwo] });
+
+    expect(engine.getConstraints(state)).toEqual([CitadelsConnected, NoColumnTwo]);
+  });
+});
+
+describe('GameEngine - Game end', () => {
+  /**
+   * A board where player1's Soldier is next to player2's Citadel
+   * @param {import('../variants/Variant.js').Variant} [variant]
+   */
+  function createEngine(variant) {
+    const engine = createBoardEngine(
+      [[0, 0], [1, 0], [2, 0], [3, 0]],
+      [
+        [0, 0, new Citadel({ owner: 'player1', id: 'citadel1' })],
+        [3, 0, new Citadel({ owner: 'player2', id: 'citadel2' })],
+        [2, 0, new Soldier({ owner: 'player1', id: 'soldier1' })]
+      ]
+    );
+    engine.variant = variant || null;
+    return engine;
+  }
+
+  /** @param {GameEngine} engine */
+  function captureCitadel(engine) {
+    const state = engine.getCurrentState();
+    const soldier = /** @type {Piece} */ (state.getPieceAt(new Coordinate(2, 0)));
+    engine.executeAction(soldier, new SoldierMove(soldier), state.getCell(new Coordinate(3, 0)));
+  }
+
+  test('should end the game when the last rival Citadel falls', () => {
+    const engine = createEngine();
+    captureCitadel(engine);
+
+    const lastAction = engine.getPersistentState().getLastAction();
+    expect(lastAction).toMatchObject({
+      type: 'end_game',
+      data: { winner: 'player1', reason: 'Only player with a Citadel remaining' }
+    });
+
+    const state = engine.getCurrentState();
+    expect(state.phase).toBe('done');
+    expect(state.winner).toBe('player1');
+    expect(state.endReason).toBe('Only player with a Citadel remaining');
+
+    // The outcome survives serialization and replay
+    const restored = GameEngine.fromJSON(engine.toJSON()).getCurrentState();
+    expect(restored.winner).toBe('player1');
+    expect(restored.isOver()).toBe(true);
+  });
+
+  test('should reject further actions once the game is over', () => {
+    const engine = createEngine();
+    captureCitadel(engine);
+
+    const state = engine.getCurrentState();
+    const soldier = /** @type {Piece} */ (state.getPieceAt(new Coordinate(3, 0)));
+    expect(() => engine.checkAction(soldier, new SoldierMove(soldier), state.getCell(new Coordinate(2, 0))))
+      .toThrow('The game is over');
+    expect(() => engine.endTurn()).toThrow('The game is over');
+  });
+
+  test('should use the variant win condition', () => {
+    const engine = createEngine(Assassin);
+    captureCitadel(engine);
+
+    const state = engine.getCurrentState();
+    expect(state.winner).toBe('player1');
+    expect(state.endReason).toBe("Alice captured Bob's Citadel");
+  });
+
+  test('should not check for a winner during setup', () => {
+    // Each placement passes the turn, so player2 places first after the two lands
+    const engine = createBoardEngine([[0, 0], [1, 0]], [], 'citadel');
+    engine.updateInitialConfig({
+      initialPieces: [new Citadel({ owner: 'player2', id: 'citadel2' }).toJSON()]
+    });
+    const state = engine.getCurrentState();
+    const citadel = /** @type {Piece} */ (state.communityPool.find(piece => piece.id === 'citadel2'));
+    engine.executeAction(citadel, new Place(citadel), state.getCell(new Coordinate(1, 0)));
+
+    // player2 holds the only Citadel, but the game goes on until player1 has placed theirs
+    expect(engine.getPersistentState().getLastAction()?.type).toBe('place');
+    expect(engine.getCurrentState().isOver()).toBe(false);
+    expect(engine.getCurrentState().phase).toBe('citadel');
+    expect(engine.getCurrentState().currentPlayer).toBe('player1');
+  });
+});
+
+describe('GameEngine - fromGameState', () => {
+  /**
+   * A GameState in battle built without an engine, the way the game page builds it
+   * @returns {GameState}
+   */
+  function createBattleState() {
+    const state = new GameState();
+    state.addPlayer('player1', 'Alice');
+    state.addPlayer('player2', 'Bob');
+    state.setSetup({ landsPerPlayer: 2, personalPiecesPerPlayer: 0, communityPiecesPerPlayer: 0 });
+    PhaseMachine.startGame(state);
+    for (let x = 0; x < 4; x++) {
+      new LandPlace(new Land({ owner: 'neutral' })).perform(state.getCell(new Coordinate(x, 0)), state);
+    }
+    new Place(new Citadel({ owner: 'player1', id: 'citadel1' })).perform(state.getCell(new Coordinate(0, 0)), state);
+    new Place(new Citadel({ owner: 'player2', id: 'citadel2' })).perform(state.getCell(new Coordinate(3, 0)), state);
+    state.setPiece(new Coordinate(1, 0), new Soldier({ owner: 'player1', id: 'soldier1' }));
+    return state;
+  }
+
+  test('should carry on from the given state', () => {
+    const state = createBattleState();
+    expect(state.phase).toBe('battle');
+
+    const engine = GameEngine.fromGameState(state);
+    const current = engine.getCurrentState();
+    expect(current.getPieceAt(new Coordinate(1, 0))?.id).toBe('soldier1');
+    expect(engine.getPersistentState().actions).toHaveLength(state.actionHistory.length);
+
+    const soldier = /** @type {Piece} */ (engine.findPiece('soldier1'));
+    engine.executeAction(soldier, new SoldierMove(soldier), current.getCell(new Coordinate(2, 0)));
+    engine.endTurn();
+
+    const next = engine.getCurrentState();
+    expect(next.getPieceAt(new Coordinate(2, 0))?.id).toBe('soldier1');
+    expect(next.currentPlayer).toBe('player2');
+    expect(next.actionHistory.map(action => /** @type {any} */ (action).type).slice(-2)).toEqual(['move', 'end_turn']);
+  });
+
+  test('should accept Firestore timestamps in the action history', () => {
+    const state = createBattleState();
+    state.actionHistory = state.actionHistory.map(action => ({
+      ...action,
+      timestamp: { toDate: () => new Date('2024-01-01T00:00:00Z') }
+    }));
+
+    const engine = GameEngine.fromGameState(state);
+    expect(engine.getPersistentState().actions[0].timestamp).toBe('2024-01-01T00:00:00.000Z');
+  });
+});
+
+describe('GameEngine - Action parameters', () => {
+  /**
+   * Citadels at (0, 0) and (2, 0) on a 3x2 island, with player1's Builder at (1, 1)
+   * @returns {GameEngine}
+   */
+  function createBuilderEngine() {
+    return createBoardEngine(
+      [[0, 0], [1, 0], [2, 0], [0, 1], [1, 1], [2, 1]],
+      [
+        [0, 0, new Citadel({ owner: 'player1' })],
+        [2, 0, new Citadel({ owner: 'player2' })],
+        [1, 1, new Builder({ owner: 'player1', id: 'builder1' })]
+      ]
+    );
+  }
+
+  test('should offer the options for each parameter before the targets', () => {
+    const engine = createBuilderEngine();
+    const builder = /** @type {Piece} */ (engine.findPiece('builder1'));
+
+    const moveTerrain = engine.getValidActionsForPiece(builder).find(({ action }) => action instanceof BuilderMoveTerrain);
+    expect(moveTerrain?.parameter?.name).toBe('source');
+    expect(moveTerrain?.options?.map(String).sort()).toEqual(['(0, 1)', '(1, 0)', '(2, 1)']);
+    expect(moveTerrain?.targets.map(cell => cell.coordinate.toString()).sort()).toEqual(['(0, 1)', '(1, 0)', '(2, 1)']);
+
+    const chosen = /** @type {import('../actions/Action.js').Action} */ (moveTerrain?.action).withParams({ source: new Coordinate(0, 1) });
+    expect(engine.getParameterOptions(builder, chosen)).toBeNull();
+    expect(engine.getValidAction(builder, chosen)?.targets.map(cell => cell.coordinate.toString())).toContain('(-1, 1)');
+  });
+
+  test('should require every parameter before checking the target', () => {
+    const engine = createBuilderEngine();
+    const builder = /** @type {Piece} */ (engine.findPiece('builder1'));
+    const target = engine.getCurrentState().getCell(new Coordinate(-1, 1));
+
+    expect(() => engine.checkAction(builder, new BuilderMoveTerrain(builder), target)).toThrow('needs a source');
+    expect(() => engine.checkAction(builder, new BuilderMoveTerrain(builder, { source: new Coordinate(0, 1) }), target)).not.toThrow();
+  });
+
+  test('should record the chosen parameters in the action log', () => {
+    const engine = createBuilderEngine();
+    const builder = /** @type {Piece} */ (engine.findPiece('builder1'));
+    const action = new BuilderMoveTerrain(builder, BuilderMoveTerrain.deserializeParams({ source: '(0, 1)' }));
+    engine.executeAction(builder, action, engine.getCurrentState().getCell(new Coordinate(-1, 1)));
+
+    expect(engine.getPersistentState().getLastAction()).toMatchObject({
+      type: 'move_terrain',
+      params: { source: '(0, 1)' },
+      data: { from: '(0, 1)', to: '(-1, 1)' }
+    });
+    const restored = GameEngine.fromJSON(engine.toJSON()).getCurrentState();
+    expect(restored.getTerrainAt(new Coordinate(-1, 1))?.type).toBe('Land');
+    expect(restored.getTerrainAt(new Coordinate(0, 1))).toBeNull();
+  });
+
+  test('should find the action a piece takes from the type it records under', () => {
+    const engine = createBuilderEngine();
+    const builder = /** @type {Piece} */ (engine.findPiece('builder1'));
+    const state = engine.getCurrentState();
+
+    const moveTerrain = engine.findAction(builder, 'move_terrain', state.getCell(new Coordinate(-1, 1)), { source: '(0, 1)' });
+    expect(moveTerrain).toBeInstanceOf(BuilderMoveTerrain);
+    expect(String(moveTerrain.params.source)).toBe('(0, 1)');
+    expect(engine.findAction(builder, 'move', state.getCell(new Coordinate(1, 0)))).toBeInstanceOf(BuilderMove);
+
+    expect(() => engine.findAction(builder, 'move', state.getCell(new Coordinate(0, 0)))).toThrow(RuleViolation);
+    expect(() => engine.findAction(builder, 'deploy', state.getCell(new Coordinate(1, 0)))).toThrow('Builder cannot deploy');
+    expect(() => engine.findAction(builder, 'teleport', state.getCell(new Coordinate(1, 0)))).toThrow(GameError);
+  });
+});
+
+describe('GameEngine - Candidate targets', () => {
+  test('should only simulate the candidates an action generates', () => {
+    /** @type {[number, number][]} */
+    const lands = [];
+    for (let x = 0; x < 6; x++) {
+      for (let y = 0; y < 6; y++) lands.push([x, y]);
+    }
+    const engine = createBoardEngine(lands, [[2, 2, new Soldier({ owner: 'player1', id: 'soldier1' })]]);
+    const soldier = /** @type {Piece} */ (engine.findPiece('soldier1'));
+    const checkAction = vi.spyOn(engine, 'checkAction');
+
+    const targets = engine.getValidTargetsForAction(soldier, new SoldierMove(soldier));
+    expect(targets).toHaveLength(8);
+    expect(checkAction).toHaveBeenCalledTimes(8);
+  });
+
+  test('should cast Bird moves up to the first piece or gap', () => {
+    /** @type {[number, number][]} */
+    const lands = [];
+    for (let x = 0; x <= 12; x++) lands.push([x, 0]);
+    lands.push([0, 1], [0, 3]);
+    const engine = createBoardEngine(lands, [
+      [0, 0, new Bird({ owner: 'player1', id: 'bird1' })],
+      [9, 0, new Soldier({ owner: 'player2' })]
+    ]);
+    const bird = /** @type {Piece} */ (engine.findPiece('bird1'));
+
+    const targets = engine.getValidTargetsForAction(bird, new BirdMove(bird)).map(cell => cell.coordinate.toString());
+    expect(targets).toEqual(['(0, 1)', '(1, 0)', '(2, 0)', '(3, 0)', '(4, 0)', '(5, 0)', '(6, 0)', '(7, 0)', '(8, 0)', '(9, 0)']);
+  });
+
+  test('should take cell parameter options from the action\'s candidate targets', () => {
+    /** A Soldier move that names its destination as a parameter first */
+    class WaypointMove extends SoldierMove {
+      /** @type {import('../actions/Action.js').ActionParameter[]} */
+      static parameters = [{ name: 'via', kind: 'cell' }];
+
+      /** @param {import('./Cell.js').Cell} targetCell @param {GameState} currentGame @param {GameState} newGame */
+      check(targetCell, currentGame, newGame) {
+        super.check(targetCell, currentGame, newGame);
+        if (/** @type {Coordinate} */ (this.params.via).key !== targetCell.coordinate.key) {
+          throw new RuleViolation('Move to the chosen cell');
+        }
+      }
+    }
+
+    /** @type {[number, number][]} */
+    const lands = [];
+    for (let x = 0; x < 6; x++) {
+      for (let y = 0; y < 6; y++) lands.push([x, y]);
+    }
+    const engine = createBoardEngine(lands, [[2, 2, new Soldier({ owner: 'player1', id: 'soldier1' })]]);
+    const soldier = /** @type {Piece} */ (engine.findPiece('soldier1'));
+    const checkAction = vi.spyOn(engine, 'checkAction');
+
+    const next = engine.getParameterOptions(soldier, new WaypointMove(soldier));
+    expect(next?.options).toHaveLength(8);
+    // Each of the 8 neighbours is tried against at most the 8 targets, never the whole board
+    expect(checkAction.mock.calls.length).toBeLessThanOrEqual(64);
+  });
+
+  test('should surface errors other than rule violations while looking for targets', () => {
+    const engine = createBoardEngine([[0, 0], [1, 0]], [[0, 0, new Soldier({ owner: 'player1', id: 'soldier1' })]]);
+    const soldier = /** @type {Piece} */ (engine.findPiece('soldier1'));
+    vi.spyOn(engine, 'checkAction').mockImplementation(() => {
+      throw new TypeError('Cannot read properties of undefined');
+    });
+
+    expect(() => engine.getValidTargetsForAction(soldier, new SoldierMove(soldier))).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,63 @@
+import { bench, describe } from 'vitest';
+import { GameEngine } from './GameEngine.js';
+import { PersistentGameState } from './PersistentGameState.js';
+import { GameState } from './GameState.js';
+import { Coordinate } from './Coordinate.js';
+import { PieceRegistry } from '../pieces/PieceRegistry.js';
+import { Land } from '../pieces/Land.js';
+import { Citadel } from '../pieces/Citadel.js';
+import { Bird } from '../pieces/Bird.js';
+import { Soldier } from '../pieces/Soldier.js';
+
+const SIZE = 40;
+
+/**
+ * A battle on a SIZE x SIZE island with a Citadel in two corners and a Soldier on every fourth tile
+ * @returns {GameEngine}
+ */
+function createLargeBoard() {
+  const persistent = new PersistentGameState();
+  persistent.addPlayer('player1', 'Alice');
+  persistent.addPlayer('player2', 'Bob');
+  persistent.setPhase('battle');
+
+  /** @param {import('../pieces/Piece.js').Piece} piece @param {number} x @param {number} y */
+  const place = (piece, x, y) => persistent.addAction({
+    type: 'place',
+    pieceId: piece.id,
+    player: 'player1',
+    turnNumber: 1,
+    data: { at: new Coordinate(x, y).toString(), piece: piece.toJSON() }
+  });
+  for (let x = 0; x < SIZE; x++) {
+    for (let y = 0; y < SIZE; y++) {
+      place(new Land({ owner: 'neutral' }), x, y);
+      if (x % 4 === 2 && y % 4 === 2) {
+        place(new Soldier({ owner: (x + y) % 8 === 4 ? 'player1' : 'player2' }), x, y);
+      }
+    }
+  }
+  place(new Citadel({ owner: 'player1' }), 0, 0);
+  place(new Citadel({ owner: 'player2' }), SIZE - 1, SIZE - 1);
+  place(new Bird({ owner: 'player1', id: 'bird1' }), 1, SIZE / 2);
+  return new GameEngine(undefined, persistent);
+}
+
+describe('GameState on a large board', () => {
+  const engine = createLargeBoard();
+  const state = engine.getCurrentState();
+  const bird = /** @type {import('../pieces/Piece.js').Piece} */ (engine.findPiece('bird1'));
+
+  bench('copy for a simulation', () => {
+    state.copy({ isSimulation: true });
+  });
+
+  // What copy() cost before it was copy-on-write: every cell and piece is rebuilt
+  bench('deep copy (baseline)', () => {
+    GameState.fromJSON(/** @type {any} */ (state.toJSON()), PieceRegistry.fromJSON);
+  });
+
+  bench('generate Bird moves', () => {
+    engine.getValidActionsForPiece(bird);
+  });
+});
@@ -1,5 +1,9 @@
 import { Coordinate } from './Coordinate.js';
 import { Cell } from './Cell.js';
+import { PieceRegistry } from '../pieces/PieceRegistry.js';
+import { PhaseMachine } from './PhaseMachine.js';
+import { PieceIdAllocator } from './PieceIdAllocator.js';
+import { SeededRandom } from './SeededRandom.js';
 
 /**
  * @typedef {Object} GameStateOptions
@@ -18,10 +22,22 @@ import { Cell } from './Cell.js';
  */
 
 /**
- * @typedef {Object} BoardCellJSON
- * @property {string} coordinate - The coordinate key
- * @property {import('../pieces/Piece.js').PieceJSON|null} terrain - The terrain piece JSON
- * @property {import('../pieces/Piece.js').PieceJSON|null} piece - The piece JSON
+ * Where a piece is in the game
+ * @typedef {Object} PiecePosition
+ * @property {'board'|'stash'|'community'|'graveyard'} area
+ * @property {Coordinate} [coordinate] - The piece's coordinate, on the board
+ * @property {number} [layer] - The cell layer the piece is on, on the board (0 for terrain)
+ * @property {string} [playerId] - Whose stash the piece is in
+ */
+
+/**
+ * @typedef {Object} PieceIndexEntry
+ * @property {PiecePosition} position
+ * @property {string} owner - The owner the piece is indexed under
+ */
+
+/**
+ * @typedef {import('./Cell.js').CellJSON} BoardCellJSON
  */
 
 /**
@@ -59,14 +75,22 @@ import { Cell } from './Cell.js';
  * @property {ActionHistoryEntry[]} actionHistory - Array of actions performed
  * @property {string} createdAt - ISO timestamp when game state was created
  * @property {string} lastModified - ISO timestamp when game state was last modified
- * @property {string} phase - Current game phase ('lobby', 'land', 'citadel', 'done')
+ * @property {string} phase - Current game phase ('lobby', 'land', 'citadel', 'selection', 'battle', 'done')
  * @property {string|null} hostPlayerId - ID of the player who is the host
  * @property {Object|null} setup - Game setup configuration
+ * @property {string|null} [winner] - Winning player once the game is over (null for a draw)
+ * @property {string|null} [endReason] - Why the game ended
+ * @property {import('./SeededRandom.js').SeededRandomJSON} [random] - The random number generator, for chance-based rules
  */
 
 /**
- * Represents the complete game state, designed to be deep copyable.
+ * Represents the complete game state, designed to be cheaply copyable.
  * The current game state can always be derived from the initial state and actions taken.
+ *
+ * Copies are copy-on-write: a copy shares the board cells, stashes, community pool, graveyard and
+ * action history with the state it was copied from, and each side clones what it takes for writing.
+ * Board cells are taken with getCell() (and the methods built on it); reading `board` directly is
+ * fine, but pieces found that way must not be changed.
  */
 export class GameState {
   /**
@@ -82,6 +106,56 @@ export class GameState {
     // Core game state
     /** @type {Map<string, Cell>} */
     this.board = new Map(); // coordinate.key -> Cell instance
+
+    /**
+     * Keys of the board cells this state may change in place; the rest may be shared with a copy
+     * @type {Set<string>}
+     * @private
+     */
+    this._ownedCells = new Set();
+
+    /**
+     * Piece ID -> where the piece is, kept up to date as pieces move (see getPieceLocation)
+     * @type {Map<string, PieceIndexEntry>}
+     * @private
+     */
+    this._pieceIndex = new Map();
+
+    /**
+     * Owner -> IDs of their pieces, wherever they are
+     * @type {Map<string, Set<string>>}
+     * @private
+     */
+    this._ownerIndex = new Map();
+
+    // The indexes are shared with copies too, and cloned before either side changes them
+    /** @private */
+    this._indexShared = false;
+
+    // Set when a collection is replaced wholesale; the indexes are rebuilt on next use
+    /** @private */
+    this._indexStale = false;
+
+    /**
+     * IDs for pieces entering the game (see allocatePieceId)
+     * @type {PieceIdAllocator}
+     * @private
+     */
+    this._pieceIds = new PieceIdAllocator();
+
+    /**
+     * Random numbers for chance-based rules (see random())
+     * @type {SeededRandom}
+     * @private
+     */
+    this._random = new SeededRandom(SeededRandom.createSeed());
+
+    /**
+     * Piece collections still shared with a copy, cloned when first taken
+     * @type {Set<'playerStashes'|'communityPool'|'graveyard'|'actionHistory'>}
+     * @private
+     */
+    this._sharedCollections = new Set();
     
     /** @type {string[]} */
     this.players = [];
@@ -95,19 +169,19 @@ export class GameState {
     /** @type {number} */
     this.turnNumber = 1;
     
-    // Piece collections
+    // Piece collections, behind accessors so copies can share them
     /** @type {Map<string, import('../pieces/Piece.js').Piece[]>} */
-    this.playerStashes = new Map(); // playerId -> pieces[]
+    this._playerStashes = new Map(); // playerId -> pieces[]
     
     /** @type {import('../pieces/Piece.js').Piece[]} */
-    this.communityPool = [];
+    this._communityPool = [];
     
     /** @type {import('../pieces/Piece.js').Piece[]} */
-    this.graveyard = [];
+    this._graveyard = [];
     
     // Action history for replay and undo
     /** @type {Object[]} */
-    this.actionHistory = [];
+    this._actionHistory = [];
     
     // Game metadata
     /** @type {Date} */
@@ -117,7 +191,7 @@ export class GameState {
     this.lastModified = new Date();
     
     // Game flow state
-    /** @type {'lobby'|'land'|'citadel'|'done'} */
+    /** @type {import('./PhaseMachine.js').GamePhase} */
     this.phase = 'lobby';
     
     /** @type {string|null} */
@@ -125,6 +199,81 @@ export class GameState {
     
     /** @type {Object|null} */
     this.setup = null;
+
+    // Outcome, set when the game ends
+    /** @type {string|null} */
+    this.winner = null;
+
+    /** @type {string|null} */
+    this.endReason = null;
+  }
+
+  /**
+   * Pieces in each player's stash, by player ID.
+   * Change stashes through addToStash and removeFromStash, which keep the piece index up to date.
+   * @returns {Map<string, import('../pieces/Piece.js').Piece[]>}
+   */
+  get playerStashes() {
+    if (this._sharedCollections.delete('playerStashes')) {
+      this._playerStashes = new Map([...this._playerStashes].map(([playerId, stash]) => [playerId, stash.map(piece => piece.copy())]));
+    }
+    return this._playerStashes;
+  }
+
+  set playerStashes(stashes) {
+    this._playerStashes = stashes;
+    this._sharedCollections.delete('playerStashes');
+    this._indexStale = true;
+  }
+
+  /**
+   * Pieces in the community pool (see addToCommunityPool and removeFromCommunityPool)
+   * @returns {import('../pieces/Piece.js').Piece[]}
+   */
+  get communityPool() {
+    if (this._sharedCollections.delete('communityPool')) {
+      this._communityPool = this._communityPool.map(piece => piece.copy());
+    }
+    return this._communityPool;
+  }
+
+  set communityPool(pieces) {
+    this._communityPool = pieces;
+    this._sharedCollections.delete('communityPool');
+    this._indexStale = true;
+  }
+
+  /**
+   * Captured pieces (see moveToGraveyard and removeFromGraveyard)
+   * @returns {import('../pieces/Piece.js').Piece[]}
+   */
+  get graveyard() {
+    if (this._sharedCollections.delete('graveyard')) {
+      this._graveyard = this._graveyard.map(piece => piece.copy());
+    }
+    return this._graveyard;
+  }
+
+  set graveyard(pieces) {
+    this._graveyard = pieces;
+    this._sharedCollections.delete('graveyard');
+    this._indexStale = true;
+  }
+
+  /**
+   * Actions performed so far. Entries are never changed, so copies only clone the array.
+   * @returns {Object[]}
+   */
+  get actionHistory() {
+    if (this._sharedCollections.delete('actionHistory')) {
+      this._actionHistory = [...this._actionHistory];
+    }
+    return this._actionHistory;
+  }
+
+  set actionHistory(actions) {
+    this._actionHistory = actions;
+    this._sharedCollections.delete('actionHistory');
   }
 
   /**
@@ -155,13 +304,32 @@ export class GameState {
 
   /**
    * Set the game phase
-   * @param {'lobby'|'land'|'citadel'|'done'} phase 
+   * @param {import('./PhaseMachine.js').GamePhase} phase 
    */
   setPhase(phase) {
     this.phase = phase;
     this._updateLastModified();
   }
 
+  /**
+   * End the game, recording the outcome
+   * @param {string|null} winner - The winning player, or null for a draw
+   * @param {string|null} reason - Human-readable reason the game ended
+   */
+  endGame(winner, reason) {
+    this.winner = winner;
+    this.endReason = reason;
+    this.setPhase('done');
+  }
+
+  /**
+   * Check if the game is over
+   * @returns {boolean}
+   */
+  isOver() {
+    return this.phase === 'done';
+  }
+
   /**
    * Set the game setup configuration
    * @param {Object} setup 
@@ -179,9 +347,37 @@ export class GameState {
     this.gameId = gameId;
     this._updateLastModified();
   }
+  /**
+   * Draw a random number for a chance-based rule, like flipping a coin.
+   * Only draw inside an action's perform() and replay(), the same number of times in each,
+   * so that replaying the log reproduces every outcome.
+   * @returns {number} A number in [0, 1)
+   */
+  random() {
+    return this._random.next();
+  }
+
+  /**
+   * The seed this game's random numbers started from
+   * @returns {number}
+   */
+  get randomSeed() {
+    return this._random.seed;
+  }
 
   /**
-   * Create a deep copy of the game state
+   * Restart the random numbers from a seed (used when setting up a game from its initial configuration)
+   * @param {number} seed
+   */
+  setRandomSeed(seed) {
+    this._random = new SeededRandom(seed);
+  }
+
+
+  /**
+   * Create a copy of the game state.
+   * The copy shares everything with this state until either of them changes it (see the class notes),
+   * so copying is cheap however large the board is.
    * @param {CopyOptions} [options]
    * @returns {GameState}
    */
@@ -190,17 +386,9 @@ export class GameState {
       isSimulation: options.isSimulation !== undefined ? options.isSimulation : this.isSimulation 
     });
     
-    // Deep copy board
-    newState.board = new Map();
-    for (const [key, cell] of this.board) {
-      const coord = Coordinate.fromKey(key);
-      newState.board.set(key, new Cell(
-        coord,
-        cell.terrain ? cell.terrain.copy() : null,
-        cell.piece ? cell.piece.copy() : null,
-        newState
-      ));
-    }
+    // Share the board; from now on both states clone a cell before changing it
+    newState.board = new Map(this.board);
+    this._ownedCells.clear();
     
     // Copy arrays and maps
     newState.players = [...this.players];
@@ -212,18 +400,28 @@ export class GameState {
     newState.phase = this.phase;
     newState.hostPlayerId = this.hostPlayerId;
     newState.setup = this.setup ? { ...this.setup } : null;
+    newState.winner = this.winner;
+    newState.endReason = this.endReason;
     
-    // Deep copy piece collections
-    newState.playerStashes = new Map();
-    for (const [playerId, stash] of this.playerStashes) {
-      newState.playerStashes.set(playerId, stash.map(piece => piece.copy()));
+    // Share piece collections and the action history the same way
+    newState._playerStashes = this._playerStashes;
+    newState._communityPool = this._communityPool;
+    newState._graveyard = this._graveyard;
+    newState._actionHistory = this._actionHistory;
+    for (const name of /** @type {const} */ (['playerStashes', 'communityPool', 'graveyard', 'actionHistory'])) {
+      this._sharedCollections.add(name);
+      newState._sharedCollections.add(name);
     }
-    
-    newState.communityPool = this.communityPool.map(piece => piece.copy());
-    newState.graveyard = this.graveyard.map(piece => piece.copy());
-    
-    // Copy action history (actions should be immutable)
-    newState.actionHistory = [...this.actionHistory];
+
+    // And the piece indexes
+    newState._pieceIndex = this._pieceIndex;
+    newState._ownerIndex = this._ownerIndex;
+    newState._indexStale = this._indexStale;
+    newState._indexShared = this._indexShared = true;
+    newState._pieceIds = this._pieceIds.copy();
+
+    // Simulations get their own random numbers, so checking an action can't reveal how the real one turns out
+    newState._random = newState.isSimulation ? this._random.fork() : this._random.copy();
     
     // Copy metadata
     newState.createdAt = new Date(this.createdAt);
@@ -233,19 +431,27 @@ export class GameState {
   }
 
   /**
-   * Get the cell at a coordinate
+   * Get the cell at a coordinate, to read or change.
+   * Cells shared with a copy are cloned first. A cell is only safe to change until the state is next copied,
+   * so get it again rather than keeping it across a copy.
    * @param {Coordinate} coordinate
    * @returns {Cell}
    */
   getCell(coordinate) {
-    const existing = this.board.get(coordinate.key);
-    if (existing) {
+    const key = coordinate.key;
+    const existing = this.board.get(key);
+    if (existing && this._ownedCells.has(key)) {
       return existing;
     }
-    // Create a new empty cell if it doesn't exist
-    const newCell = Cell.empty(coordinate, this);
-    this.board.set(coordinate.key, newCell);
-    return newCell;
+
+    // Create a new empty cell if it doesn't exist, or clone the shared one with its pieces
+    const cell = Cell.empty(existing ? existing.coordinate : coordinate, this);
+    if (existing) {
+      existing.layers.forEach((piece, layer) => cell.setLayer(layer, piece ? piece.copy() : null));
+    }
+    this.board.set(key, cell);
+    this._ownedCells.add(key);
+    return cell;
   }
 
   /**
@@ -278,11 +484,31 @@ export class GameState {
    * @param {import('../pieces/Piece.js').Piece|null} piece
    */
   setPiece(coordinate, piece) {
+    this.setLayer(coordinate, 1, piece);
+  }
+
+  /**
+   * Put a piece on a layer at a coordinate, or empty the layer with null
+   * @param {Coordinate} coordinate
+   * @param {number} layer
+   * @param {import('../pieces/Piece.js').Piece|null} piece
+   */
+  setLayer(coordinate, layer, piece) {
     const cell = this.getCell(coordinate);
-    cell.setPiece(piece);
+    cell.setLayer(layer, piece);
     this._updateLastModified();
   }
 
+  /**
+   * Get the pieces stacked at a coordinate, bottom first
+   * @param {Coordinate} coordinate
+   * @returns {readonly (import('../pieces/Piece.js').Piece|null)[]} Empty layers below the top are null
+   */
+  getLayersAt(coordinate) {
+    // Peek at the board so reading (e.g. to render) doesn't clone or create cells
+    return this.board.get(coordinate.key)?.layers || [];
+  }
+
   /**
    * Get the terrain piece at a coordinate
    * @param {Coordinate} coordinate
@@ -307,7 +533,8 @@ export class GameState {
    * @returns {boolean}
    */
   hasTerrain(coordinate) {
-    return this.getTerrainAt(coordinate) !== null;
+    // Peek at the board so checks don't clone or create cells
+    return !!this.board.get(coordinate.key)?.terrain;
   }
 
   /**
@@ -316,7 +543,7 @@ export class GameState {
    * @returns {boolean}
    */
   hasPiece(coordinate) {
-    return this.getPieceAt(coordinate) !== null;
+    return !!this.board.get(coordinate.key)?.piece;
   }
 
   /**
@@ -380,26 +607,275 @@ export class GameState {
   }
 
   /**
-   * Find pieces of a specific type
+   * Find pieces of a specific type standing on the board (on any layer above the terrain)
    * @param {string} pieceType
    * @param {string|null} [playerId] - Optional filter by player
    * @returns {PieceLocation[]} Array of {coordinate, piece} objects
    */
   findPieces(pieceType, playerId = null) {
+    this._refreshIndex();
+    const ids = playerId ? (this._ownerIndex.get(playerId) || []) : this._pieceIndex.keys();
+
     const pieces = [];
-    for (const [key, cell] of this.board) {
-      if (cell.piece && cell.piece.type === pieceType) {
-        if (!playerId || cell.piece.owner === playerId) {
-          pieces.push({
-            coordinate: Coordinate.fromKey(key),
-            piece: cell.piece
-          });
-        }
+    for (const id of ids) {
+      const position = /** @type {PieceIndexEntry} */ (this._pieceIndex.get(id)).position;
+      if (position.area !== 'board' || !position.layer) continue;
+
+      const coordinate = /** @type {Coordinate} */ (position.coordinate);
+      const layer = position.layer;
+      if (this.board.get(coordinate.key)?.getLayer(layer)?.type === pieceType) {
+        // Take the cell, since callers may change the pieces they find
+        pieces.push({
+          coordinate,
+          piece: /** @type {import('../pieces/Piece.js').Piece} */ (this.getCell(coordinate).getLayer(layer))
+        });
+      }
+    }
+    return pieces;
+  }
+
+  /**
+   * Find a piece anywhere in the game (board, stashes, community pool or graveyard) by its ID.
+   * Board pieces are returned ready to act or be changed, like getPieceAt().
+   * @param {string} pieceId
+   * @returns {import('../pieces/Piece.js').Piece|null}
+   */
+  getPieceById(pieceId) {
+    const position = this.getPieceLocation(pieceId);
+    if (!position) {
+      return null;
+    }
+    if (position.area === 'board') {
+      return this.getCell(/** @type {Coordinate} */ (position.coordinate)).getLayer(/** @type {number} */ (position.layer));
+    }
+    return this._getCollection(position).find(piece => piece.id === pieceId) || null;
+  }
+
+  /**
+   * Find where a piece is
+   * @param {string} pieceId
+   * @returns {PiecePosition|null} null if the piece isn't in the game
+   */
+  getPieceLocation(pieceId) {
+    this._refreshIndex();
+    const entry = this._pieceIndex.get(pieceId);
+    return entry ? entry.position : null;
+  }
+
+  /**
+   * Get every piece a player owns, wherever it is
+   * @param {string} owner - A player ID, or 'neutral'
+   * @returns {import('../pieces/Piece.js').Piece[]}
+   */
+  getPiecesByOwner(owner) {
+    this._refreshIndex();
+    const pieces = [];
+    for (const id of [...(this._ownerIndex.get(owner) || [])]) {
+      const piece = this.getPieceById(id);
+      if (piece && piece.owner === owner) {
+        pieces.push(piece);
       }
     }
     return pieces;
   }
 
+  /**
+   * Allocate the ID for a piece entering the game, like `Bird#3` (`K7QX:Bird#3` once the game has an ID).
+   * IDs follow on from every piece already in the game, so replaying a log reproduces them.
+   * @param {string} type - The piece type
+   * @returns {string}
+   */
+  allocatePieceId(type) {
+    // Pieces loaded since the indexes were last built may hold allocated IDs too
+    this._refreshIndex();
+    return this._pieceIds.next(type, this.gameId);
+  }
+
+  /**
+   * Record that a piece is at a position (called as pieces are added to cells and collections)
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @param {PiecePosition} position
+   * @internal
+   */
+  _indexPiece(piece, position) {
+    if (this._indexStale) return;
+
+    const entry = this._pieceIndex.get(piece.id);
+    if (entry && entry.owner === piece.owner && GameState._isSamePosition(entry.position, position)) {
+      return;
+    }
+
+    this._takeIndex();
+    if (entry) {
+      this._ownerIndex.get(entry.owner)?.delete(piece.id);
+    } else {
+      this._pieceIds.observe(piece.id);
+    }
+    this._pieceIndex.set(piece.id, { position, owner: piece.owner });
+    const owned = this._ownerIndex.get(piece.owner) || new Set();
+    owned.add(piece.id);
+    this._ownerIndex.set(piece.owner, owned);
+  }
+
+  /**
+   * Record that a piece left a position, unless it has already been indexed somewhere else
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @param {PiecePosition} position
+   * @internal
+   */
+  _unindexPiece(piece, position) {
+    if (this._indexStale) return;
+
+    const entry = this._pieceIndex.get(piece.id);
+    if (!entry || !GameState._isSamePosition(entry.position, position)) {
+      return;
+    }
+
+    this._takeIndex();
+    this._pieceIndex.delete(piece.id);
+    this._ownerIndex.get(entry.owner)?.delete(piece.id);
+  }
+
+  /**
+   * Move a piece to its new owner's index (called when a piece's owner changes)
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @internal
+   */
+  _onOwnerChanged(piece) {
+    const entry = this._indexStale ? null : this._pieceIndex.get(piece.id);
+    // Pieces keep a reference to the last state they were in, so make sure it's this state's piece
+    if (entry && this._peekPiece(piece.id, entry.position) === piece) {
+      this._indexPiece(piece, entry.position);
+    }
+  }
+
+  /**
+   * Look up a piece at an indexed position without taking its cell or collection
+   * @param {string} pieceId
+   * @param {PiecePosition} position
+   * @returns {import('../pieces/Piece.js').Piece|null}
+   * @private
+   */
+  _peekPiece(pieceId, position) {
+    if (position.area === 'board') {
+      const cell = this.board.get(/** @type {Coordinate} */ (position.coordinate).key);
+      const piece = cell?.getLayer(/** @type {number} */ (position.layer));
+      return piece?.id === pieceId ? piece : null;
+    }
+    const collection = position.area === 'stash' ? this._playerStashes.get(/** @type {string} */ (position.playerId))
+      : position.area === 'community' ? this._communityPool : this._graveyard;
+    return collection?.find(piece => piece.id === pieceId) || null;
+  }
+
+  /**
+   * Get the collection an off-board position refers to, ready to be changed
+   * @param {PiecePosition} position
+   * @returns {import('../pieces/Piece.js').Piece[]}
+   * @private
+   */
+  _getCollection(position) {
+    if (position.area === 'stash') return this.playerStashes.get(/** @type {string} */ (position.playerId)) || [];
+    return position.area === 'community' ? this.communityPool : this.graveyard;
+  }
+
+  /**
+   * Clone the indexes if they're shared with a copy, before changing them
+   * @private
+   */
+  _takeIndex() {
+    if (!this._indexShared) return;
+    this._pieceIndex = new Map(this._pieceIndex);
+    this._ownerIndex = new Map([...this._ownerIndex].map(([owner, ids]) => [owner, new Set(ids)]));
+    this._indexShared = false;
+  }
+
+  /**
+   * Rebuild the indexes if a collection was replaced
+   * @private
+   */
+  _refreshIndex() {
+    if (this._indexStale) {
+      this._rebuildIndex();
+    }
+  }
+
+  /**
+   * Rebuild the indexes from everything in the game
+   * @private
+   */
+  _rebuildIndex() {
+    this._pieceIndex = new Map();
+    this._ownerIndex = new Map();
+    this._indexShared = false;
+    this._indexStale = false;
+
+    for (const cell of this.board.values()) {
+      cell.layers.forEach((piece, layer) => {
+        if (piece) this._indexPiece(piece, { area: 'board', coordinate: cell.coordinate, layer });
+      });
+    }
+    for (const [playerId, stash] of this._playerStashes) {
+      for (const piece of stash) this._indexPiece(piece, { area: 'stash', playerId });
+    }
+    for (const piece of this._communityPool) this._indexPiece(piece, { area: 'community' });
+    for (const piece of this._graveyard) this._indexPiece(piece, { area: 'graveyard' });
+  }
+
+  /**
+   * @param {PiecePosition} a
+   * @param {PiecePosition} b
+   * @returns {boolean}
+   * @private
+   */
+  static _isSamePosition(a, b) {
+    return a.area === b.area && a.layer === b.layer && a.playerId === b.playerId
+      && a.coordinate?.key === b.coordinate?.key;
+  }
+
+  /**
+   * Get every coordinate reachable from a starting point through orthogonally adjacent terrain.
+   * Any terrain counts as a connecting tile (Land, and pieces like the Turtle that act as land).
+   * @param {Coordinate} start
+   * @returns {Set<string>} Coordinate keys reached, including the start
+   */
+  getTerrainConnectedTo(start) {
+    const reached = new Set([start.key]);
+    const queue = [start];
+    while (queue.length > 0) {
+      const current = /** @type {Coordinate} */ (queue.shift());
+      for (const neighbor of current.getOrthogonalAdjacent()) {
+        // Peek at the board directly so the search doesn't create empty cells
+        if (!reached.has(neighbor.key) && this.board.get(neighbor.key)?.terrain) {
+          reached.add(neighbor.key);
+          queue.push(neighbor);
+        }
+      }
+    }
+    return reached;
+  }
+
+  /**
+   * Find Citadels that aren't connected to the others by a path of orthogonally adjacent terrain
+   * @returns {PieceLocation[]} Citadels cut off from the first Citadel found (empty if all are connected)
+   */
+  getDisconnectedCitadels() {
+    const citadels = this.findPieces('Citadel');
+    if (citadels.length <= 1) {
+      return [];
+    }
+
+    const reached = this.getTerrainConnectedTo(citadels[0].coordinate);
+    return citadels.filter(({ coordinate }) => !reached.has(coordinate.key));
+  }
+
+  /**
+   * Check if all Citadels are connected by orthogonally adjacent terrain
+   * @returns {boolean}
+   */
+  areCitadelsConnected() {
+    return this.getDisconnectedCitadels().length === 0;
+  }
+
   /**
    * Get the extents of the current board (min/max coordinates of all pieces and terrain)
    * @returns {{minX: number, maxX: number, minY: number, maxY: number}} Board extents
@@ -433,12 +909,27 @@ export class GameState {
     return { minX, maxX, minY, maxY };
   }
 
+  /**
+   * Iterate over every coordinate within the board extents, plus a margin around them
+   * @param {number} [margin]
+   * @returns {Generator<Coordinate>}
+   */
+  *getCoordinatesInExtents(margin = 0) {
+    const extents = this.getBoardExtents();
+    for (let x = extents.minX - margin; x <= extents.maxX + margin; x++) {
+      for (let y = extents.minY - margin; y <= extents.maxY + margin; y++) {
+        yield new Coordinate(x, y);
+      }
+    }
+  }
+
   /**
    * Add a piece to the community pool
    * @param {import('../pieces/Piece.js').Piece} piece
    */
   addToCommunityPool(piece) {
     this.communityPool.push(piece);
+    this._indexPiece(piece, { area: 'community' });
     this._updateLastModified();
   }
 
@@ -448,9 +939,41 @@ export class GameState {
    * @returns {boolean} True if the piece was found and removed
    */
   removeFromCommunityPool(piece) {
-    const index = this.communityPool.indexOf(piece);
+    const index = this.communityPool.findIndex(p => p.id === piece.id);
     if (index >= 0) {
-      this.communityPool.splice(index, 1);
+      const [removed] = this.communityPool.splice(index, 1);
+      this._unindexPiece(removed, { area: 'community' });
+      this._updateLastModified();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Add a piece to a player's stash
+   * @param {string} playerId
+   * @param {import('../pieces/Piece.js').Piece} piece
+   */
+  addToStash(playerId, piece) {
+    const stash = this.playerStashes.get(playerId) || [];
+    stash.push(piece);
+    this.playerStashes.set(playerId, stash);
+    this._indexPiece(piece, { area: 'stash', playerId });
+    this._updateLastModified();
+  }
+
+  /**
+   * Remove a piece from a player's stash
+   * @param {string} playerId
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @returns {boolean} True if the piece was found and removed
+   */
+  removeFromStash(playerId, piece) {
+    const stash = this.playerStashes.get(playerId) || [];
+    const index = stash.findIndex(p => p.id === piece.id);
+    if (index >= 0) {
+      const [removed] = stash.splice(index, 1);
+      this._unindexPiece(removed, { area: 'stash', playerId });
       this._updateLastModified();
       return true;
     }
@@ -466,6 +989,7 @@ export class GameState {
     if (landIndex >= 0) {
       const land = this.communityPool[landIndex];
       this.communityPool.splice(landIndex, 1);
+      this._unindexPiece(land, { area: 'community' });
       this._updateLastModified();
       return land;
     }
@@ -539,27 +1063,62 @@ export class GameState {
    */
   moveToGraveyard(piece) {
     this.graveyard.push(piece);
+    this._indexPiece(piece, { area: 'graveyard' });
     this._updateLastModified();
   }
 
   /**
-   * Remove both terrain and piece at a coordinate, handling graveyard/community pool appropriately
+   * Remove a piece from the graveyard
+   * @param {import('../pieces/Piece.js').Piece} piece
+   * @returns {boolean} True if the piece was found and removed
+   */
+  removeFromGraveyard(piece) {
+    const index = this.graveyard.findIndex(p => p.id === piece.id);
+    if (index >= 0) {
+      const [removed] = this.graveyard.splice(index, 1);
+      this._unindexPiece(removed, { area: 'graveyard' });
+      this._updateLastModified();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Capture the piece at a coordinate, sending it to the graveyard
+   * @param {Coordinate} coordinate
+   * @param {number} [layer=1] - The layer to capture from
+   * @returns {import('../pieces/Piece.js').Piece|null} The captured piece, or null if there was none
+   */
+  capturePieceAt(coordinate, layer = 1) {
+    const cell = this.getCell(coordinate);
+    const piece = cell.getLayer(layer);
+    if (!piece) {
+      return null;
+    }
+
+    cell.setLayer(layer, null);
+    this.moveToGraveyard(piece);
+    return piece;
+  }
+
+  /**
+   * Remove everything at a coordinate: the terrain goes to the community pool and the pieces on it to the graveyard
    * @param {Coordinate} coordinate
    * @param {import('../pieces/Piece.js').Piece} [actingPiece] - The piece performing this action (for recording)
-   * @returns {{terrain: import('../pieces/Piece.js').Piece|null, piece: import('../pieces/Piece.js').Piece|null}}
+   * @returns {{terrain: import('../pieces/Piece.js').Piece|null, piece: import('../pieces/Piece.js').Piece|null}} The terrain and the piece on layer 1
    */
   removeCellContents(coordinate, actingPiece) {
     const cell = this.getCell(coordinate);
-    const { terrain, piece } = cell.clear();
+    const [terrain = null, piece = null, ...above] = cell.clear();
 
     // Move terrain to community pool if it exists
     if (terrain) {
       this.addToCommunityPool(terrain);
     }
 
-    // Move piece to graveyard if it exists
-    if (piece) {
-      this.moveToGraveyard(piece);
+    // Move the pieces to the graveyard, bottom first
+    for (const removed of [piece, ...above]) {
+      if (removed) this.moveToGraveyard(removed);
     }
 
     // Record action if acting piece is provided and terrain was removed
@@ -629,13 +1188,16 @@ export class GameState {
    * @param {Object} action
    */
   addAction(action) {
-    this.actionHistory.push({
+    const entry = {
       ...action,
       timestamp: new Date(),
       turnNumber: this.turnNumber,
       player: this.currentPlayer
-    });
+    };
+    this.actionHistory.push(entry);
     this._updateLastModified();
+    // Pass the turn and move between phases as the phase machine declares
+    PhaseMachine.afterAction(this, entry);
   }
 
   /**
@@ -691,7 +1253,7 @@ export class GameState {
   toJSON() {
     const boardArray = [];
     for (const [key, cell] of this.board) {
-      if (cell.terrain || cell.piece) {
+      if (cell.height > 0) {
         boardArray.push(cell.toJSON());
       }
     }
@@ -719,30 +1281,37 @@ export class GameState {
       lastModified: this.lastModified.toISOString(),
       phase: this.phase,
       hostPlayerId: this.hostPlayerId,
-      setup: this.setup
+      setup: this.setup,
+      winner: this.winner,
+      endReason: this.endReason,
+      random: this._random.toJSON()
     };
   }
 
   /**
    * Create a GameState from JSON data
    * @param {GameStateJSON} data
-   * @param {Function} pieceFromJSON - Function to create pieces from JSON
+   * @param {Function} [pieceFromJSON] - Function to create pieces from JSON (defaults to the PieceRegistry)
    * @returns {GameState}
    */
-  static fromJSON(data, pieceFromJSON) {
+  static fromJSON(data, pieceFromJSON = PieceRegistry.fromJSON) {
     const state = new GameState();
     
     // Restore game ID
     state.gameId = data.gameId || null;
+
+    // Restore the random numbers, or derive them from the game for states saved before there were any
+    state._random = data.random
+      ? SeededRandom.fromJSON(data.random)
+      : new SeededRandom(SeededRandom.seedFrom(data.gameId || data.createdAt || ''));
     
     // Restore board
     state.board = new Map();
     for (const cellData of data.board) {
-      const coord = Coordinate.fromKey(cellData.coordinate);
-      const terrain = cellData.terrain ? pieceFromJSON(cellData.terrain, state) : null;
-      const piece = cellData.piece ? pieceFromJSON(cellData.piece, state) : null;
-      const cell = new Cell(coord, terrain, piece, state);
-      state.board.set(cellData.coordinate, cell);
+      const cell = state.getCell(Coordinate.fromKey(cellData.coordinate));
+      Cell.layersFromJSON(cellData).forEach((piece, layer) => {
+        cell.setLayer(layer, piece ? pieceFromJSON(piece, state) : null);
+      });
     }
     
     // Restore other properties
@@ -752,9 +1321,11 @@ export class GameState {
     state.turnNumber = data.turnNumber;
     
     // Restore game flow state
-    state.phase = /** @type {'lobby'|'land'|'citadel'|'done'} */ (data.phase || 'lobby');
+    state.phase = /** @type {import('./PhaseMachine.js').GamePhase} */ (data.phase || 'lobby');
     state.hostPlayerId = data.hostPlayerId || null;
     state.setup = data.setup || null;
+    state.winner = data.winner || null;
+    state.endReason = data.endReason || null;
     
     // Restore player stashes
     state.playerStashes = new Map();
@@ -0,0 +1,249 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+import { GameState } from './GameState.js';
+import { Coordinate } from './Coordinate.js';
+import { Land } from '../pieces/Land.js';
+import { Soldier } from '../pieces/Soldier.js';
+import { Bird } from '../pieces/Bird.js';
+
+describe('GameState - copy on write', () => {
+  /** @type {GameState} */
+  let original;
+  const here = new Coordinate(0, 0);
+  const there = new Coordinate(1, 0);
+
+  beforeEach(() => {
+    original = new GameState();
+    original.addPlayer('player1', 'Alice');
+    original.addPlayer('player2', 'Bob');
+    original.setTerrain(here, new Land({ owner: 'neutral', id: 'land1' }));
+    original.setTerrain(there, new Land({ owner: 'neutral', id: 'land2' }));
+    original.setPiece(here, new Soldier({ owner: 'player1', id: 'soldier1' }));
+    original.addToCommunityPool(new Bird({ owner: 'neutral', id: 'bird1' }));
+  });
+
+  it('should share cells until one side takes them', () => {
+    const copy = original.copy({ isSimulation: true });
+    expect(copy.board.get(here.key)).toBe(original.board.get(here.key));
+
+    const piece = copy.getPieceAt(here);
+    expect(piece?.id).toBe('soldier1');
+    expect(piece).not.toBe(original.board.get(here.key)?.piece);
+    expect(piece?.coordinate?.equals(here)).toBe(true);
+  });
+
+  it('should keep changes to a copy out of the original', () => {
+    const copy = original.copy({ isSimulation: true });
+    const soldier = /** @type {import('../pieces/Piece.js').Piece} */ (copy.getPieceAt(here));
+    copy.setPiece(here, null);
+    copy.setPiece(there, soldier);
+    copy.capturePieceAt(there);
+    copy.removeTerrain(here);
+
+    expect(original.getPieceAt(here)?.id).toBe('soldier1');
+    expect(original.getPieceAt(here)?.coordinate?.equals(here)).toBe(true);
+    expect(original.hasTerrain(here)).toBe(true);
+    expect(original.graveyard).toEqual([]);
+  });
+
+  it('should keep changes to the original out of its copies', () => {
+    const copy = original.copy();
+    original.capturePieceAt(here);
+    original.getLandFromCommunityPool();
+    original.communityPool.length = 0;
+    original.addAction({ type: 'end_turn', pieceId: '', data: {} });
+
+    expect(copy.getPieceAt(here)?.id).toBe('soldier1');
+    expect(copy.graveyard).toEqual([]);
+    expect(copy.communityPool.map(piece => piece.id)).toEqual(['bird1']);
+    expect(copy.actionHistory).toEqual([]);
+  });
+
+  it('should keep copies of copies apart', () => {
+    const first = original.copy({ isSimulation: true });
+    const second = first.copy({ isSimulation: true });
+    second.playerStashes.get('player1')?.push(new Bird({ owner: 'player1' }));
+    first.setPiece(there, new Bird({ owner: 'player2', id: 'bird2' }));
+
+    expect(first.playerStashes.get('player1')).toEqual([]);
+    expect(original.playerStashes.get('player1')).toEqual([]);
+    expect(second.hasPiece(there)).toBe(false);
+    expect(original.hasPiece(there)).toBe(false);
+    expect(second.getAllPieceCoordinates()).toEqual(original.getAllPieceCoordinates());
+  });
+});
+
+describe('GameState - piece indexes', () => {
+  /** @type {GameState} */
+  let state;
+  const here = new Coordinate(0, 0);
+  const there = new Coordinate(1, 0);
+
+  beforeEach(() => {
+    state = new GameState();
+    state.addPlayer('player1', 'Alice');
+    state.addPlayer('player2', 'Bob');
+    state.setTerrain(here, new Land({ owner: 'neutral', id: 'land1' }));
+    state.setTerrain(there, new Land({ owner: 'neutral', id: 'land2' }));
+    state.setPiece(here, new Soldier({ owner: 'player1', id: 'soldier1' }));
+    state.setPiece(there, new Soldier({ owner: 'player2', id: 'soldier2' }));
+  });
+
+  it('should track pieces as they move and are captured', () => {
+    expect(state.getPieceLocation('land1')).toEqual({ area: 'board', coordinate: here, layer: 0 });
+    expect(state.getPieceLocation('soldier1')).toEqual({ area: 'board', coordinate: here, layer: 1 });
+
+    const soldier = /** @type {import('../pieces/Piece.js').Piece} */ (state.getPieceAt(here));
+    state.capturePieceAt(there);
+    state.setPiece(here, null);
+    state.setPiece(there, soldier);
+    expect(state.getPieceLocation('soldier1')).toEqual({ area: 'board', coordinate: there, layer: 1 });
+    expect(state.getPieceLocation('soldier2')).toEqual({ area: 'graveyard' });
+    expect(state.getPieceById('soldier2')).toBe(state.graveyard[0]);
+
+    state.removeCellContents(there);
+    expect(state.getPieceLocation('land2')).toEqual({ area: 'community' });
+    expect(state.getPieceLocation('soldier1')).toEqual({ area: 'graveyard' });
+    expect(state.findPieces('Soldier')).toEqual([]);
+  });
+
+  it('should track stashes and the community pool', () => {
+    state.addToStash('player1', new Bird({ owner: 'player1', id: 'bird1' }));
+    state.addToCommunityPool(new Bird({ owner: 'neutral', id: 'bird2' }));
+    expect(state.getPieceLocation('bird1')).toEqual({ area: 'stash', playerId: 'player1' });
+    expect(state.getPieceById('bird2')?.owner).toBe('neutral');
+
+    state.removeFromStash('player1', /** @type {import('../pieces/Piece.js').Piece} */ (state.getPieceById('bird1')));
+    expect(state.getPieceLocation('bird1')).toBeNull();
+    expect(state.getPieceById('bird1')).toBeNull();
+  });
+
+  it('should list pieces by owner as owners change', () => {
+    const bird = new Bird({ owner: 'neutral', id: 'bird1' });
+    state.addToCommunityPool(bird);
+    expect(state.getPiecesByOwner('player1').map(piece => piece.id)).toEqual(['soldier1']);
+
+    state.removeFromCommunityPool(bird);
+    bird.owner = 'player1';
+    state.setPiece(new Coordinate(0, 1), bird);
+    expect(state.getPiecesByOwner('player1').map(piece => piece.id)).toEqual(['soldier1', 'bird1']);
+    expect(state.getPiecesByOwner('neutral').map(piece => piece.id)).toEqual(['land1', 'land2']);
+    expect(state.findPieces('Soldier', 'player2').map(({ piece }) => piece.id)).toEqual(['soldier2']);
+  });
+
+  it('should keep the indexes of copies apart', () => {
+    const copy = state.copy({ isSimulation: true });
+    copy.capturePieceAt(here);
+
+    expect(copy.getPieceLocation('soldier1')).toEqual({ area: 'graveyard' });
+    expect(state.getPieceLocation('soldier1')).toEqual({ area: 'board', coordinate: here, layer: 1 });
+    expect(state.getPiecesByOwner('player1').map(piece => piece.id)).toEqual(['soldier1']);
+  });
+
+  it('should keep the index up to date as pieces move in and out of the stash', () => {
+    state.getPieceLocation('soldier1');
+    const rebuild = vi.spyOn(/** @type {any} */ (state), '_rebuildIndex');
+
+    const soldier = /** @type {import('../pieces/Piece.js').Piece} */ (state.getPieceAt(here));
+    state.setPiece(here, null);
+    state.addToStash('player1', soldier);
+    expect(state.getPieceLocation('soldier1')).toEqual({ area: 'stash', playerId: 'player1' });
+
+    state.removeFromStash('player1', soldier);
+    state.addToCommunityPool(soldier);
+    expect(state.getPieceLocation('soldier1')).toEqual({ area: 'community' });
+
+    state.removeFromCommunityPool(soldier);
+    expect(state.getPieceLocation('soldier1')).toBeNull();
+    expect(state.getPieceLocation('captured1')).toBeNull();
+    expect(rebuild).not.toHaveBeenCalled();
+  });
+
+  it('should find pieces in collections that were replaced', () => {
+    state.graveyard = [new Bird({ owner: 'player1', id: 'bird2' })];
+    expect(state.getPiecesByOwner('player1').map(piece => piece.id)).toEqual(['soldier1', 'bird2']);
+  });
+});
+
+describe('GameState - piece IDs', () => {
+  it('should allocate sequential IDs per piece type', () => {
+    const state = new GameState();
+    expect(state.allocatePieceId('Bird')).toBe('Bird#1');
+    expect(state.allocatePieceId('Bird')).toBe('Bird#2');
+    expect(state.allocatePieceId('Land')).toBe('Land#1');
+    expect(new Soldier({ owner: 'player1', gameState: state }).id).toBe('Soldier#1');
+  });
+
+  it('should let copies keep their IDs and allocate independently', () => {
+    const state = new GameState();
+    state.setPiece(new Coordinate(0, 0), new Bird({ owner: 'player1', id: state.allocatePieceId('Bird') }));
+
+    const copy = state.copy({ isSimulation: true });
+    expect(copy.getPieceAt(new Coordinate(0, 0))?.id).toBe('Bird#1');
+    expect(copy.allocatePieceId('Bird')).toBe('Bird#2');
+    expect(state.allocatePieceId('Bird')).toBe('Bird#2');
+  });
+
+  it('should keep the IDs of different games apart', () => {
+    const state = new GameState();
+    state.setGameId('K7QX');
+    state.setPiece(new Coordinate(0, 0), new Bird({ owner: 'player1', id: 'Bird#4' }));
+    state.moveToGraveyard(new Bird({ owner: 'player1', id: 'W2PA:Bird#9' }));
+    expect(state.allocatePieceId('Bird')).toBe('K7QX:Bird#1');
+
+    state.moveToGraveyard(new Bird({ owner: 'player1', id: 'K7QX:Bird#5' }));
+    const loaded = GameState.fromJSON(/** @type {any} */ (state.toJSON()));
+    expect(loaded.allocatePieceId('Bird')).toBe('K7QX:Bird#6');
+  });
+
+  it('should carry on from the IDs of loaded pieces', () => {
+    const state = new GameState();
+    state.addPlayer('player1', 'Alice');
+    state.setPiece(new Coordinate(0, 0), new Bird({ owner: 'player1', id: 'Bird#4' }));
+    state.moveToGraveyard(new Bird({ owner: 'player1', id: 'Bird#7' }));
+
+    const loaded = GameState.fromJSON(/** @type {any} */ (state.toJSON()));
+    expect(loaded.allocatePieceId('Bird')).toBe('Bird#8');
+    expect(loaded.allocatePieceId('Soldier')).toBe('Soldier#1');
+  });
+});
+
+describe('GameState - random numbers', () => {
+  /**
+   * @param {GameState} state
+   * @returns {number[]}
+   */
+  const draw = state => [state.random(), state.random(), state.random()];
+
+  it('should draw the same numbers from the same seed', () => {
+    const first = new GameState();
+    const second = new GameState();
+    first.setRandomSeed(42);
+    second.setRandomSeed(42);
+    expect(draw(first)).toEqual(draw(second));
+    expect(first.randomSeed).toBe(42);
+  });
+
+  it('should carry on the same numbers in copies and saved states', () => {
+    const state = new GameState();
+    state.setRandomSeed(7);
+    state.random();
+
+    const copy = state.copy();
+    const loaded = GameState.fromJSON(/** @type {any} */ (state.toJSON()));
+    const expected = draw(state);
+    expect(draw(copy)).toEqual(expected);
+    expect(draw(loaded)).toEqual(expected);
+  });
+
+  it('should give simulations their own numbers without using up the game\'s', () => {
+    const state = new GameState();
+    state.setRandomSeed(7);
+    const reference = state.copy();
+
+    const simulated = draw(state.copy({ isSimulation: true }));
+    const real = draw(state);
+    expect(real).toEqual(draw(reference));
+    expect(simulated).not.toEqual(real);
+  });
+});
@@ -1,13 +1,171 @@
 import { GameState } from './GameState.js';
 import { PersistentGameState } from './PersistentGameState.js';
-import { Coordinate } from './Coordinate.js';
+import { ReplayError } from './Errors.js';
+import { SeededRandom } from './SeededRandom.js';
+import { PhaseMachine } from './PhaseMachine.js';
+import { ActionRegistry } from '../actions/ActionRegistry.js';
+import { PieceRegistry } from '../pieces/PieceRegistry.js';
+// Built-in actions register their replay handlers when loaded
+import '../actions/Move.js';
+import { Place } from '../actions/Place.js';
+import '../actions/Capture.js';
+import '../actions/SelectPiece.js';
+import '../actions/Deploy.js';
+
+// start_game, end_turn and end_game are recorded by the engine itself rather than by an Action subclass
+ActionRegistry.register({
+  type: 'start_game',
+  // Leaving the lobby is handled by the PhaseMachine once the action is in the history
+  replay() {}
+});
+
+ActionRegistry.register({
+  type: 'end_turn',
+  /** @param {GameState} gameState */
+  replay(gameState) {
+    gameState.nextTurn();
+  }
+});
+
+ActionRegistry.register({
+  type: 'end_game',
+  /**
+   * @param {GameState} gameState
+   * @param {import('./PersistentGameState.js').GameAction} action
+   */
+  replay(gameState, action) {
+    /** @type {import('./PersistentGameState.js').EndGameActionData} */
+    const data = /** @type {any} */ (action.data);
+    gameState.endGame(data.winner, data.reason);
+  }
+});
+
+/**
+ * Check if two entries are how old saved games logged a Land placement: a `place` entry
+ * without the piece, then a `place-land` entry for the same cell
+ * @param {any} place
+ * @param {any} placeLand
+ * @returns {boolean}
+ */
+function isLegacyLandPair(place, placeLand) {
+  return place?.type === Place.type && !place.data?.piece
+    && placeLand?.type === 'place-land' && placeLand.at === place.data?.at;
+}
+
+/**
+ * Saved games from before placements recorded themselves hold `place-land` and `place-citadel`
+ * entries that the game page logged by hand, with the cell at the top level and without the piece.
+ * They replay as the `place` they stand for, giving the piece an ID from the game.
+ * A `place-land` that repeats the `place` entry before it has nothing left to do (see GameStateReplay._upgradeLegacyPlace).
+ * @param {string} type - The legacy action type
+ * @param {(action: any) => {type: string, owner: string}} describePiece - The piece the entry placed
+ */
+function registerLegacyPlacement(type, describePiece) {
+  ActionRegistry.register({
+    type,
+    /**
+     * @param {GameState} gameState
+     * @param {any} action
+     * @param {import('../actions/ActionRegistry.js').ReplayContext} context
+     */
+    replay(gameState, action, context) {
+      if (isLegacyLandPair(gameState.actionHistory.at(-1), action)) {
+        return;
+      }
+
+      const piece = describePiece(action);
+      const id = gameState.allocatePieceId(piece.type);
+      const data = { at: action.at ?? action.data?.at, piece: { ...piece, id } };
+      Place.replay(gameState, { ...action, type: Place.type, pieceId: id, data }, { ...context, piece: null });
+    }
+  });
+}
+
+registerLegacyPlacement('place-land', () => ({ type: 'Land', owner: 'neutral' }));
+registerLegacyPlacement('place-citadel', action => ({ type: 'Citadel', owner: action.player }));
 
 /**
  * @typedef {Object} ReplayOptions
- * @property {Function} pieceFromJSON - Function to recreate pieces from JSON
+ * @property {Function} [pieceFromJSON] - Function to recreate pieces from JSON (defaults to the PieceRegistry)
  * @property {boolean} [isSimulation] - Whether this is for simulation
+ * @property {ReplayCheckpoints} [checkpoints] - Snapshot store to resume from and fill while replaying
  */
 
+/**
+ * Periodic serialized snapshots of a replayed game, keyed by how many actions had been applied.
+ * Replay resumes from the nearest snapshot instead of starting again from move zero.
+ */
+export class ReplayCheckpoints {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.interval] - Take a snapshot every this many actions
+   */
+  constructor({ interval = 20 } = {}) {
+    /** @type {number} */
+    this.interval = interval;
+
+    // actionCount -> serialized GameState (stored as a string so later mutations can't leak in)
+    /** @type {Map<number, string>} */
+    this.snapshots = new Map();
+  }
+
+  /**
+   * Check if a snapshot should be taken after the given number of actions
+   * @param {number} actionCount
+   * @param {boolean} phaseChanged - Whether the last action changed the game phase
+   * @returns {boolean}
+   */
+  shouldSnapshot(actionCount, phaseChanged) {
+    return actionCount > 0 && (phaseChanged || actionCount % this.interval === 0);
+  }
+
+  /**
+   * Store a snapshot of a game state
+   * @param {number} actionCount - Number of actions applied to produce this state
+   * @param {GameState} gameState
+   */
+  save(actionCount, gameState) {
+    // The action history is rebuilt from the persistent log, so don't store it per snapshot
+    const json = { ...gameState.toJSON(), actionHistory: [] };
+    this.snapshots.set(actionCount, JSON.stringify(json));
+  }
+
+  /**
+   * Find the latest snapshot taken at or before the given action count
+   * @param {number} actionCount
+   * @returns {{actionCount: number, snapshot: import('./GameState.js').GameStateJSON}|null}
+   */
+  nearest(actionCount) {
+    let best = -1;
+    for (const count of this.snapshots.keys()) {
+      if (count <= actionCount && count > best) {
+        best = count;
+      }
+    }
+    const serialized = this.snapshots.get(best);
+    return serialized ? { actionCount: best, snapshot: JSON.parse(serialized) } : null;
+  }
+
+  /**
+   * Drop every snapshot taken after the given action count (e.g. after an undo)
+   * @param {number} actionCount
+   */
+  invalidateAfter(actionCount) {
+    for (const count of [...this.snapshots.keys()]) {
+      if (count > actionCount) {
+        this.snapshots.delete(count);
+      }
+    }
+  }
+
+  /**
+   * Drop all snapshots (e.g. after the initial configuration changed)
+   */
+  clear() {
+    this.snapshots.clear();
+  }
+}
+
 /**
  * Handles replaying actions from a PersistentGameState to build a full GameState.
  * This is the core mechanism that ensures all game state is derived from initial config + actions.
@@ -16,21 +174,38 @@ export class GameStateReplay {
   /**
    * Rebuild a full GameState from a PersistentGameState by replaying all actions
    * @param {PersistentGameState} persistentState
-   * @param {ReplayOptions} options
+   * @param {ReplayOptions} [options]
    * @returns {GameState}
    */
-  static replayToFullState(persistentState, options) {
-    const { pieceFromJSON, isSimulation = false } = options;
+  static replayToFullState(persistentState, options = {}) {
+    const { pieceFromJSON = PieceRegistry.fromJSON, isSimulation = false, checkpoints } = options;
+    const actions = persistentState.actions;
     
-    // Create a new GameState with initial configuration
-    const gameState = new GameState({ isSimulation });
+    /** @type {GameState} */
+    let gameState;
+    let start = 0;
     
-    // Apply initial configuration
-    GameStateReplay._applyInitialConfiguration(gameState, persistentState.initial, pieceFromJSON);
+    const checkpoint = checkpoints?.nearest(actions.length);
+    if (checkpoint) {
+      // Resume from the nearest snapshot
+      gameState = GameState.fromJSON(checkpoint.snapshot, pieceFromJSON);
+      gameState.isSimulation = isSimulation;
+      gameState.actionHistory = actions.slice(0, checkpoint.actionCount);
+      start = checkpoint.actionCount;
+    } else {
+      // Create a new GameState with initial configuration
+      gameState = new GameState({ isSimulation });
+      GameStateReplay._applyInitialConfiguration(gameState, persistentState.initial, pieceFromJSON);
+    }
     
-    // Replay all actions in order
-    for (const action of persistentState.actions) {
-      GameStateReplay._replayAction(gameState, action, pieceFromJSON);
+    // Replay the remaining actions in order
+    for (let i = start; i < actions.length; i++) {
+      const phase = gameState.phase;
+      GameStateReplay._replayAction(gameState, actions[i], pieceFromJSON, actions[i + 1]);
+      
+      if (checkpoints?.shouldSnapshot(i + 1, gameState.phase !== phase)) {
+        checkpoints.save(i + 1, gameState);
+      }
     }
     
     return gameState;
@@ -50,6 +225,7 @@ export class GameStateReplay {
     gameState.hostPlayerId = initial.hostPlayerId;
     gameState.setup = initial.setup ? { ...initial.setup } : null;
     gameState.createdAt = new Date(initial.createdAt);
+    gameState.setRandomSeed(initial.seed ?? SeededRandom.seedFrom(initial.gameId || initial.createdAt));
     
     // Players
     gameState.players = [...initial.players];
@@ -69,24 +245,18 @@ export class GameStateReplay {
   }
 
   /**
-   * Replay a single action
+   * Replay a single action using the handler registered for its type
    * @param {GameState} gameState
    * @param {import('./PersistentGameState.js').GameAction} action
    * @param {Function} pieceFromJSON
+   * @param {import('./PersistentGameState.js').GameAction} [next] - The action recorded after it, if any
+   * @throws {ReplayError} If the action can't be replayed
    * @private
    */
-  static _replayAction(gameState, action, pieceFromJSON) {
-    // Find the piece performing the action
-    const piece = GameStateReplay._findOrCreatePiece(gameState, action.pieceId, action, pieceFromJSON);
-    if (!piece && action.type !== 'end_turn') {
-      console.warn(`Could not find or create piece ${action.pieceId} for action ${action.type}`);
-      return;
-    }
+  static _replayAction(gameState, action, pieceFromJSON, next) {
+    // Find the piece performing the action (handlers decide whether they need one)
+    const piece = action.pieceId ? gameState.getPieceById(action.pieceId) : null;
 
-    // Set the correct turn context for the action
-    const originalPlayerIndex = gameState.currentPlayerIndex;
-    const originalTurnNumber = gameState.turnNumber;
-    
     // Find player index for this action
     const playerIndex = gameState.players.indexOf(action.player);
     if (playerIndex >= 0) {
@@ -95,230 +265,36 @@ export class GameStateReplay {
     gameState.turnNumber = action.turnNumber;
 
     try {
-      switch (action.type) {
-        case 'place':
-          if (piece) GameStateReplay._replayPlaceAction(gameState, piece, action);
-          break;
-        case 'move':
-          if (piece) GameStateReplay._replayMoveAction(gameState, piece, action, pieceFromJSON);
-          break;
-        case 'move_terrain':
-          if (piece) GameStateReplay._replayMoveTerrainAction(gameState, piece, action);
-          break;
-        case 'remove_terrain':
-          if (piece) GameStateReplay._replayRemoveTerrainAction(gameState, piece, action);
-          break;
-        case 'place_terrain':
-          if (piece) GameStateReplay._replayPlaceTerrainAction(gameState, piece, action, pieceFromJSON);
-          break;
-        case 'end_turn':
-          gameState.nextTurn();
-          break;
-        default:
-          console.warn(`Unknown action type: ${action.type}`);
-      }
+      ActionRegistry.replay(gameState, GameStateReplay._upgradeLegacyPlace(action, next), { piece, pieceFromJSON });
     } catch (error) {
-      console.error(`Error replaying action ${action.type}:`, error);
+      if (error instanceof ReplayError) {
+        throw error;
+      }
+      const message = error instanceof Error ? error.message : String(error);
+      throw new ReplayError(`Error replaying action ${action.type}: ${message}`);
     }
 
     // Add the action to history (without calling addAction which would modify timestamps)
     gameState.actionHistory.push(action);
+    PhaseMachine.afterAction(gameState, action);
     
     // Update last modified time
     gameState.lastModified = new Date(action.timestamp);
   }
 
   /**
-   * Replay a place action
-   * @param {GameState} gameState
-   * @param {import('../pieces/Piece.js').Piece} piece
+   * Give the `place` entry of a legacy Land placement the Land it placed, so it replays like
+   * any placement. Every other entry is replayed as recorded.
    * @param {import('./PersistentGameState.js').GameAction} action
+   * @param {import('./PersistentGameState.js').GameAction} [next]
+   * @returns {import('./PersistentGameState.js').GameAction}
    * @private
    */
-  static _replayPlaceAction(gameState, piece, action) {
-    /** @type {import('./PersistentGameState.js').PlaceActionData} */
-    const data = /** @type {any} */ (action.data);
-    const coordinateStr = data.at.replace(/[()]/g, '').replace(/\s/g, '');
-    const coordinate = Coordinate.fromKey(coordinateStr);
-    
-    // Create a copy of the piece for placement
-    const placedPiece = piece.copy();
-    placedPiece._setCoordinate(coordinate);
-    placedPiece._setGameState(gameState);
-    
-    if (piece.type === 'Land') {
-      gameState.setTerrain(coordinate, placedPiece);
-    } else {
-      gameState.setPiece(coordinate, placedPiece);
+  static _upgradeLegacyPlace(action, next) {
+    if (!isLegacyLandPair(action, next)) {
+      return action;
     }
-  }
-
-  /**
-   * Replay a move action
-   * @param {GameState} gameState
-   * @param {import('../pieces/Piece.js').Piece} piece
-   * @param {import('./PersistentGameState.js').GameAction} action
-   * @param {Function} pieceFromJSON
-   * @private
-   */
-  static _replayMoveAction(gameState, piece, action, pieceFromJSON) {
-    /** @type {import('./PersistentGameState.js').MoveActionData} */
-    const data = /** @type {any} */ (action.data);
-    const fromCoord = Coordinate.fromKey(data.from.replace(/[()]/g, '').replace(' ', ''));
-    const toCoord = Coordinate.fromKey(data.to.replace(/[()]/g, '').replace(' ', ''));
-    
-    // Remove piece from current position
-    gameState.setPiece(fromCoord, null);
-    
-    // Handle captured piece if any
-    if (data.captured) {
-      const targetCell = gameState.getCell(toCoord);
-      if (targetCell.piece) {
-        gameState.moveToGraveyard(targetCell.piece);
-      }
-    }
-    
-    // Place piece at target position
-    gameState.setPiece(toCoord, piece);
-    piece._setCoordinate(toCoord);
-  }
-
-  /**
-   * Replay a move terrain action (Builder)
-   * @param {GameState} gameState
-   * @param {import('../pieces/Piece.js').Piece} piece
-   * @param {import('./PersistentGameState.js').GameAction} action
-   * @private
-   */
-  static _replayMoveTerrainAction(gameState, piece, action) {
-    /** @type {import('./PersistentGameState.js').MoveTerrainActionData} */
-    const data = /** @type {any} */ (action.data);
-    const fromCoord = Coordinate.fromKey(data.from.replace(/[()]/g, '').replace(' ', ''));
-    const toCoord = Coordinate.fromKey(data.to.replace(/[()]/g, '').replace(' ', ''));
-    
-    // Get the terrain to move
-    const terrain = gameState.removeTerrain(fromCoord);
-    
-    // Handle pieces on source terrain
-    const sourceCell = gameState.getCell(fromCoord);
-    if (sourceCell.piece) {
-      gameState.moveToGraveyard(sourceCell.piece);
-      sourceCell.setPiece(null);
-    }
-    
-    // Handle pieces on target
-    const targetCell = gameState.getCell(toCoord);
-    if (targetCell.piece) {
-      gameState.moveToGraveyard(targetCell.piece);
-      targetCell.setPiece(null);
-    }
-    
-    // Move terrain
-    if (terrain) {
-      gameState.setTerrain(toCoord, terrain);
-    }
-  }
-
-  /**
-   * Replay a remove terrain action (Builder)
-   * @param {GameState} gameState
-   * @param {import('../pieces/Piece.js').Piece} piece
-   * @param {import('./PersistentGameState.js').GameAction} action
-   * @private
-   */
-  static _replayRemoveTerrainAction(gameState, piece, action) {
-    /** @type {import('./PersistentGameState.js').RemoveTerrainActionData} */
-    const data = /** @type {any} */ (action.data);
-    const coordinate = Coordinate.fromKey(data.at.replace(/[()]/g, '').replace(' ', ''));
-    gameState.removeCellContents(coordinate);
-  }
-
-  /**
-   * Replay a place terrain action (Builder)
-   * @param {GameState} gameState
-   * @param {import('../pieces/Piece.js').Piece} piece
-   * @param {import('./PersistentGameState.js').GameAction} action
-   * @param {Function} pieceFromJSON
-   * @private
-   */
-  static _replayPlaceTerrainAction(gameState, piece, action, pieceFromJSON) {
-    /** @type {import('./PersistentGameState.js').PlaceTerrainActionData} */
     const data = /** @type {any} */ (action.data);
-    const coordinate = Coordinate.fromKey(data.at.replace(/[()]/g, '').replace(' ', ''));
-    const landPiece = gameState.getLandFromCommunityPool();
-    
-    if (landPiece) {
-      gameState.setTerrain(coordinate, landPiece);
-      landPiece._setCoordinate(coordinate);
-    }
-  }
-
-  /**
-   * Find a piece by ID in the game state, or create it from the action data if not found
-   * @param {GameState} gameState
-   * @param {string} pieceId
-   * @param {import('./PersistentGameState.js').GameAction} action
-   * @param {Function} pieceFromJSON
-   * @returns {import('../pieces/Piece.js').Piece|null}
-   * @private
-   */
-  static _findOrCreatePiece(gameState, pieceId, action, pieceFromJSON) {
-    // First try to find the piece in the game state
-    let piece = GameStateReplay._findPieceById(gameState, pieceId);
-    
-    if (!piece && action.type === 'place') {
-      // For place actions, we might need to create the piece from the action context
-      // This handles cases where a piece is placed from a stash that wasn't properly initialized
-      
-      // Try to infer piece data from the ID and action
-      // This is a fallback - ideally all pieces should be in initial state
-      console.warn(`Creating piece ${pieceId} during replay - this suggests incomplete initial state`);
-      
-      // For now, create a basic land piece if it's a land placement
-      if (pieceId.includes('land')) {
-        const data = /** @type {any} */ (action.data);
-        piece = pieceFromJSON({
-          id: pieceId,
-          type: 'Land',
-          owner: action.player || 'neutral'
-        });
-        if (piece) {
-          piece._setGameState(gameState);
-        }
-      }
-    }
-    
-    return piece;
-  }
-
-  /**
-   * Find a piece by ID in the game state
-   * @param {GameState} gameState
-   * @param {string} pieceId
-   * @returns {import('../pieces/Piece.js').Piece|null}
-   * @private
-   */
-  static _findPieceById(gameState, pieceId) {
-    // Check board pieces
-    for (const [key, cell] of gameState.board) {
-      if (cell.piece?.id === pieceId) return cell.piece;
-      if (cell.terrain?.id === pieceId) return cell.terrain;
-    }
-    
-    // Check player stashes
-    for (const [playerId, stash] of gameState.playerStashes) {
-      const piece = stash.find(p => p.id === pieceId);
-      if (piece) return piece;
-    }
-    
-    // Check community pool
-    const communityPiece = gameState.communityPool.find(p => p.id === pieceId);
-    if (communityPiece) return communityPiece;
-    
-    // Check graveyard
-    const graveyardPiece = gameState.graveyard.find(p => p.id === pieceId);
-    if (graveyardPiece) return graveyardPiece;
-    
-    return null;
+    return { ...action, data: { ...data, piece: { type: 'Land', owner: 'neutral', id: action.pieceId } } };
   }
 }
@@ -1,13 +1,16 @@
+import { SeededRandom } from './SeededRandom.js';
+
 /**
  * @typedef {Object} InitialConfiguration
  * @property {string|null} gameId - The game identifier for Firestore
  * @property {string[]} players - Array of player identifiers
  * @property {PlayerInfo[]} playerInfo - Array of player info objects with id and name
  * @property {string} createdAt - ISO timestamp when game state was created
- * @property {'lobby'|'land'|'citadel'|'done'} phase - Initial game phase
+ * @property {import('./PhaseMachine.js').GamePhase} phase - Initial game phase
  * @property {string|null} hostPlayerId - ID of the player who is the host
  * @property {Object|null} setup - Game setup configuration
  * @property {import('../pieces/Piece.js').PieceJSON[]} initialPieces - Initial pieces (usually community pool)
+ * @property {number} [seed] - Seed for the game's random numbers (see GameState.random)
  */
 
 /**
@@ -15,18 +18,20 @@
  * @property {string} type - The action type (e.g., 'place', 'move', 'remove')
  * @property {string} pieceId - ID of the piece performing the action
  * @property {ActionData} data - Action-specific data
+ * @property {Object<string, string>} [params] - Serialized parameters the player chose, for actions that declare them
  * @property {string} timestamp - ISO timestamp when action was recorded
  * @property {number} turnNumber - Turn number when action was performed
  * @property {string} player - Player who performed the action
  */
 
 /**
- * @typedef {PlaceActionData|MoveActionData|MoveTerrainActionData|RemoveTerrainActionData|PlaceTerrainActionData} ActionData
+ * @typedef {PlaceActionData|MoveActionData|CaptureActionData|MoveTerrainActionData|RemoveTerrainActionData|PlaceTerrainActionData|SelectPieceActionData|DeployActionData|GambleActionData|DetonateActionData|ResurrectActionData|DeclareTargetActionData|EndGameActionData} ActionData
  */
 
 /**
  * @typedef {Object} PlaceActionData
  * @property {string} at - Coordinate string where piece was placed
+ * @property {Object} [piece] - Serialized piece, used to recreate it on replay
  */
 
 /**
@@ -36,6 +41,15 @@
  * @property {string|null} captured - ID of captured piece if any
  * @property {string|null} capturedType - Type of captured piece if any
  * @property {string|null} capturedOwner - Owner of captured piece if any
+ * @property {string[]} [carried] - IDs of the pieces stacked on the moving piece (like a Turtle's rider) that moved with it
+ */
+
+/**
+ * @typedef {Object} CaptureActionData
+ * @property {string} at - Coordinate string of the captured piece
+ * @property {string|null} captured - ID of captured piece
+ * @property {string|null} capturedType - Type of captured piece
+ * @property {string|null} capturedOwner - Owner of captured piece
  */
 
 /**
@@ -54,6 +68,52 @@
  * @property {string} at - Coordinate string where terrain was placed
  */
 
+/**
+ * @typedef {Object} SelectPieceActionData
+ * @property {'stash'|'community'} destination - Whether the piece went to the player's stash or the community pool
+ * @property {Object} piece - Serialized picked piece, used to recreate it on replay
+ */
+
+/**
+ * @typedef {Object} DeployActionData
+ * @property {string} at - Coordinate string where the piece was deployed
+ * @property {'stash'|'community'} from - Whether the piece came from the player's stash or the community pool
+ * @property {string} [target] - ID of the piece a deployed Assassin targets ('deploy-assassin' only)
+ */
+
+/**
+ * @typedef {Object} GambleActionData
+ * @property {string} from - Source coordinate string
+ * @property {string} to - Coordinate string the piece aimed for
+ * @property {boolean} won - Whether the coin came up heads, so the piece moved
+ * @property {string|null} captured - ID of captured piece if any
+ */
+
+/**
+ * @typedef {Object} DetonateActionData
+ * @property {string} at - Coordinate string of the Bomber that detonated
+ * @property {import('../pieces/Bomber.js').DestroyedPiece[]} destroyed - Every piece the chain reaction destroyed, the Bomber first
+ */
+
+/**
+ * @typedef {Object} ResurrectActionData
+ * @property {string} at - Coordinate string of the Necromancer, where the revived piece appears
+ * @property {string} revived - ID of the piece raised from the graveyard
+ * @property {'stash'|'community'} returnedTo - Where the Necromancer went back to
+ */
+
+/**
+ * @typedef {Object} DeclareTargetActionData
+ * @property {string} at - Coordinate string of the Assassin
+ * @property {string} target - ID of the piece the Assassin now targets
+ */
+
+/**
+ * @typedef {Object} EndGameActionData
+ * @property {string|null} winner - The winning player, or null for a draw
+ * @property {string|null} reason - Human-readable reason the game ended
+ */
+
 /**
  * @typedef {Object} PlayerInfo
  * @property {string} id - The player identifier
@@ -86,7 +146,8 @@ export class PersistentGameState {
       phase: 'lobby',
       hostPlayerId: null,
       setup: null,
-      initialPieces: []
+      initialPieces: [],
+      seed: SeededRandom.createSeed()
     };
 
     /** @type {GameAction[]} */
@@ -108,6 +169,27 @@ export class PersistentGameState {
     this.lastModified = new Date().toISOString();
   }
 
+  /**
+   * Remove and return the most recent action
+   * @returns {GameAction|null}
+   */
+  popAction() {
+    const action = this.actions.pop() || null;
+    if (action) {
+      this.lastModified = new Date().toISOString();
+    }
+    return action;
+  }
+
+  /**
+   * Re-append a previously recorded action, keeping its original timestamp (used by redo)
+   * @param {GameAction} action
+   */
+  restoreAction(action) {
+    this.actions.push(action);
+    this.lastModified = new Date().toISOString();
+  }
+
   /**
    * Get the last action performed
    * @returns {GameAction|null}
@@ -220,7 +302,7 @@ export class PersistentGameState {
 
   /**
    * Set game phase
-   * @param {'lobby'|'land'|'citadel'|'done'} phase
+   * @param {import('./PhaseMachine.js').GamePhase} phase
    */
   setPhase(phase) {
     this.initial.phase = phase;
@@ -0,0 +1,247 @@
+import { RuleViolation } from './Errors.js';
+import { ActionRegistry } from '../actions/ActionRegistry.js';
+
+/**
+ * @typedef {'lobby'|'land'|'citadel'|'selection'|'battle'|'done'} GamePhase
+ */
+
+/**
+ * @typedef {Object} PhaseDefinition
+ * @property {GamePhase} id - The phase identifier
+ * @property {string[]|null} actions - Action types players may take in this phase (null allows any)
+ * @property {GamePhase|null} next - The phase that follows once this one is complete
+ * @property {(gameState: import('./GameState.js').GameState) => boolean} canEnter - Entry condition
+ * @property {(gameState: import('./GameState.js').GameState, action: Object) => boolean} isComplete - Exit condition, checked after every recorded action
+ * @property {boolean} passTurnAfterAction - Whether the turn passes to the next player after every action (otherwise players end their turn explicitly)
+ */
+
+/**
+ * Read a per-player quota from the game setup, treating a missing setup as no quota
+ * @param {import('./GameState.js').GameState} gameState
+ * @param {string} key
+ * @param {number} [fallback]
+ * @returns {number}
+ */
+function setupQuota(gameState, key, fallback = 0) {
+  const value = /** @type {any} */ (gameState.setup)?.[key];
+  return typeof value === 'number' ? value : fallback;
+}
+
+/**
+ * Count the terrain tiles of a type on the board
+ * @param {import('./GameState.js').GameState} gameState
+ * @param {string} type
+ * @returns {number}
+ */
+function countTerrain(gameState, type) {
+  let count = 0;
+  for (const cell of gameState.board.values()) {
+    if (cell.terrain?.type === type) count++;
+  }
+  return count;
+}
+
+/** @type {PhaseDefinition[]} */
+const PHASES = [
+  {
+    // Players join; the host starts the game
+    id: 'lobby',
+    actions: ['start_game'],
+    next: 'land',
+    canEnter: () => true,
+    isComplete: (gameState, action) => /** @type {any} */ (action).type === 'start_game',
+    passTurnAfterAction: false
+  },
+  {
+    // Players take turns placing one Land tile each until everyone has placed their share
+    id: 'land',
+    actions: ['place'],
+    next: 'citadel',
+    canEnter: (gameState) => gameState.players.length >= 2,
+    isComplete: (gameState) => {
+      const total = setupQuota(gameState, 'landsPerPlayer') * gameState.players.length;
+      return total > 0 && countTerrain(gameState, 'Land') >= total;
+    },
+    passTurnAfterAction: true
+  },
+  {
+    // Players take turns placing their Citadels
+    id: 'citadel',
+    actions: ['place'],
+    next: 'selection',
+    canEnter: (gameState) => gameState.hasAnyTerrain(),
+    isComplete: (gameState) => {
+      const perPlayer = setupQuota(gameState, 'citadelsPerPlayer', 1);
+      return gameState.players.every(player => gameState.findPieces('Citadel', player).length >= perPlayer);
+    },
+    passTurnAfterAction: true
+  },
+  {
+    // Players choose pieces for their stash and the community pool
+    id: 'selection',
+    actions: ['select-piece'],
+    next: 'battle',
+    canEnter: () => true,
+    isComplete: (gameState) => gameState.players.every(player => {
+      const remaining = PhaseMachine.getRemainingPicks(gameState, player);
+      return remaining.stash === 0 && remaining.community === 0;
+    }),
+    passTurnAfterAction: true
+  },
+  {
+    // The main game; players take any number of actions and end their turn explicitly
+    id: 'battle',
+    actions: null,
+    next: 'done',
+    canEnter: () => true,
+    isComplete: (gameState, action) => /** @type {any} */ (action).type === 'end_game',
+    passTurnAfterAction: false
+  },
+  {
+    // The game is over
+    id: 'done',
+    actions: [],
+    next: null,
+    canEnter: () => true,
+    isComplete: () => false,
+    passTurnAfterAction: false
+  }
+];
+
+// Actions recorded by the engine itself that never pass the turn on their own
+const BOOKKEEPING_ACTIONS = ['start_game', 'end_turn', 'end_game'];
+
+/**
+ * Declares the phases a game moves through (lobby → land → citadel → selection → battle → done),
+ * what players may do in each, and when the game moves on. Transitions happen automatically
+ * as actions are recorded, both live and during replay.
+ */
+export class PhaseMachine {
+  /**
+   * Get the definition of a phase
+   * @param {GamePhase} phase
+   * @returns {PhaseDefinition}
+   * @throws {RuleViolation} If the phase doesn't exist
+   */
+  static getPhase(phase) {
+    const definition = PHASES.find(p => p.id === phase);
+    if (!definition) {
+      throw new RuleViolation(`Unknown game phase: ${phase}`);
+    }
+    return definition;
+  }
+
+  /**
+   * List every phase in order
+   * @returns {PhaseDefinition[]}
+   */
+  static listPhases() {
+    return [...PHASES];
+  }
+
+  /**
+   * Check if an action type is allowed in the game's current phase
+   * @param {import('./GameState.js').GameState} gameState
+   * @param {string|null} actionType
+   * @returns {boolean}
+   */
+  static isActionAllowed(gameState, actionType) {
+    const { actions } = PhaseMachine.getPhase(gameState.phase);
+    if (actions === null) {
+      // Anything goes except actions reserved for other phases
+      return actionType !== 'start_game' && actionType !== 'select-piece';
+    }
+    return actionType !== null && actions.includes(actionType);
+  }
+
+  /**
+   * Throw if an action type isn't allowed in the game's current phase
+   * @param {import('./GameState.js').GameState} gameState
+   * @param {string|null} actionType
+   * @throws {RuleViolation} If the action isn't allowed
+   */
+  static checkActionAllowed(gameState, actionType) {
+    if (!PhaseMachine.isActionAllowed(gameState, actionType)) {
+      throw new RuleViolation(`${actionType || 'This action'} is not allowed during the ${gameState.phase} phase`);
+    }
+  }
+
+  /**
+   * Count the picks a player still has to make in the selection phase
+   * @param {import('./GameState.js').GameState} gameState
+   * @param {string} playerId
+   * @returns {{stash: number, community: number}} Picks left for the player's stash and for the community pool
+   */
+  static getRemainingPicks(gameState, playerId) {
+    let stash = setupQuota(gameState, 'personalPiecesPerPlayer');
+    let community = setupQuota(gameState, 'communityPiecesPerPlayer');
+    for (const action of gameState.actionHistory) {
+      const { type, player, data } = /** @type {any} */ (action);
+      if (type !== 'select-piece' || player !== playerId) continue;
+      if (data.destination === 'stash') stash--;
+      else community--;
+    }
+    return { stash: Math.max(0, stash), community: Math.max(0, community) };
+  }
+
+  /**
+   * Throw if the game can't leave the lobby yet
+   * @param {import('./GameState.js').GameState} gameState
+   * @throws {RuleViolation} If the game has already started or there aren't enough players
+   */
+  static checkStart(gameState) {
+    PhaseMachine.checkActionAllowed(gameState, 'start_game');
+    if (!PhaseMachine.getPhase('land').canEnter(gameState)) {
+      throw new RuleViolation('At least two players are needed to start the game');
+    }
+  }
+
+  /**
+   * Move the game out of the lobby by recording a `start_game` action
+   * @param {import('./GameState.js').GameState} gameState
+   * @throws {RuleViolation} If the game can't start yet
+   */
+  static startGame(gameState) {
+    PhaseMachine.checkStart(gameState);
+    gameState.addAction({ type: 'start_game', pieceId: '', data: {} });
+  }
+
+  /**
+   * Advance the turn and phase after an action has been recorded.
+   * Called by GameState.addAction and by replay, so live games and replays agree.
+   * @param {import('./GameState.js').GameState} gameState
+   * @param {Object} action - The recorded action
+   */
+  static afterAction(gameState, action) {
+    const type = /** @type {any} */ (action).type;
+    let definition = PhaseMachine.getPhase(gameState.phase);
+
+    // Actions can opt out of using up the turn (see Action.passesTurn)
+    if (definition.passTurnAfterAction && !BOOKKEEPING_ACTIONS.includes(type) && ActionRegistry.passesTurn(type)) {
+      gameState.nextTurn();
+    }
+
+    // Keep moving on while phases are already complete (e.g. nothing to select)
+    while (definition.next && definition.isComplete(gameState, action)) {
+      const next = PhaseMachine.getPhase(definition.next);
+      if (!next.canEnter(gameState)) {
+        break;
+      }
+      PhaseMachine._enter(gameState, next);
+      definition = next;
+    }
+  }
+
+  /**
+   * Enter a phase; the first player acts first in every phase, on a new turn
+   * (so undo never groups the end of one phase with the start of the next)
+   * @param {import('./GameState.js').GameState} gameState
+   * @param {PhaseDefinition} definition
+   * @private
+   */
+  static _enter(gameState, definition) {
+    gameState.setPhase(definition.id);
+    gameState.currentPlayerIndex = 0;
+    gameState.turnNumber++;
+  }
+}
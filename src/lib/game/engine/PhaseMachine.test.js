@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+
+import { PhaseMachine } from './PhaseMachine.js';
+import { GameState } from './GameState.js';
+import { GameEngine } from './GameEngine.js';
+import { Coordinate } from './Coordinate.js';
+import { RuleViolation } from './Errors.js';
+import { Land, LandPlace } from '../pieces/Land.js';
+import { Citadel } from '../pieces/Citadel.js';
+import { Soldier, SoldierMove } from '../pieces/Soldier.js';
+import { Place } from '../actions/Place.js';
+import { DeclareTarget } from '../pieces/Assassin.js';
+
+/**
+ * A two player game in the lobby
+ * @param {Object} [setup]
+ * @returns {GameState}
+ */
+function createLobby(setup = { landsPerPlayer: 2, personalPiecesPerPlayer: 0, communityPiecesPerPlayer: 0 }) {
+  const state = new GameState();
+  state.addPlayer('player1', 'Alice');
+  state.addPlayer('player2', 'Bob');
+  state.setSetup(setup);
+  return state;
+}
+
+/**
+ * @param {GameState} state
+ * @param {number} x
+ */
+function placeLand(state, x) {
+  new LandPlace(new Land({ owner: 'neutral' })).perform(state.getCell(new Coordinate(x, 0)), state);
+}
+
+/**
+ * @param {GameState} state
+ * @param {number} x
+ */
+function placeCitadel(state, x) {
+  new Place(new Citadel({ owner: state.currentPlayer })).perform(state.getCell(new Coordinate(x, 0)), state);
+}
+
+describe('PhaseMachine', () => {
+  it('should declare every phase in order', () => {
+    expect(PhaseMachine.listPhases().map(phase => phase.id))
+      .toEqual(['lobby', 'land', 'citadel', 'selection', 'battle', 'done']);
+    expect(() => PhaseMachine.getPhase(/** @type {any} */ ('intermission'))).toThrow(RuleViolation);
+  });
+
+  it('should only start with enough players', () => {
+    const state = new GameState();
+    state.addPlayer('player1', 'Alice');
+    expect(() => PhaseMachine.startGame(state)).toThrow('At least two players');
+
+    state.addPlayer('player2', 'Bob');
+    PhaseMachine.startGame(state);
+    expect(state.phase).toBe('land');
+    expect(() => PhaseMachine.startGame(state)).toThrow('start_game is not allowed during the land phase');
+  });
+
+  it('should pass the turn after each placement and move on once quotas are met', () => {
+    const state = createLobby();
+    PhaseMachine.startGame(state);
+
+    placeLand(state, 0);
+    expect(state.currentPlayer).toBe('player2');
+    placeLand(state, 1);
+    placeLand(state, 2);
+    expect(state.phase).toBe('land');
+    placeLand(state, 3);
+
+    // The first player starts every phase
+    expect(state.phase).toBe('citadel');
+    expect(state.currentPlayer).toBe('player1');
+
+    placeCitadel(state, 0);
+    expect(state.phase).toBe('citadel');
+    expect(state.currentPlayer).toBe('player2');
+    placeCitadel(state, 3);
+
+    // Nothing to select, so selection completes as soon as it starts
+    expect(state.phase).toBe('battle');
+    expect(state.currentPlayer).toBe('player1');
+  });
+
+  it('should keep the turn for actions that do not use it up', () => {
+    const state = createLobby();
+    PhaseMachine.startGame(state);
+
+    PhaseMachine.afterAction(state, /** @type {any} */ ({ type: DeclareTarget.type }));
+    expect(state.currentPlayer).toBe('player1');
+    PhaseMachine.afterAction(state, /** @type {any} */ ({ type: 'place' }));
+    expect(state.currentPlayer).toBe('player2');
+  });
+
+  it('should wait in selection until pieces are chosen', () => {
+    const state = createLobby({ landsPerPlayer: 1, personalPiecesPerPlayer: 1, communityPiecesPerPlayer: 0 });
+    PhaseMachine.startGame(state);
+    placeLand(state, 0);
+    placeLand(state, 1);
+    placeCitadel(state, 0);
+    placeCitadel(state, 1);
+
+    expect(state.phase).toBe('selection');
+    expect(PhaseMachine.isActionAllowed(state, 'select-piece')).toBe(true);
+    expect(PhaseMachine.isActionAllowed(state, 'move')).toBe(false);
+  });
+
+  it('should restrict engine actions to the current phase', () => {
+    const engine = new GameEngine();
+    engine.addPlayer('player1', 'Alice');
+    engine.addPlayer('player2', 'Bob');
+    engine.setPhase('land');
+    const state = engine.getCurrentState();
+    state.setTerrain(new Coordinate(0, 0), new Land({ owner: 'neutral' }));
+    state.setTerrain(new Coordinate(1, 0), new Land({ owner: 'neutral' }));
+    const soldier = new Soldier({ owner: 'player1' });
+    state.setPiece(new Coordinate(0, 0), soldier);
+
+    expect(() => engine.checkAction(soldier, new SoldierMove(soldier), state.getCell(new Coordinate(1, 0))))
+      .toThrow('move is not allowed during the land phase');
+    expect(() => engine.endTurn()).toThrow('end_turn is not allowed during the land phase');
+  });
+
+  it('should reach the same phase when replaying the action log', () => {
+    const engine = new GameEngine();
+    engine.addPlayer('player1', 'Alice');
+    engine.addPlayer('player2', 'Bob');
+    engine.setSetup({ landsPerPlayer: 1, personalPiecesPerPlayer: 0, communityPiecesPerPlayer: 0 });
+    engine.updateInitialConfig({
+      initialPieces: ['land1', 'land2'].map(id => new Land({ id, owner: 'neutral' }).toJSON())
+    });
+    engine.startGame();
+    expect(engine.getCurrentState().phase).toBe('land');
+
+    for (const [id, x] of /** @type {Array<[string, number]>} */ ([['land1', 0], ['land2', 1]])) {
+      const state = engine.getCurrentState();
+      const land = /** @type {Land} */ (state.communityPool.find(piece => piece.id === id));
+      engine.executeAction(land, new LandPlace(land), state.getCell(new Coordinate(x, 0)));
+    }
+    expect(engine.getCurrentState().phase).toBe('citadel');
+
+    const restored = GameEngine.fromJSON(engine.toJSON()).getCurrentState();
+    expect(restored.phase).toBe('citadel');
+    expect(restored.currentPlayer).toBe('player1');
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Hands out piece IDs for a game: sequential per piece type, like `Bird#3`, and prefixed
+ * with the game's ID once it has one (`K7QX:Bird#3`), so pieces from different games never share an ID.
+ * Every game starts counting from the same place and IDs are recorded in the action log,
+ * so replaying a log reproduces exactly the IDs the game was played with.
+ */
+export class PieceIdAllocator {
+  /**
+   * @param {Map<string, number>} [counts] - Piece type -> number of IDs handed out so far
+   */
+  constructor(counts = new Map()) {
+    /**
+     * @type {Map<string, number>}
+     * @private
+     */
+    this._counts = counts;
+  }
+
+  /**
+   * Allocate the next ID for a piece type
+   * @param {string} type
+   * @param {string|null} [gameId] - The game the piece belongs to, if it has an ID yet
+   * @returns {string}
+   */
+  next(type, gameId = null) {
+    // Count each game's pieces separately (parse reads the prefix back as part of the type)
+    const key = gameId ? `${gameId}:${type}` : type;
+    const count = (this._counts.get(key) || 0) + 1;
+    this._counts.set(key, count);
+    return PieceIdAllocator.format(key, count);
+  }
+
+  /**
+   * Note an ID already in the game, so it is never handed out again
+   * @param {string} id
+   */
+  observe(id) {
+    const parsed = PieceIdAllocator.parse(id);
+    if (parsed && parsed.count > (this._counts.get(parsed.type) || 0)) {
+      this._counts.set(parsed.type, parsed.count);
+    }
+  }
+
+  /**
+   * Create an independent copy, for a copied game state
+   * @returns {PieceIdAllocator}
+   */
+  copy() {
+    return new PieceIdAllocator(new Map(this._counts));
+  }
+
+  /**
+   * @param {string} type
+   * @param {number} count
+   * @returns {string}
+   */
+  static format(type, count) {
+    return `${type}#${count}`;
+  }
+
+  /**
+   * Split an allocated ID into its type and number
+   * @param {string} id
+   * @returns {{type: string, count: number}|null} null for IDs that weren't allocated, like 'land1'.
+   *   The type includes the game ID prefix, if any.
+   */
+  static parse(id) {
+    const match = /^(.+)#(\d+)$/.exec(id);
+    return match ? { type: match[1], count: Number(match[2]) } : null;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * @typedef {Object} SeededRandomJSON
+ * @property {number} seed - The seed the game started from
+ * @property {number} state - How far the generator has advanced
+ */
+
+// Mixed into the state of forks, so a fork's numbers say nothing about the parent's
+const FORK_SALT = 0x9e3779b9;
+
+/**
+ * Small seeded pseudo-random number generator (mulberry32) for chance-based rules.
+ * The seed is part of the game's initial configuration and every draw happens inside an action,
+ * so replaying the action log draws exactly the same numbers.
+ */
+export class SeededRandom {
+  /**
+   * @param {number} seed - Any 32-bit integer
+   * @param {number} [state] - Resume from a saved state instead of the start of the seed's sequence
+   */
+  constructor(seed, state = seed) {
+    this.seed = seed >>> 0;
+    /** @private */
+    this._state = state >>> 0;
+  }
+
+  /**
+   * Draw the next number
+   * @returns {number} A number in [0, 1)
+   */
+  next() {
+    this._state = (this._state + 0x6d2b79f5) >>> 0;
+    return SeededRandom._mix(this._state) / 4294967296;
+  }
+
+  /**
+   * Create a generator that carries on with the same numbers
+   * @returns {SeededRandom}
+   */
+  copy() {
+    return new SeededRandom(this.seed, this._state);
+  }
+
+  /**
+   * Create a generator with its own numbers, for simulations that mustn't reveal (or use up) this one's
+   * @returns {SeededRandom}
+   */
+  fork() {
+    return new SeededRandom(this.seed, SeededRandom._mix(this._state ^ FORK_SALT));
+  }
+
+  /**
+   * @returns {SeededRandomJSON}
+   */
+  toJSON() {
+    return { seed: this.seed, state: this._state };
+  }
+
+  /**
+   * @param {SeededRandomJSON} data
+   * @returns {SeededRandom}
+   */
+  static fromJSON(data) {
+    return new SeededRandom(data.seed, data.state);
+  }
+
+  /**
+   * Pick a seed for a new game
+   * @returns {number}
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  /**
+   * Derive a seed from text, e.g. a game ID, for games saved before they had a seed
+   * @param {string} text
+   * @returns {number}
+   */
+  static seedFrom(text) {
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Scramble a 32-bit integer
+   * @param {number} value
+   * @returns {number}
+   * @private
+   */
+  static _mix(value) {
+    let t = Math.imul(value ^ (value >>> 15), value | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  }
+}
@@ -2,19 +2,36 @@
 export { GameEngine } from './engine/GameEngine.js';
 export { GameState } from './engine/GameState.js';
 export { Coordinate } from './engine/Coordinate.js';
-export { RuleViolation } from './engine/Errors.js';
+export { RuleViolation, ReplayError } from './engine/Errors.js';
+export { Constraint, CitadelsConnected } from './engine/Constraints.js';
+export { PhaseMachine } from './engine/PhaseMachine.js';
 
 // Base Classes
 export { Piece } from './pieces/Piece.js';
+export { PieceRegistry } from './pieces/PieceRegistry.js';
 export { Action } from './actions/Action.js';
 export { Move } from './actions/Move.js';
+export { Place } from './actions/Place.js';
+export { Capture } from './actions/Capture.js';
+export { SelectPiece } from './actions/SelectPiece.js';
+export { Deploy } from './actions/Deploy.js';
+export { Board } from './actions/Board.js';
+export { OrthogonalStep, OrthogonalCapture } from './actions/Orthogonal.js';
+export { ActionRegistry } from './actions/ActionRegistry.js';
 
-// Piece Implementations
+// Piece Implementations (loading these registers them with the PieceRegistry)
 export { Bird } from './pieces/Bird.js';
 export { Soldier } from './pieces/Soldier.js';
 export { Builder } from './pieces/Builder.js';
 export { Citadel } from './pieces/Citadel.js';
 export { Land } from './pieces/Land.js';
+export { Turtle } from './pieces/Turtle.js';
+export { Gambler } from './pieces/Gambler.js';
+export { Rabbit } from './pieces/Rabbit.js';
+export { Bomber } from './pieces/Bomber.js';
+export { Necromancer } from './pieces/Necromancer.js';
+// Exported under another name, since the Assassin variant below takes `Assassin`
+export { Assassin as AssassinPiece } from './pieces/Assassin.js';
 
 // Variants
 export { Variant } from './variants/Variant.js';
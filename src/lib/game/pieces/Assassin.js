@@ -0,0 +1,387 @@
+import { Piece } from './Piece.js';
+import { PieceRegistry } from './PieceRegistry.js';
+import { Action } from '../actions/Action.js';
+import { Move } from '../actions/Move.js';
+import { Deploy } from '../actions/Deploy.js';
+import { ActionRegistry } from '../actions/ActionRegistry.js';
+import { RuleViolation, ReplayError } from '../engine/Errors.js';
+import { Coordinate } from '../engine/Coordinate.js';
+
+/**
+ * Assassin piece implementation
+ * Movement: Moves one square at a time, orthogonally, or through a chain of connected pieces
+ * (orthogonally or diagonally adjacent to each other) without capturing them
+ * Capture: Only captures its target, an opponent's piece declared when the Assassin is deployed.
+ * Once the target has been captured, the Assassin declares a new one.
+ * The target is kept in the Assassin's `target` property; only its owner is shown it.
+ */
+export class Assassin extends Piece {
+  /** @type {{target: string|null}} */
+  static properties = { target: null };
+
+  /**
+   * @param {Omit<import('./Piece.js').PieceOptions, 'type'>} options
+   */
+  constructor(options) {
+    super({ ...options, type: 'Assassin' });
+  }
+
+  /**
+   * The ID of the piece the Assassin is after, if it has declared one
+   * @returns {string|null}
+   */
+  get target() {
+    return this.properties.target;
+  }
+
+  /**
+   * Get all available actions for the Assassin
+   * @returns {Function[]} Array of Action constructor functions
+   */
+  getActions() {
+    return [AssassinMove, DeclareTarget];
+  }
+
+  /**
+   * The Assassin declares its target as it is deployed
+   * @returns {Function[]}
+   */
+  getDeployActions() {
+    return [AssassinDeploy];
+  }
+
+  /**
+   * The Assassin only captures its target
+   * @param {Piece} target
+   * @param {import('../engine/Cell.js').Cell} targetCell
+   * @param {import('../actions/Action.js').Action} action
+   * @returns {boolean}
+   */
+  canCapture(target, targetCell, action) {
+    return target.id === this.target;
+  }
+
+  /**
+   * Whether the Assassin has no target left to chase, because it never declared one
+   * or its target has left the board
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @returns {boolean}
+   */
+  needsTarget(gameState) {
+    return !Assassin.isValidTarget(gameState, this.owner, this.target);
+  }
+
+  /**
+   * Check whether a piece can be a player's Assassin's target: one of their opponent's pieces on the board
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {string} player - The player whose Assassin it is
+   * @param {string|null} pieceId
+   * @returns {boolean}
+   */
+  static isValidTarget(gameState, player, pieceId) {
+    const position = pieceId ? gameState.getPieceLocation(pieceId) : null;
+    if (position?.area !== 'board') {
+      return false;
+    }
+    const piece = gameState.getLayersAt(/** @type {Coordinate} */ (position.coordinate))[/** @type {number} */ (position.layer)];
+    return !!piece && !piece.isTerrain() && piece.owner !== player && piece.owner !== 'neutral';
+  }
+
+  /**
+   * The pieces a player's Assassin could target
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {string} player - The player whose Assassin it is
+   * @returns {string[]} Piece IDs
+   */
+  static getTargetOptions(gameState, player) {
+    return [...gameState.board.values()]
+      .flatMap(cell => cell.layers.slice(1))
+      .filter(piece => piece && !piece.isTerrain() && piece.owner !== player && piece.owner !== 'neutral')
+      .map(piece => /** @type {Piece} */ (piece).id);
+  }
+}
+
+/** @type {import('../actions/Action.js').ActionParameter} */
+const TARGET_PARAMETER = {
+  name: 'target',
+  kind: 'piece',
+  prompt: 'Choose an opponent\'s piece for the Assassin to target',
+  options: (action, gameState) => Assassin.getTargetOptions(gameState, gameState.currentPlayer)
+};
+
+/**
+ * Assassin movement action: one square orthogonally, or on through any chain of pieces
+ * connected to that square, stepping off the chain orthogonally.
+ * Only the target can be captured, wherever the move ends; the pieces passed through are left alone.
+ */
+export class AssassinMove extends Move {
+  /**
+   * Check if the target is a valid move for the Assassin
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell to check
+   * @param {import('../engine/GameState.js').GameState} currentGame - The current game state
+   * @param {import('../engine/GameState.js').GameState} newGame - The new game state after the move
+   * @throws {RuleViolation} If the move is invalid
+   */
+  check(targetCell, currentGame, newGame) {
+    const to = targetCell.coordinate;
+    if (this.piece.coordinate && !AssassinMove.findReachable(currentGame, this.piece).some(c => c.equals(to))) {
+      throw new RuleViolation('Assassin can only move one square orthogonally, or through a chain of connected pieces');
+    }
+
+    // Call base class validation (includes basic move rules and the capture policy)
+    super.check(targetCell, currentGame, newGame);
+  }
+
+  /**
+   * Flood-fill the pieces the Assassin can pass through: those orthogonally next to it, and every piece
+   * connected to them, orthogonally or diagonally. It can end its move on any of them (if it's the target)
+   * or on any square orthogonally next to them or to the Assassin.
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {Piece} assassin
+   * @returns {Coordinate[]} Every square the Assassin can reach
+   */
+  static findReachable(gameState, assassin) {
+    const start = assassin.coordinate;
+    if (!start) {
+      return [];
+    }
+
+    /** @param {Coordinate} coordinate */
+    const holdsPiece = coordinate => !coordinate.equals(start) && gameState.getLayersAt(coordinate).slice(1).some(Boolean);
+
+    /** @type {Map<string, Coordinate>} */
+    const chain = new Map();
+    const queue = start.getOrthogonalAdjacent().filter(holdsPiece);
+    while (queue.length > 0) {
+      const coordinate = /** @type {Coordinate} */ (queue.shift());
+      if (chain.has(coordinate.key)) continue;
+      chain.set(coordinate.key, coordinate);
+      queue.push(...coordinate.getAllAdjacent().filter(next => !chain.has(next.key) && holdsPiece(next)));
+    }
+
+    /** @type {Map<string, Coordinate>} */
+    const reachable = new Map(chain);
+    for (const from of [start, ...chain.values()]) {
+      for (const coordinate of from.getOrthogonalAdjacent()) {
+        if (!coordinate.equals(start)) reachable.set(coordinate.key, coordinate);
+      }
+    }
+    return [...reachable.values()];
+  }
+
+  /**
+   * Only the squares the flood fill reaches
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    yield* AssassinMove.findReachable(gameState, this.piece);
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return 'Move Assassin';
+  }
+}
+
+/**
+ * Deploy an Assassin, declaring its target: the player picks one of their opponent's pieces first
+ */
+export class AssassinDeploy extends Deploy {
+  static type = 'deploy-assassin';
+
+  /** @type {import('../actions/Action.js').ActionParameter[]} */
+  static parameters = [TARGET_PARAMETER];
+
+  /**
+   * The ID of the declared target, once chosen
+   * @returns {string|null}
+   */
+  get targetId() {
+    return /** @type {string|undefined} */ (this.params.target) || null;
+  }
+
+  /**
+   * Check if the Assassin can be deployed to the target after its declared target
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
+   * @param {import('../engine/GameState.js').GameState} currentGame - The current game state
+   * @param {import('../engine/GameState.js').GameState} newGame - The new game state after deploying
+   * @throws {RuleViolation} If the deployment is invalid
+   */
+  check(targetCell, currentGame, newGame) {
+    super.check(targetCell, currentGame, newGame);
+
+    if (!Assassin.isValidTarget(currentGame, currentGame.currentPlayer, this.targetId)) {
+      throw new RuleViolation('The Assassin must target one of your opponent\'s pieces on the board');
+    }
+  }
+
+  /**
+   * Deploy the Assassin and record its target
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
+   * @param {import('../engine/GameState.js').GameState} gameState - The game state to modify
+   */
+  perform(targetCell, gameState) {
+    const player = gameState.currentPlayer;
+    const from = Deploy.getSource(gameState, this.piece, player);
+    if (!from) {
+      throw new RuleViolation(`${this.piece.type} is not in your stash or the community pool`);
+    }
+    if (!this.targetId) {
+      throw new RuleViolation('The Assassin must target one of your opponent\'s pieces on the board');
+    }
+
+    Deploy._deploy(gameState, this.piece.id, targetCell.coordinate, from, player);
+    DeclareTarget.setTarget(gameState, this.piece.id, this.targetId);
+
+    gameState.addAction({
+      type: this.type,
+      pieceId: this.piece.id,
+      data: {
+        at: targetCell.coordinate.toString(),
+        from,
+        target: this.targetId
+      }
+    });
+  }
+
+  /**
+   * Replay a recorded deployment, with the declared target
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   * @param {import('../actions/ActionRegistry.js').ReplayContext} context
+   */
+  static replay(gameState, action, context) {
+    super.replay(gameState, action, context);
+    /** @type {import('../engine/PersistentGameState.js').DeployActionData} */
+    const data = /** @type {any} */ (action.data);
+    DeclareTarget.setTarget(gameState, action.pieceId, /** @type {string} */ (data.target));
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return 'Deploy Assassin';
+  }
+}
+
+/**
+ * Declare a new target for an Assassin on the board, once its target is gone.
+ * The target is the Assassin's own square. Declaring comes on top of the player's action,
+ * so it doesn't use up their turn (requirements/Components.md).
+ */
+export class DeclareTarget extends Action {
+  static type = 'declare-target';
+
+  static passesTurn = false;
+
+  /** @type {import('../actions/Action.js').ActionParameter[]} */
+  static parameters = [TARGET_PARAMETER];
+
+  /**
+   * The ID of the declared target, once chosen
+   * @returns {string|null}
+   */
+  get targetId() {
+    return /** @type {string|undefined} */ (this.params.target) || null;
+  }
+
+  /**
+   * Check if the Assassin can declare the chosen target
+   * @param {import('../engine/Cell.js').Cell} targetCell - The Assassin's own cell
+   * @param {import('../engine/GameState.js').GameState} currentGame - The current game state
+   * @param {import('../engine/GameState.js').GameState} newGame - The new game state after declaring
+   * @throws {RuleViolation} If the declaration is invalid
+   */
+  check(targetCell, currentGame, newGame) {
+    super.check(targetCell, currentGame, newGame);
+
+    if (!this.piece.coordinate?.equals(targetCell.coordinate)) {
+      throw new RuleViolation('The Assassin declares its target where it stands');
+    }
+
+    if (!(/** @type {Assassin} */ (this.piece).needsTarget(currentGame))) {
+      throw new RuleViolation('The Assassin already has a target');
+    }
+
+    if (!Assassin.isValidTarget(currentGame, this.piece.owner, this.targetId)) {
+      throw new RuleViolation('The Assassin must target one of your opponent\'s pieces on the board');
+    }
+  }
+
+  /**
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    if (this.piece.coordinate) yield this.piece.coordinate;
+  }
+
+  /**
+   * Record the new target
+   * @param {import('../engine/Cell.js').Cell} targetCell - The Assassin's own cell
+   * @param {import('../engine/GameState.js').GameState} gameState - The game state to modify
+   */
+  perform(targetCell, gameState) {
+    if (!this.targetId) {
+      throw new RuleViolation('The Assassin must target one of your opponent\'s pieces on the board');
+    }
+
+    DeclareTarget.setTarget(gameState, this.piece.id, this.targetId);
+
+    gameState.addAction({
+      type: this.type,
+      pieceId: this.piece.id,
+      data: {
+        at: targetCell.coordinate.toString(),
+        target: this.targetId
+      }
+    });
+  }
+
+  /**
+   * Replay a recorded declaration
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   * @param {import('../actions/ActionRegistry.js').ReplayContext} context
+   */
+  static replay(gameState, action, context) {
+    const assassin = DeclareTarget.getReplayPiece(action, context);
+    /** @type {import('../engine/PersistentGameState.js').DeclareTargetActionData} */
+    const data = /** @type {any} */ (action.data);
+    DeclareTarget.setTarget(gameState, assassin.id, data.target);
+  }
+
+  /**
+   * Set an Assassin's target
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {string} assassinId
+   * @param {string} target - ID of the targeted piece
+   * @throws {ReplayError} If the Assassin isn't on the board
+   */
+  static setTarget(gameState, assassinId, target) {
+    const assassin = gameState.getPieceLocation(assassinId)?.area === 'board' ? gameState.getPieceById(assassinId) : null;
+    if (!assassin) {
+      throw new ReplayError(`Cannot declare a target: ${assassinId} is not on the board`);
+    }
+    assassin.setProperty('target', target);
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return 'Declare a new target';
+  }
+}
+
+PieceRegistry.register('Assassin', Assassin);
+
+ActionRegistry.register(AssassinDeploy);
+ActionRegistry.register(DeclareTarget);
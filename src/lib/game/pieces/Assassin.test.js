@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { Assassin, AssassinMove, AssassinDeploy, DeclareTarget } from './Assassin.js';
+import { Land } from './Land.js';
+import { Soldier } from './Soldier.js';
+import { Citadel } from './Citadel.js';
+import { GameState } from '../engine/GameState.js';
+import { GameEngine } from '../engine/GameEngine.js';
+import { Coordinate } from '../engine/Coordinate.js';
+import { ActionRegistry } from '../actions/ActionRegistry.js';
+import { PieceRegistry } from './PieceRegistry.js';
+
+describe('Assassin', () => {
+  /** @type {GameState} */
+  let gameState;
+  /** @type {Assassin} */
+  let assassin;
+  const start = new Coordinate(0, 0);
+
+  beforeEach(() => {
+    gameState = new GameState();
+    gameState.addPlayer('player1');
+    gameState.addPlayer('player2');
+    gameState.phase = 'battle';
+
+    // A 7x7 island to play on
+    for (let x = -3; x <= 3; x++) {
+      for (let y = -3; y <= 3; y++) {
+        gameState.setTerrain(new Coordinate(x, y), new Land({ owner: 'neutral' }));
+      }
+    }
+    assassin = new Assassin({ owner: 'player1', id: 'assassin1', properties: { target: 'soldier2' } });
+    gameState.setPiece(start, assassin);
+  });
+
+  /**
+   * @param {import('./Piece.js').Piece} piece
+   * @param {number} x
+   * @param {number} y
+   */
+  function put(piece, x, y) {
+    gameState.setPiece(new Coordinate(x, y), piece);
+    return piece;
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  function canMoveTo(x, y) {
+    try {
+      new AssassinMove(assassin).check(gameState.getCell(new Coordinate(x, y)), gameState, gameState);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  it('should move one square orthogonally', () => {
+    expect(canMoveTo(0, 1)).toBe(true);
+    expect(canMoveTo(-1, 0)).toBe(true);
+    expect(canMoveTo(1, 1)).toBe(false);
+    expect(canMoveTo(0, 2)).toBe(false);
+  });
+
+  it('should move through a chain of connected pieces without capturing them', () => {
+    // A chain leaving from (1, 0), with a diagonal link from (2, 0) to (3, 1)
+    const first = put(new Soldier({ owner: 'player2', id: 'soldier3' }), 1, 0);
+    put(new Soldier({ owner: 'player1', id: 'soldier1' }), 2, 0);
+    put(new Soldier({ owner: 'player2', id: 'soldier4' }), 3, 1);
+
+    expect(canMoveTo(2, -1)).toBe(true);
+    expect(canMoveTo(3, 2)).toBe(true);
+    expect(canMoveTo(3, 0)).toBe(true);
+    // Nothing leads there
+    expect(canMoveTo(-1, -1)).toBe(false);
+
+    const target = gameState.getCell(new Coordinate(3, 2));
+    new AssassinMove(assassin).perform(target, gameState);
+    expect(gameState.getPieceAt(target.coordinate)?.id).toBe('assassin1');
+    expect(gameState.getPieceAt(new Coordinate(1, 0))).toBe(first);
+    expect(gameState.graveyard).toEqual([]);
+  });
+
+  it('should not pass through pieces that are not connected', () => {
+    put(new Soldier({ owner: 'player2', id: 'soldier3' }), 1, 0);
+    put(new Soldier({ owner: 'player2', id: 'soldier4' }), 3, 0);
+
+    expect(canMoveTo(2, 0)).toBe(true);
+    expect(canMoveTo(3, 1)).toBe(false);
+  });
+
+  it('should only capture its target', () => {
+    put(new Soldier({ owner: 'player2', id: 'soldier3' }), 1, 0);
+    const target = put(new Soldier({ owner: 'player2', id: 'soldier2' }), 2, 1);
+
+    expect(() => new AssassinMove(assassin).check(gameState.getCell(new Coordinate(1, 0)), gameState, gameState))
+      .toThrow('Assassin cannot capture Soldier this way');
+
+    // At the end of the chain
+    new AssassinMove(assassin).perform(gameState.getCell(new Coordinate(2, 1)), gameState);
+    expect(gameState.graveyard).toEqual([target]);
+    expect(assassin.needsTarget(gameState)).toBe(true);
+  });
+
+  it('should keep its target in copies and saved games', () => {
+    expect(assassin.copy().properties.target).toBe('soldier2');
+    expect(PieceRegistry.fromJSON(assassin.toJSON()).properties).toEqual({ target: 'soldier2' });
+  });
+
+  describe('declaring targets', () => {
+    /** @type {GameEngine} */
+    let engine;
+
+    beforeEach(() => {
+      put(new Citadel({ owner: 'player1', id: 'citadel1' }), -2, -2);
+      put(new Citadel({ owner: 'player2', id: 'citadel2' }), 2, 2);
+      put(new Soldier({ owner: 'player2', id: 'soldier3' }), 2, -2);
+      gameState.addToStash('player1', new Assassin({ owner: 'player1', id: 'assassin2' }));
+      engine = GameEngine.fromGameState(gameState);
+    });
+
+    it('should declare a target among the opponent\'s pieces when deployed', () => {
+      const piece = /** @type {Assassin} */ (engine.findPiece('assassin2'));
+      const deploy = new AssassinDeploy(piece);
+      expect(engine.getParameterOptions(piece, deploy)?.options).toEqual(expect.arrayContaining(['citadel2', 'soldier3']));
+      expect(engine.getParameterOptions(piece, deploy)?.options).not.toContain('citadel1');
+
+      engine.executeAction(piece, deploy.withParams({ target: 'soldier3' }), engine.getCurrentState().getCell(new Coordinate(-1, -1)));
+
+      const deployed = /** @type {Assassin} */ (engine.getCurrentState().getPieceAt(new Coordinate(-1, -1)));
+      expect(deployed.target).toBe('soldier3');
+      expect(engine.getPersistentState().getLastAction()).toMatchObject({
+        type: 'deploy-assassin',
+        data: { at: '(-1, -1)', from: 'stash', target: 'soldier3' }
+      });
+    });
+
+    it('should not deploy without a target', () => {
+      const piece = /** @type {Assassin} */ (engine.findPiece('assassin2'));
+      const cell = engine.getCurrentState().getCell(new Coordinate(-1, -1));
+      expect(() => engine.checkAction(piece, new AssassinDeploy(piece, { target: 'citadel1' }), cell))
+        .toThrow('The Assassin must target one of your opponent\'s pieces on the board');
+    });
+
+    it('should declare a new target once its target is gone, without using up the turn', () => {
+      const piece = /** @type {Assassin} */ (engine.findPiece('assassin1'));
+      const cell = engine.getCurrentState().getCell(start);
+      expect(piece.needsTarget(engine.getCurrentState())).toBe(true);
+
+      engine.executeAction(piece, new DeclareTarget(piece, { target: 'soldier3' }), cell);
+
+      const state = engine.getCurrentState();
+      expect(/** @type {Assassin} */ (state.getPieceById('assassin1')).target).toBe('soldier3');
+      expect(state.currentPlayer).toBe('player1');
+      expect(() => engine.checkAction(piece, new DeclareTarget(piece, { target: 'citadel2' }), state.getCell(start)))
+        .toThrow('The Assassin already has a target');
+    });
+
+    it('should replay declared targets', () => {
+      const before = gameState.copy();
+      const stashed = /** @type {Assassin} */ (gameState.getPieceById('assassin2'));
+      new AssassinDeploy(stashed, { target: 'citadel2' }).perform(gameState.getCell(new Coordinate(-1, -1)), gameState);
+      new DeclareTarget(assassin, { target: 'soldier3' }).perform(gameState.getCell(start), gameState);
+
+      for (const action of /** @type {any[]} */ (gameState.actionHistory)) {
+        const piece = before.getPieceById(action.pieceId);
+        ActionRegistry.replay(before, { ...action, player: 'player1' }, { piece, pieceFromJSON: PieceRegistry.fromJSON });
+      }
+      expect(/** @type {Assassin} */ (before.getPieceById('assassin2')).target).toBe('citadel2');
+      expect(/** @type {Assassin} */ (before.getPieceById('assassin1')).target).toBe('soldier3');
+    });
+  });
+});
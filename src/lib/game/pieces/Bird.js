@@ -1,4 +1,5 @@
 import { Piece } from './Piece.js';
+import { PieceRegistry } from './PieceRegistry.js';
 import { Move } from '../actions/Move.js';
 import { RuleViolation } from '../engine/Errors.js';
 import { Coordinate } from '../engine/Coordinate.js';
@@ -47,6 +48,25 @@ export class BirdMove extends Move {
     }
   }
 
+  /**
+   * Cast a ray in each orthogonal direction, up to the first piece or gap in the terrain
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    const start = this.piece.coordinate;
+    if (!start) return;
+
+    for (const [dx, dy] of [[0, 1], [1, 0], [0, -1], [-1, 0]]) {
+      let coordinate = new Coordinate(start.x + dx, start.y + dy);
+      while (gameState.hasTerrain(coordinate)) {
+        yield coordinate;
+        if (gameState.getPieceAt(coordinate)) break;
+        coordinate = new Coordinate(coordinate.x + dx, coordinate.y + dy);
+      }
+    }
+  }
+
   /**
    * Get a human-readable description of this action
    * @returns {string}
@@ -55,3 +75,5 @@ export class BirdMove extends Move {
     return 'Move Bird orthogonally';
   }
 }
+
+PieceRegistry.register('Bird', Bird);
@@ -0,0 +1,193 @@
+import { Piece } from './Piece.js';
+import { PieceRegistry } from './PieceRegistry.js';
+import { Action } from '../actions/Action.js';
+import { OrthogonalStep, OrthogonalCapture } from '../actions/Orthogonal.js';
+import { ActionRegistry } from '../actions/ActionRegistry.js';
+import { Constraint } from '../engine/Constraints.js';
+import { RuleViolation, ReplayError } from '../engine/Errors.js';
+import { Coordinate } from '../engine/Coordinate.js';
+
+/**
+ * @typedef {Object} DestroyedPiece
+ * @property {string} id - ID of the destroyed piece
+ * @property {string} type - Type of the destroyed piece
+ * @property {string} owner - Owner of the destroyed piece
+ * @property {string} at - Coordinate string the piece was on
+ * @property {number} layer - Cell layer the piece was on
+ */
+
+/**
+ * Bomber piece implementation
+ * Movement: Moves one square at a time, orthogonally
+ * Capture: Captures pieces orthogonally adjacent to it, without moving
+ * Sacrifice: Detonates, sending itself and every piece around it (diagonals included) to the Graveyard.
+ * Other Bombers caught in the blast detonate too, but not if the blast would reach the player's own Citadel.
+ */
+export class Bomber extends Piece {
+  /**
+   * @param {Omit<import('./Piece.js').PieceOptions, 'type'>} options
+   */
+  constructor(options) {
+    super({ ...options, type: 'Bomber' });
+  }
+
+  /**
+   * Get all available actions for the Bomber
+   * @returns {Function[]} Array of Action constructor functions
+   */
+  getActions() {
+    return [OrthogonalStep, OrthogonalCapture, BomberDetonate];
+  }
+
+  /**
+   * @returns {import('../engine/Constraints.js').Constraint[]}
+   */
+  getConstraints() {
+    return [ProtectOwnCitadel];
+  }
+}
+
+// Detonating is a sacrifice, not a way to lose: the blast may not reach the player's own Citadel (requirements/Components.md)
+const ProtectOwnCitadel = new Constraint({
+  id: 'bomber-protects-own-citadel',
+  description: 'A Bomber cannot detonate if the blast would destroy its own Citadel',
+  check(currentGame, newGame, action) {
+    if (!(action instanceof BomberDetonate)) {
+      return;
+    }
+    const owner = action.piece.owner;
+    if (newGame.findPieces('Citadel', owner).length < currentGame.findPieces('Citadel', owner).length) {
+      throw new RuleViolation('A Bomber cannot detonate when its own Citadel is in range');
+    }
+  }
+});
+
+/**
+ * Bomber sacrifice: the Bomber detonates where it stands, targeting its own square.
+ * The whole chain reaction happens in one action, which records every destroyed piece so replay removes exactly those.
+ */
+export class BomberDetonate extends Action {
+  static type = 'detonate';
+
+  /**
+   * Check if the Bomber can detonate
+   * @param {import('../engine/Cell.js').Cell} targetCell - The Bomber's own cell
+   * @param {import('../engine/GameState.js').GameState} currentGame - The current game state
+   * @param {import('../engine/GameState.js').GameState} newGame - The new game state after the blast
+   * @throws {RuleViolation} If the Bomber can't detonate
+   */
+  check(targetCell, currentGame, newGame) {
+    super.check(targetCell, currentGame, newGame);
+
+    if (!this.piece.coordinate?.equals(targetCell.coordinate)) {
+      throw new RuleViolation('Bomber detonates where it stands');
+    }
+  }
+
+  /**
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    if (this.piece.coordinate) yield this.piece.coordinate;
+  }
+
+  /**
+   * Set off the chain reaction
+   * @param {import('../engine/Cell.js').Cell} targetCell - The Bomber's own cell
+   * @param {import('../engine/GameState.js').GameState} gameState - The game state to modify
+   */
+  perform(targetCell, gameState) {
+    const destroyed = BomberDetonate.findBlast(gameState, this.piece);
+    BomberDetonate._destroy(gameState, destroyed);
+
+    gameState.addAction({
+      type: this.type,
+      pieceId: this.piece.id,
+      data: {
+        at: targetCell.coordinate.toString(),
+        destroyed
+      }
+    });
+  }
+
+  /**
+   * Replay a recorded detonation, destroying the recorded pieces
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   * @param {import('../actions/ActionRegistry.js').ReplayContext} context
+   */
+  static replay(gameState, action, context) {
+    /** @type {import('../engine/PersistentGameState.js').DetonateActionData} */
+    const data = /** @type {any} */ (action.data);
+    BomberDetonate._destroy(gameState, data.destroyed);
+  }
+
+  /**
+   * Work out what a Bomber's blast destroys: the Bomber, every piece around it, and, for every
+   * Bomber caught in the blast, every piece around that one. Terrain survives.
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('./Piece.js').Piece} bomber - The Bomber that detonates first
+   * @returns {DestroyedPiece[]} The destroyed pieces, in the order the blast reaches them
+   */
+  static findBlast(gameState, bomber) {
+    const origin = /** @type {Coordinate} */ (bomber.coordinate);
+    /** @type {DestroyedPiece[]} */
+    const destroyed = [];
+    const reached = new Set();
+    /** @type {Coordinate[]} */
+    const blasts = [];
+
+    /**
+     * @param {import('./Piece.js').Piece} piece
+     * @param {Coordinate} coordinate
+     * @param {number} layer
+     */
+    const destroy = (piece, coordinate, layer) => {
+      reached.add(piece.id);
+      destroyed.push({ id: piece.id, type: piece.type, owner: piece.owner, at: coordinate.toString(), layer });
+      if (piece instanceof Bomber) blasts.push(coordinate);
+    };
+
+    destroy(bomber, origin, bomber.layer);
+    while (blasts.length > 0) {
+      const center = /** @type {Coordinate} */ (blasts.shift());
+      for (const coordinate of center.getAllAdjacent()) {
+        // Peek at the stack: only the IDs are needed, and the cells are taken when the pieces are destroyed
+        gameState.getLayersAt(coordinate).forEach((piece, layer) => {
+          if (piece && !piece.isTerrain() && !reached.has(piece.id)) destroy(piece, coordinate, layer);
+        });
+      }
+    }
+    return destroyed;
+  }
+
+  /**
+   * Send destroyed pieces to the graveyard
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {DestroyedPiece[]} destroyed
+   * @throws {ReplayError} If a piece isn't where the blast left it
+   * @private
+   */
+  static _destroy(gameState, destroyed) {
+    for (const { id, at, layer } of destroyed) {
+      const coordinate = Coordinate.fromString(at);
+      if (gameState.getCell(coordinate).getLayer(layer)?.id !== id) {
+        throw new ReplayError(`Cannot replay detonate: piece ${id} is not at ${at}`);
+      }
+      gameState.capturePieceAt(coordinate, layer);
+    }
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return 'Detonate Bomber';
+  }
+}
+
+PieceRegistry.register('Bomber', Bomber);
+
+ActionRegistry.register(BomberDetonate);
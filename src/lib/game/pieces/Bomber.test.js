@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { Bomber, BomberDetonate } from './Bomber.js';
+import { Land } from './Land.js';
+import { Soldier } from './Soldier.js';
+import { Citadel } from './Citadel.js';
+import { GameState } from '../engine/GameState.js';
+import { GameEngine } from '../engine/GameEngine.js';
+import { Coordinate } from '../engine/Coordinate.js';
+import { ActionRegistry } from '../actions/ActionRegistry.js';
+import { PieceRegistry } from './PieceRegistry.js';
+
+describe('Bomber', () => {
+  /** @type {GameState} */
+  let gameState;
+  /** @type {Bomber} */
+  let bomber;
+  const start = new Coordinate(0, 0);
+
+  beforeEach(() => {
+    gameState = new GameState();
+    gameState.addPlayer('player1');
+    gameState.addPlayer('player2');
+    gameState.phase = 'battle';
+
+    // A strip of land to play on
+    for (let x = -2; x <= 4; x++) {
+      for (let y = -1; y <= 1; y++) {
+        gameState.setTerrain(new Coordinate(x, y), new Land({ owner: 'neutral' }));
+      }
+    }
+    bomber = new Bomber({ owner: 'player1', id: 'bomber1' });
+    gameState.setPiece(start, bomber);
+  });
+
+  /**
+   * @param {import('./Piece.js').Piece} piece
+   * @param {number} x
+   * @param {number} y
+   */
+  function put(piece, x, y) {
+    gameState.setPiece(new Coordinate(x, y), piece);
+    return piece;
+  }
+
+  it('should destroy itself and every piece around it, but not the terrain', () => {
+    const enemy = put(new Soldier({ owner: 'player2', id: 'soldier1' }), 1, 1);
+    const friend = put(new Soldier({ owner: 'player1', id: 'soldier2' }), -1, 0);
+    const outOfRange = put(new Soldier({ owner: 'player2', id: 'soldier3' }), 2, 0);
+
+    new BomberDetonate(bomber).perform(gameState.getCell(start), gameState);
+
+    expect(gameState.graveyard).toEqual(expect.arrayContaining([bomber, enemy, friend]));
+    expect(gameState.getPieceAt(new Coordinate(2, 0))).toBe(outOfRange);
+    expect(gameState.hasTerrain(start)).toBe(true);
+    expect(gameState.hasTerrain(new Coordinate(1, 1))).toBe(true);
+  });
+
+  it('should set off Bombers in range as one action', () => {
+    put(new Bomber({ owner: 'player2', id: 'bomber2' }), 1, 0);
+    put(new Soldier({ owner: 'player2', id: 'soldier1' }), 2, 1);
+    put(new Bomber({ owner: 'player1', id: 'bomber3' }), 3, 1);
+    put(new Soldier({ owner: 'player2', id: 'soldier2' }), 4, 0);
+
+    new BomberDetonate(bomber).perform(gameState.getCell(start), gameState);
+
+    expect(gameState.actionHistory).toHaveLength(1);
+    expect(gameState.actionHistory[0]).toMatchObject({
+      type: 'detonate',
+      pieceId: 'bomber1',
+      data: {
+        at: '(0, 0)',
+        destroyed: [
+          { id: 'bomber1', type: 'Bomber', owner: 'player1', at: '(0, 0)', layer: 1 },
+          { id: 'bomber2', type: 'Bomber', owner: 'player2', at: '(1, 0)', layer: 1 },
+          { id: 'soldier1', type: 'Soldier', owner: 'player2', at: '(2, 1)', layer: 1 }
+        ]
+      }
+    });
+    // bomber3 is out of range of both blasts
+    expect(gameState.getPieceAt(new Coordinate(3, 1))?.id).toBe('bomber3');
+    expect(gameState.getPieceAt(new Coordinate(4, 0))?.id).toBe('soldier2');
+  });
+
+  it('should replay the recorded chain reaction', () => {
+    put(new Bomber({ owner: 'player2', id: 'bomber2' }), 1, 0);
+    put(new Soldier({ owner: 'player2', id: 'soldier1' }), 2, 1);
+    const before = gameState.copy();
+
+    new BomberDetonate(bomber).perform(gameState.getCell(start), gameState);
+    const action = /** @type {any} */ (gameState.actionHistory.at(-1));
+    ActionRegistry.replay(before, action, { piece: before.getPieceById('bomber1'), pieceFromJSON: PieceRegistry.fromJSON });
+
+    expect(before.getAllPieceCoordinates()).toEqual([]);
+    expect(before.graveyard.map(piece => piece.id)).toEqual(['bomber1', 'bomber2', 'soldier1']);
+  });
+
+  it('should only detonate where it stands', () => {
+    expect(() => new BomberDetonate(bomber).check(gameState.getCell(new Coordinate(1, 0)), gameState, gameState))
+      .toThrow('Bomber detonates where it stands');
+    expect([...new BomberDetonate(bomber).getCandidateTargets(gameState)]).toEqual([start]);
+  });
+
+  describe('own Citadel', () => {
+    /**
+     * Check a detonation through the engine, which applies the Bomber's constraint
+     */
+    function checkDetonation() {
+      const engine = GameEngine.fromGameState(gameState);
+      const piece = /** @type {Bomber} */ (engine.findPiece('bomber1'));
+      engine.checkAction(piece, new BomberDetonate(piece), engine.getCurrentState().getCell(start));
+    }
+
+    it('should detonate next to the opponent\'s Citadel', () => {
+      put(new Citadel({ owner: 'player2', id: 'citadel2' }), 1, 1);
+      expect(() => checkDetonation()).not.toThrow();
+    });
+
+    it('should not detonate next to its own Citadel', () => {
+      put(new Citadel({ owner: 'player1', id: 'citadel1' }), -1, 1);
+      expect(() => checkDetonation()).toThrow('A Bomber cannot detonate when its own Citadel is in range');
+    });
+
+    it('should not detonate when the chain reaction reaches its own Citadel', () => {
+      put(new Bomber({ owner: 'player2', id: 'bomber2' }), 1, 0);
+      put(new Citadel({ owner: 'player1', id: 'citadel1' }), 2, 0);
+      expect(() => checkDetonation()).toThrow('A Bomber cannot detonate when its own Citadel is in range');
+    });
+  });
+});
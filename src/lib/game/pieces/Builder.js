@@ -1,7 +1,9 @@
 import { Piece } from './Piece.js';
+import { PieceRegistry } from './PieceRegistry.js';
 import { Action } from '../actions/Action.js';
-import { Move } from '../actions/Move.js';
-import { RuleViolation } from '../engine/Errors.js';
+import { OrthogonalStep } from '../actions/Orthogonal.js';
+import { ActionRegistry } from '../actions/ActionRegistry.js';
+import { RuleViolation, ReplayError } from '../engine/Errors.js';
 import { Coordinate } from '../engine/Coordinate.js';
 
 /**
@@ -29,26 +31,9 @@ export class Builder extends Piece {
 
 /**
  * Builder-specific movement action
- * Extends the base Move class with Builder-specific movement rules
+ * The Builder steps one square orthogonally to an empty square; it only captures by moving land tiles
  */
-export class BuilderMove extends Move {
-  /**
-   * Check if the target is a valid move for the Builder
-   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell to check
-   * @param {import('../engine/GameState.js').GameState} currentGame - The current game state
-   * @param {import('../engine/GameState.js').GameState} newGame - The new game state after the move
-   * @throws {RuleViolation} If the move is invalid
-   */
-  check(targetCell, currentGame, newGame) {
-    super.check(targetCell, currentGame, newGame);
-    
-    // Validate adjacency first so diagonal attempts produce the expected error message
-    if (!this.piece.isAdjacentTo(targetCell, { allowDiagonal: false })) {
-      throw new RuleViolation('Builder can only move to orthogonally adjacent squares');
-    }
-    
-  }
-
+export class BuilderMove extends OrthogonalStep {
   /**
    * Get a human-readable description of this action
    * @returns {string}
@@ -63,13 +48,25 @@ export class BuilderMove extends Move {
  * Builder action to move a land tile from one position to another
  */
 export class BuilderMoveTerrain extends Action {
+  static type = 'move_terrain';
+
+  /** @type {import('../actions/Action.js').ActionParameter[]} */
+  static parameters = [{
+    name: 'source',
+    kind: 'cell',
+    prompt: 'Choose a land tile to move',
+    // Only land next to the Builder can be moved
+    options: (action, gameState) => action.piece.coordinate
+      ? action.piece.coordinate.getOrthogonalAdjacent().filter(c => gameState.getTerrainAt(c)?.type === 'Land')
+      : []
+  }];
+
   /**
-   * @param {import('../pieces/Piece.js').Piece} piece - The Builder piece
-   * @param {Coordinate|null} sourceCoordinate - The coordinate of the land tile to move
+   * The coordinate of the land tile to move, once chosen
+   * @returns {Coordinate|null}
    */
-  constructor(piece, sourceCoordinate = null) {
-    super(piece);
-    this.sourceCoordinate = sourceCoordinate;
+  get sourceCoordinate() {
+    return /** @type {Coordinate|undefined} */ (this.params.source) || null;
   }
 
   /**
@@ -103,6 +100,15 @@ export class BuilderMoveTerrain extends Action {
     }
   }
 
+  /**
+   * The land tile can only go next to where it is now
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    yield* this.sourceCoordinate?.getOrthogonalAdjacent() || [];
+  }
+
   /**
    * Perform the terrain movement
    * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
@@ -124,12 +130,25 @@ export class BuilderMoveTerrain extends Action {
   getDescription() {
     return 'Move land tile to adjacent position';
   }
+
+  /**
+   * Replay a recorded terrain movement
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   */
+  static replay(gameState, action) {
+    /** @type {import('../engine/PersistentGameState.js').MoveTerrainActionData} */
+    const data = /** @type {any} */ (action.data);
+    gameState.moveTerrain(Coordinate.fromString(data.from), Coordinate.fromString(data.to));
+  }
 }
 
 /**
  * Builder action to remove a land tile
  */
 export class BuilderRemoveTerrain extends Action {
+  static type = 'remove_terrain';
+
   /**
    * Check if the terrain removal is valid
    * @param {import('../engine/Cell.js').Cell} targetCell - The cell with terrain to remove
@@ -151,6 +170,15 @@ export class BuilderRemoveTerrain extends Action {
     }
   }
 
+  /**
+   * The Builder only reaches its orthogonal neighbours
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    yield* this.piece.coordinate?.getOrthogonalAdjacent() || [];
+  }
+
   /**
    * Perform the terrain removal
    * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
@@ -169,12 +197,25 @@ export class BuilderRemoveTerrain extends Action {
   getDescription() {
     return 'Remove land tile';
   }
+
+  /**
+   * Replay a recorded terrain removal
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   */
+  static replay(gameState, action) {
+    /** @type {import('../engine/PersistentGameState.js').RemoveTerrainActionData} */
+    const data = /** @type {any} */ (action.data);
+    gameState.removeCellContents(Coordinate.fromString(data.at));
+  }
 }
 
 /**
  * Builder action to place a land tile from the community pool
  */
 export class BuilderPlaceTerrain extends Action {
+  static type = 'place_terrain';
+
   /**
    * Check if the terrain placement is valid
    * @param {import('../engine/Cell.js').Cell} targetCell - The cell to place the terrain
@@ -202,6 +243,15 @@ export class BuilderPlaceTerrain extends Action {
     }
   }
 
+  /**
+   * The Builder only reaches its orthogonal neighbours
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    yield* this.piece.coordinate?.getOrthogonalAdjacent() || [];
+  }
+
   /**
    * Perform the terrain placement
    * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
@@ -231,4 +281,31 @@ export class BuilderPlaceTerrain extends Action {
   getDescription() {
     return 'Place land tile from community pool';
   }
+
+  /**
+   * Replay a recorded terrain placement
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   */
+  static replay(gameState, action) {
+    /** @type {import('../engine/PersistentGameState.js').PlaceTerrainActionData} */
+    const data = /** @type {any} */ (action.data);
+    const targetCell = gameState.getCell(Coordinate.fromString(data.at));
+    const landTile = gameState.getLandFromCommunityPool();
+    if (!landTile) {
+      throw new ReplayError(`Cannot replay ${action.type}: no land tiles in the community pool`);
+    }
+
+    if (targetCell.hasPiece() && targetCell.piece) {
+      gameState.moveToGraveyard(targetCell.piece);
+      targetCell.setPiece(null);
+    }
+    gameState.setTerrain(targetCell.coordinate, landTile);
+  }
 }
+
+PieceRegistry.register('Builder', Builder);
+
+ActionRegistry.register(BuilderMoveTerrain);
+ActionRegistry.register(BuilderRemoveTerrain);
+ActionRegistry.register(BuilderPlaceTerrain);
@@ -80,6 +80,23 @@ describe('Builder', () => {
         move.check(targetCell, gameState, gameState);
       }).toThrow('Builder can only move to orthogonally adjacent squares');
     });
+
+    it('should not capture by moving onto an enemy', () => {
+      const builderCoord = new Coordinate(0, 0);
+      const targetCoord = new Coordinate(1, 0);
+
+      gameState.setTerrain(builderCoord, landTile);
+      gameState.setPiece(builderCoord, builder);
+      gameState.setTerrain(targetCoord, new Piece({ type: 'Land', owner: 'neutral' }));
+      gameState.setPiece(targetCoord, new Piece({ type: 'Soldier', owner: 'player2' }));
+
+      const move = new BuilderMove(builder);
+      const targetCell = gameState.getCell(targetCoord);
+
+      expect(() => {
+        move.check(targetCell, gameState, gameState);
+      }).toThrow('Builder can only move to an empty square');
+    });
   });
 
   describe('BuilderPlaceTerrain', () => {
@@ -189,7 +206,7 @@ describe('Builder', () => {
       // Set up source terrain
       gameState.setTerrain(sourceCoord, movableLand);
 
-      const action = new BuilderMoveTerrain(builder, sourceCoord);
+      const action = new BuilderMoveTerrain(builder, { source: sourceCoord });
       const targetCell = gameState.getCell(targetCoord);
       action.perform(targetCell, gameState);
 
@@ -215,7 +232,7 @@ describe('Builder', () => {
       // Set up target with enemy
       gameState.setPiece(targetCoord, enemy);
 
-      const action = new BuilderMoveTerrain(builder, sourceCoord);
+      const action = new BuilderMoveTerrain(builder, { source: sourceCoord });
       const targetCell = gameState.getCell(targetCoord);
       action.perform(targetCell, gameState);
 
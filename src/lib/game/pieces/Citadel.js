@@ -1,4 +1,5 @@
 import { Piece } from './Piece.js';
+import { PieceRegistry } from './PieceRegistry.js';
 
 // Minimal Citadel piece so variants can detect them. No actions by default.
 export class Citadel extends Piece {
@@ -7,3 +8,5 @@ export class Citadel extends Piece {
     super({ ...options, type: 'Citadel' });
   }
 }
+
+PieceRegistry.register('Citadel', Citadel, { selectable: false });
@@ -0,0 +1,148 @@
+import { Piece } from './Piece.js';
+import { PieceRegistry } from './PieceRegistry.js';
+import { Move } from '../actions/Move.js';
+import { ActionRegistry } from '../actions/ActionRegistry.js';
+import { RuleViolation, ReplayError } from '../engine/Errors.js';
+import { Coordinate } from '../engine/Coordinate.js';
+
+/**
+ * Gambler piece implementation
+ * Movement: Leaps up to two squares in any direction, over pieces and water, but only if a coin flip comes up heads
+ * Capture: Captures any piece it lands on
+ */
+export class Gambler extends Piece {
+  /**
+   * @param {Omit<import('./Piece.js').PieceOptions, 'type'>} options
+   */
+  constructor(options) {
+    super({ ...options, type: 'Gambler' });
+  }
+
+  /**
+   * Get all available actions for the Gambler
+   * @returns {Function[]} Array of Action constructor functions
+   */
+  getActions() {
+    return [GamblerLeap];
+  }
+}
+
+/**
+ * Gambler movement action: a leap that only happens on heads.
+ * The coin is flipped with the game's random numbers, so replay flips it the same way.
+ */
+export class GamblerLeap extends Move {
+  static type = 'gamble';
+
+  /**
+   * Check if the target is a valid leap for the Gambler
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell to check
+   * @param {import('../engine/GameState.js').GameState} currentGame - The current game state
+   * @param {import('../engine/GameState.js').GameState} newGame - The new game state after the move
+   * @throws {RuleViolation} If the move is invalid
+   */
+  check(targetCell, currentGame, newGame) {
+    // Call base class validation (includes basic move rules)
+    super.check(targetCell, currentGame, newGame);
+
+    const from = /** @type {Coordinate} */ (this.piece.coordinate);
+    const to = targetCell.coordinate;
+    if (Math.max(Math.abs(to.x - from.x), Math.abs(to.y - from.y)) > 2) {
+      throw new RuleViolation('Gambler can only leap up to two squares');
+    }
+  }
+
+  /**
+   * The Gambler reaches every square within two steps
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    const start = this.piece.coordinate;
+    if (!start) return;
+
+    for (let dx = -2; dx <= 2; dx++) {
+      for (let dy = -2; dy <= 2; dy++) {
+        if (dx !== 0 || dy !== 0) yield new Coordinate(start.x + dx, start.y + dy);
+      }
+    }
+  }
+
+  /**
+   * Flip the coin, and leap if it comes up heads
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
+   * @param {import('../engine/GameState.js').GameState} gameState - The game state to modify
+   */
+  perform(targetCell, gameState) {
+    const from = /** @type {Coordinate} */ (this.piece.coordinate);
+    const won = GamblerLeap.flip(gameState);
+    const captured = won ? GamblerLeap._leap(gameState, this.piece, from, targetCell.coordinate) : null;
+
+    gameState.addAction({
+      type: this.type,
+      pieceId: this.piece.id,
+      data: {
+        from: from.toString(),
+        to: targetCell.coordinate.toString(),
+        won,
+        captured: captured ? captured.id : null
+      }
+    });
+  }
+
+  /**
+   * Replay a recorded leap, flipping the coin again
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   * @param {import('../actions/ActionRegistry.js').ReplayContext} context
+   * @throws {ReplayError} If the coin doesn't come up the way it was recorded
+   */
+  static replay(gameState, action, context) {
+    const piece = GamblerLeap.getReplayPiece(action, context);
+    /** @type {import('../engine/PersistentGameState.js').GambleActionData} */
+    const data = /** @type {any} */ (action.data);
+
+    if (GamblerLeap.flip(gameState) !== data.won) {
+      throw new ReplayError(`Cannot replay ${action.type}: the coin flip doesn't match the log`);
+    }
+    if (data.won) {
+      GamblerLeap._leap(gameState, piece, Coordinate.fromString(data.from), Coordinate.fromString(data.to));
+    }
+  }
+
+  /**
+   * Flip a coin with the game's random numbers
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @returns {boolean} True for heads
+   */
+  static flip(gameState) {
+    return gameState.random() < 0.5;
+  }
+
+  /**
+   * Move the Gambler, capturing whatever it lands on
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('./Piece.js').Piece} piece
+   * @param {Coordinate} from
+   * @param {Coordinate} to
+   * @returns {import('./Piece.js').Piece|null} The captured piece, if any
+   * @private
+   */
+  static _leap(gameState, piece, from, to) {
+    const captured = gameState.capturePieceAt(to, piece.layer);
+    Move.relocate(gameState, piece, from, to);
+    return captured;
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return 'Gamble on a leap of up to two squares';
+  }
+}
+
+PieceRegistry.register('Gambler', Gambler);
+
+ActionRegistry.register(GamblerLeap);
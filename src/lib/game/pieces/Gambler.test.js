@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { Gambler, GamblerLeap } from './Gambler.js';
+import { Land } from './Land.js';
+import { Soldier } from './Soldier.js';
+import { GameState } from '../engine/GameState.js';
+import { GameEngine } from '../engine/GameEngine.js';
+import { Coordinate } from '../engine/Coordinate.js';
+import { ActionRegistry } from '../actions/ActionRegistry.js';
+import { PieceRegistry } from './PieceRegistry.js';
+import { ReplayError, RuleViolation } from '../engine/Errors.js';
+
+/**
+ * Find a seed whose first coin flip comes up the way a test needs
+ * @param {boolean} heads
+ * @returns {number}
+ */
+function seedFlipping(heads) {
+  for (let seed = 1; ; seed++) {
+    const state = new GameState();
+    state.setRandomSeed(seed);
+    if (GamblerLeap.flip(state) === heads) return seed;
+  }
+}
+
+describe('Gambler', () => {
+  /** @type {GameState} */
+  let gameState;
+  /** @type {Gambler} */
+  let gambler;
+  const start = new Coordinate(0, 0);
+  const target = new Coordinate(2, 0);
+
+  beforeEach(() => {
+    gameState = new GameState();
+    gameState.addPlayer('player1');
+    gameState.addPlayer('player2');
+    gameState.phase = 'battle';
+
+    // Land at both ends with water in between, and an enemy to land on
+    gameState.setTerrain(start, new Land({ owner: 'neutral' }));
+    gameState.setTerrain(target, new Land({ owner: 'neutral' }));
+    gambler = new Gambler({ owner: 'player1', id: 'gambler1' });
+    gameState.setPiece(start, gambler);
+    gameState.setPiece(target, new Soldier({ owner: 'player2', id: 'soldier1' }));
+  });
+
+  it('should leap up to two squares over water', () => {
+    const leap = new GamblerLeap(gambler);
+    expect(() => leap.check(gameState.getCell(target), gameState, gameState)).not.toThrow();
+
+    gameState.setTerrain(new Coordinate(3, 0), new Land({ owner: 'neutral' }));
+    expect(() => leap.check(gameState.getCell(new Coordinate(3, 0)), gameState, gameState))
+      .toThrow(RuleViolation);
+  });
+
+  it('should leap and capture on heads', () => {
+    gameState.setRandomSeed(seedFlipping(true));
+    new GamblerLeap(gambler).perform(gameState.getCell(target), gameState);
+
+    expect(gameState.getPieceAt(target)?.id).toBe('gambler1');
+    expect(gameState.getPieceAt(start)).toBeNull();
+    expect(gameState.actionHistory.at(-1)).toMatchObject({ type: 'gamble', data: { won: true, captured: 'soldier1' } });
+  });
+
+  it('should stay put on tails', () => {
+    gameState.setRandomSeed(seedFlipping(false));
+    new GamblerLeap(gambler).perform(gameState.getCell(target), gameState);
+
+    expect(gameState.getPieceAt(start)?.id).toBe('gambler1');
+    expect(gameState.getPieceAt(target)?.id).toBe('soldier1');
+    expect(gameState.actionHistory.at(-1)).toMatchObject({ type: 'gamble', data: { won: false, captured: null } });
+  });
+
+  it('should flip the same way on replay', () => {
+    gameState.setRandomSeed(seedFlipping(true));
+    const before = gameState.copy();
+    new GamblerLeap(gambler).perform(gameState.getCell(target), gameState);
+    const action = /** @type {any} */ (gameState.actionHistory.at(-1));
+
+    const context = { piece: before.getPieceById('gambler1'), pieceFromJSON: PieceRegistry.fromJSON };
+    ActionRegistry.replay(before, action, context);
+    expect(before.getPieceAt(target)?.id).toBe('gambler1');
+
+    // A log that doesn't match the game's random numbers can't be replayed
+    const mismatched = gameState.copy();
+    mismatched.setRandomSeed(seedFlipping(false));
+    expect(() => ActionRegistry.replay(mismatched, action, { ...context, piece: mismatched.getPieceById('gambler1') }))
+      .toThrow(ReplayError);
+  });
+
+  it('should not use up the game\'s coin flips when an action is only checked', () => {
+    gameState.setRandomSeed(seedFlipping(true));
+    const engine = GameEngine.fromGameState(gameState);
+    const piece = /** @type {Gambler} */ (engine.findPiece('gambler1'));
+
+    engine.checkAction(piece, new GamblerLeap(piece), engine.getCurrentState().getCell(target));
+    engine.executeAction(piece, new GamblerLeap(piece), engine.getCurrentState().getCell(target));
+    expect(engine.getCurrentState().getPieceAt(target)?.id).toBe('gambler1');
+  });
+});
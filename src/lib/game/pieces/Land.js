@@ -1,4 +1,5 @@
 import { Piece } from './Piece.js';
+import { PieceRegistry } from './PieceRegistry.js';
 import { Place } from '../actions/Place.js';
 import { RuleViolation } from '../engine/Errors.js';
 
@@ -28,6 +29,14 @@ export class Land extends Piece {
     return [LandPlace];
   }
 
+  /**
+   * Land in the community pool is only brought onto the board by a Builder
+   * @returns {Function[]}
+   */
+  getDeployActions() {
+    return [];
+  }
+
   layer = 0
 }
 
@@ -64,6 +73,25 @@ export class LandPlace extends Place {
     // If no terrain exists yet, first piece can be placed anywhere
   }
 
+  /**
+   * Water next to existing terrain, or anywhere around the board for the first Land
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<import('../engine/Coordinate.js').Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    if (!gameState.hasAnyTerrain()) {
+      yield* super.getCandidateTargets(gameState);
+      return;
+    }
+
+    for (const cell of [...gameState.board.values()]) {
+      if (!cell.terrain) continue;
+      for (const coordinate of cell.coordinate.getAllAdjacent()) {
+        if (!gameState.hasTerrain(coordinate)) yield coordinate;
+      }
+    }
+  }
+
   /**
    * Get a human-readable description of this action
    * @returns {string}
@@ -72,3 +100,5 @@ export class LandPlace extends Place {
     return `Place Land (adjacent to existing terrain)`;
   }
 }
+
+PieceRegistry.register('Land', Land, { selectable: false });
@@ -217,6 +217,21 @@ describe('LandPlace', () => {
     });
   });
 
+  describe('getCandidateTargets', () => {
+    it('should only offer water next to existing terrain', () => {
+      const state = new GameState();
+      state.setTerrain(new Coordinate(0, 0), new Land({ owner: 'neutral' }));
+      state.setTerrain(new Coordinate(1, 0), new Land({ owner: 'neutral' }));
+
+      const candidates = new Set([...landPlace.getCandidateTargets(state)].map(c => c.toString()));
+      expect(candidates.size).toBe(10);
+      expect(candidates).toContain('(2, 1)');
+      expect(candidates).toContain('(-1, -1)');
+      expect(candidates).not.toContain('(0, 0)');
+      expect(candidates).not.toContain('(3, 0)');
+    });
+  });
+
   describe('hasAnyTerrainOnBoard', () => {
     it('should return false when no terrain exists', () => {
       expect(mockGameState.hasAnyTerrain()).toBe(false);
@@ -273,27 +288,31 @@ describe('LandPlace', () => {
       // Track placement
       /** @type {import('../engine/Coordinate.js').Coordinate|null} */
       let placedCoord = null;
+      /** @type {number|null} */
+      let placedLayer = null;
       /** @type {import('../pieces/Land.js').Land|null} */
       let placedPiece = null;
 
-      // Mock setTerrain to capture placement
-      const originalSetTerrain = mockGameState.setTerrain;
-      mockGameState.setTerrain = (coord, piece) => {
+      // Mock setLayer to capture placement
+      const originalSetLayer = mockGameState.setLayer;
+      mockGameState.setLayer = (coord, layer, piece) => {
         placedCoord = coord;
+        placedLayer = layer;
         placedPiece = /** @type {import('../pieces/Land.js').Land} */ (piece);
-        originalSetTerrain.call(mockGameState, coord, piece);
+        originalSetLayer.call(mockGameState, coord, layer, piece);
       };
 
       landPlace.perform(targetCell, mockGameState);
 
       expect(placedCoord).toBe(target);
+      expect(placedLayer).toBe(0);
       expect(placedPiece).toBeDefined();
       if (placedPiece) {
         expect(/** @type {import('../pieces/Land.js').Land} */ (placedPiece).type).toBe('Land');
       }
       
       // Restore original method
-      mockGameState.setTerrain = originalSetTerrain;
+      mockGameState.setLayer = originalSetLayer;
     });
   });
 
@@ -0,0 +1,168 @@
+import { Piece } from './Piece.js';
+import { PieceRegistry } from './PieceRegistry.js';
+import { Action } from '../actions/Action.js';
+import { OrthogonalStep, OrthogonalCapture } from '../actions/Orthogonal.js';
+import { ActionRegistry } from '../actions/ActionRegistry.js';
+import { RuleViolation, ReplayError } from '../engine/Errors.js';
+import { Coordinate } from '../engine/Coordinate.js';
+
+/**
+ * Necromancer piece implementation
+ * Movement: Moves one square at a time, orthogonally
+ * Capture: Captures pieces orthogonally adjacent to it, without moving
+ * Resurrection: Swaps itself for a piece from the Graveyard, which comes back under the player's control,
+ * while the Necromancer goes back to where it was deployed from (the player's stash or the community pool)
+ */
+export class Necromancer extends Piece {
+  /**
+   * @param {Omit<import('./Piece.js').PieceOptions, 'type'>} options
+   */
+  constructor(options) {
+    super({ ...options, type: 'Necromancer' });
+  }
+
+  /**
+   * Get all available actions for the Necromancer
+   * @returns {Function[]} Array of Action constructor functions
+   */
+  getActions() {
+    return [OrthogonalStep, OrthogonalCapture, Resurrect];
+  }
+}
+
+/**
+ * Raise a piece from the Graveyard in the Necromancer's place.
+ * The player picks the piece first; the target is the Necromancer's own square.
+ */
+export class Resurrect extends Action {
+  static type = 'resurrect';
+
+  /** @type {import('../actions/Action.js').ActionParameter[]} */
+  static parameters = [{
+    name: 'revived',
+    kind: 'graveyard',
+    prompt: 'Choose a piece to raise from the Graveyard'
+  }];
+
+  /**
+   * The ID of the graveyard piece to raise, once chosen
+   * @returns {string|null}
+   */
+  get revivedId() {
+    return /** @type {string|undefined} */ (this.params.revived) || null;
+  }
+
+  /**
+   * Check if the Necromancer can raise the chosen piece
+   * @param {import('../engine/Cell.js').Cell} targetCell - The Necromancer's own cell
+   * @param {import('../engine/GameState.js').GameState} currentGame - The current game state
+   * @param {import('../engine/GameState.js').GameState} newGame - The new game state after the swap
+   * @throws {RuleViolation} If the resurrection is invalid
+   */
+  check(targetCell, currentGame, newGame) {
+    super.check(targetCell, currentGame, newGame);
+
+    if (!this.piece.coordinate?.equals(targetCell.coordinate)) {
+      throw new RuleViolation('The piece is raised in the Necromancer\'s place');
+    }
+
+    if (!this.revivedId || currentGame.getPieceLocation(this.revivedId)?.area !== 'graveyard') {
+      throw new RuleViolation('Choose a piece from the Graveyard to raise');
+    }
+
+    const revived = /** @type {Piece} */ (currentGame.getPieceById(this.revivedId));
+    if (revived.layer !== this.piece.layer) {
+      throw new RuleViolation(`${revived.type} cannot take the Necromancer's place`);
+    }
+  }
+
+  /**
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    if (this.piece.coordinate) yield this.piece.coordinate;
+  }
+
+  /**
+   * Swap the Necromancer for the chosen piece
+   * @param {import('../engine/Cell.js').Cell} targetCell - The Necromancer's own cell
+   * @param {import('../engine/GameState.js').GameState} gameState - The game state to modify
+   */
+  perform(targetCell, gameState) {
+    if (!this.revivedId) {
+      throw new RuleViolation('Choose a piece from the Graveyard to raise');
+    }
+
+    // Pieces that were never deployed, like ones set up for a variant, go to the stash
+    const returnedTo = this.piece.origin || 'stash';
+    Resurrect._swap(gameState, this.piece.id, this.revivedId, returnedTo, gameState.currentPlayer);
+
+    gameState.addAction({
+      type: this.type,
+      pieceId: this.piece.id,
+      data: {
+        at: targetCell.coordinate.toString(),
+        revived: this.revivedId,
+        returnedTo
+      }
+    });
+  }
+
+  /**
+   * Replay a recorded resurrection
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {import('../engine/PersistentGameState.js').GameAction} action
+   * @param {import('../actions/ActionRegistry.js').ReplayContext} context
+   */
+  static replay(gameState, action, context) {
+    const necromancer = Resurrect.getReplayPiece(action, context);
+    /** @type {import('../engine/PersistentGameState.js').ResurrectActionData} */
+    const data = /** @type {any} */ (action.data);
+    Resurrect._swap(gameState, necromancer.id, data.revived, data.returnedTo, action.player);
+  }
+
+  /**
+   * Take the Necromancer off the board back to its origin, and put the revived piece in its place
+   * @param {import('../engine/GameState.js').GameState} gameState
+   * @param {string} necromancerId
+   * @param {string} revivedId
+   * @param {import('../actions/Deploy.js').DeploySource} returnedTo
+   * @param {string} player - The player raising the piece, who becomes its owner
+   * @throws {ReplayError} If either piece isn't where it should be
+   * @private
+   */
+  static _swap(gameState, necromancerId, revivedId, returnedTo, player) {
+    const position = gameState.getPieceLocation(necromancerId);
+    const necromancer = gameState.getPieceById(necromancerId);
+    const revived = gameState.getPieceLocation(revivedId)?.area === 'graveyard' ? gameState.getPieceById(revivedId) : null;
+    if (position?.area !== 'board' || !necromancer || !revived) {
+      throw new ReplayError(`Cannot replay resurrect: ${necromancerId} is not on the board or ${revivedId} is not in the graveyard`);
+    }
+    const coordinate = /** @type {Coordinate} */ (position.coordinate);
+
+    gameState.setLayer(coordinate, /** @type {number} */ (position.layer), null);
+    if (returnedTo === 'community') {
+      necromancer.owner = 'neutral';
+      gameState.addToCommunityPool(necromancer);
+    } else {
+      gameState.addToStash(player, necromancer);
+    }
+
+    gameState.removeFromGraveyard(revived);
+    revived.owner = player;
+    gameState.setLayer(coordinate, revived.layer, revived);
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return 'Raise a piece from the Graveyard';
+  }
+}
+
+PieceRegistry.register('Necromancer', Necromancer);
+
+ActionRegistry.register(Resurrect);
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { Necromancer, Resurrect } from './Necromancer.js';
+import { Land } from './Land.js';
+import { Soldier } from './Soldier.js';
+import { Piece } from './Piece.js';
+import { GameState } from '../engine/GameState.js';
+import { GameEngine } from '../engine/GameEngine.js';
+import { Coordinate } from '../engine/Coordinate.js';
+import { Deploy } from '../actions/Deploy.js';
+import { ActionRegistry } from '../actions/ActionRegistry.js';
+import { PieceRegistry } from './PieceRegistry.js';
+
+describe('Necromancer', () => {
+  /** @type {GameState} */
+  let gameState;
+  /** @type {Necromancer} */
+  let necromancer;
+  /** @type {Soldier} */
+  let fallen;
+  const start = new Coordinate(0, 0);
+
+  beforeEach(() => {
+    gameState = new GameState();
+    gameState.addPlayer('player1');
+    gameState.addPlayer('player2');
+    gameState.phase = 'battle';
+
+    for (let x = -1; x <= 1; x++) {
+      for (let y = -1; y <= 1; y++) {
+        gameState.setTerrain(new Coordinate(x, y), new Land({ owner: 'neutral' }));
+      }
+    }
+    necromancer = new Necromancer({ owner: 'player1', id: 'necromancer1' });
+    gameState.setPiece(start, necromancer);
+
+    // An opponent's piece that has already been captured
+    fallen = new Soldier({ owner: 'player2', id: 'soldier2' });
+    gameState.moveToGraveyard(fallen);
+  });
+
+  /**
+   * Raise the fallen Soldier in the Necromancer's place
+   */
+  function resurrect() {
+    new Resurrect(necromancer, { revived: 'soldier2' }).perform(gameState.getCell(start), gameState);
+  }
+
+  it('should swap itself for a piece from the Graveyard, which changes sides', () => {
+    resurrect();
+
+    expect(gameState.getPieceAt(start)).toBe(fallen);
+    expect(fallen.owner).toBe('player1');
+    expect(gameState.graveyard).toEqual([]);
+    expect(gameState.getPieceLocation('necromancer1')).toMatchObject({ area: 'stash', playerId: 'player1' });
+    expect(necromancer.coordinate).toBeNull();
+    expect(gameState.actionHistory.at(-1)).toMatchObject({
+      type: 'resurrect',
+      pieceId: 'necromancer1',
+      data: { at: '(0, 0)', revived: 'soldier2', returnedTo: 'stash' }
+    });
+  });
+
+  it('should go back to the community pool if it was deployed from there', () => {
+    gameState.setPiece(start, null);
+    necromancer = new Necromancer({ owner: 'neutral', id: 'necromancer1' });
+    gameState.addToCommunityPool(necromancer);
+    new Deploy(necromancer).perform(gameState.getCell(start), gameState);
+    expect(necromancer.origin).toBe('community');
+
+    resurrect();
+
+    expect(gameState.communityPool).toContain(necromancer);
+    expect(necromancer.owner).toBe('neutral');
+    expect(gameState.actionHistory.at(-1)).toMatchObject({ data: { returnedTo: 'community' } });
+  });
+
+  it('should remember its origin in copies and saved games', () => {
+    necromancer.origin = 'community';
+
+    expect(necromancer.copy().origin).toBe('community');
+    expect(necromancer.toJSON()).toMatchObject({ origin: 'community' });
+    expect(Piece.fromJSON(necromancer.toJSON()).origin).toBe('community');
+    expect(new Soldier({ owner: 'player1' }).toJSON()).not.toHaveProperty('origin');
+  });
+
+  it('should replay the swap', () => {
+    necromancer.origin = 'community';
+    const before = gameState.copy();
+
+    resurrect();
+    const action = /** @type {any} */ ({ ...gameState.actionHistory.at(-1), player: 'player1' });
+    ActionRegistry.replay(before, action, { piece: before.getPieceById('necromancer1'), pieceFromJSON: PieceRegistry.fromJSON });
+
+    expect(before.toJSON()).toMatchObject({ board: /** @type {any} */ (gameState.toJSON()).board });
+    expect(before.getPieceAt(start)?.owner).toBe('player1');
+    expect(before.communityPool.map(piece => piece.id)).toEqual(['necromancer1']);
+    expect(before.graveyard).toEqual([]);
+  });
+
+  it('should only raise a piece from the Graveyard, in its own place', () => {
+    const cell = gameState.getCell(start);
+    expect(() => new Resurrect(necromancer).check(cell, gameState, gameState))
+      .toThrow('Choose a piece from the Graveyard to raise');
+    expect(() => new Resurrect(necromancer, { revived: 'necromancer1' }).check(cell, gameState, gameState))
+      .toThrow('Choose a piece from the Graveyard to raise');
+    expect(() => new Resurrect(necromancer, { revived: 'soldier2' }).check(gameState.getCell(new Coordinate(1, 0)), gameState, gameState))
+      .toThrow('The piece is raised in the Necromancer\'s place');
+    expect(() => new Resurrect(necromancer, { revived: 'soldier2' }).check(cell, gameState, gameState)).not.toThrow();
+  });
+
+  it('should offer the pieces in the Graveyard', () => {
+    gameState.moveToGraveyard(new Soldier({ owner: 'player1', id: 'soldier1' }));
+    const engine = GameEngine.fromGameState(gameState);
+    const piece = /** @type {Necromancer} */ (engine.findPiece('necromancer1'));
+
+    expect(engine.getParameterOptions(piece, new Resurrect(piece))?.options).toEqual(['soldier2', 'soldier1']);
+  });
+});
@@ -1,5 +1,7 @@
 import { GameError, RuleViolation } from '../engine/Errors.js';
 import { Coordinate } from '../engine/Coordinate.js';
+import { Deploy } from '../actions/Deploy.js';
+import { Board } from '../actions/Board.js';
 
 /**
  * @typedef {Object} PieceOptions
@@ -7,6 +9,13 @@ import { Coordinate } from '../engine/Coordinate.js';
  * @property {string} owner - The player who owns this piece
  * @property {string} [id] - Unique identifier for the piece
  * @property {import('../engine/GameState.js').GameState} [gameState] - Optional game state reference
+ * @property {PieceProperties} [properties] - Values for the piece type's declared properties; the rest get their defaults
+ * @property {import('../actions/Deploy.js').DeploySource|null} [origin] - Where the piece was deployed from
+ */
+
+/**
+ * Values of a piece's own state fields, which must survive JSON (numbers, strings, booleans, null, arrays and plain objects)
+ * @typedef {Object<string, any>} PieceProperties
  */
 
 /**
@@ -14,20 +23,35 @@ import { Coordinate } from '../engine/Coordinate.js';
  * @property {string} type
  * @property {string} owner
  * @property {string} id
+ * @property {PieceProperties} [properties] - Only for piece types that declare properties
+ * @property {import('../actions/Deploy.js').DeploySource} [origin] - Only for pieces that have been deployed
  */
 
+// Pieces created outside a game, like palette entries and placement previews, are numbered provisionally
+let provisionalIds = 0;
+
 /**
  * Base class for all pieces in the game.
  * Provides utilities and a flexible action system for piece authoring.
  */
 export class Piece {
+  /**
+   * State fields this piece type keeps, with their defaults, e.g. `static properties = { level: 1 }`.
+   * They are saved with the piece and kept by copies; read them from `piece.properties`
+   * and change them with setProperty().
+   * @type {PieceProperties}
+   */
+  static properties = {};
+
   /**
    * @param {PieceOptions} options
    */
-  constructor({ type, owner, id = undefined, gameState = undefined }) {
+  constructor({ type, owner, id = undefined, gameState = undefined, properties = undefined, origin = null }) {
     this.type = type;
-    this.owner = owner;
-    this.id = id || `${type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    /** @private */
+    this._owner = owner;
+    // Pieces get their real ID from the game state when they enter the game (see GameState.allocatePieceId)
+    this.id = id || gameState?.allocatePieceId(type) || `${type}~${++provisionalIds}`;
     
     // Position is managed by the game state, not stored in the piece
     /** @type {Coordinate|null} */
@@ -36,6 +60,53 @@ export class Piece {
     // Reference to the current game state (set when piece is placed or provided in constructor)
     /** @type {import('../engine/GameState.js').GameState|null} */
     this._gameState = gameState || null;
+
+    /**
+     * Where the piece was deployed from, so it can go back there (e.g. a Necromancer after a resurrection)
+     * @type {import('../actions/Deploy.js').DeploySource|null}
+     */
+    this.origin = origin;
+
+    /**
+     * Current values of the declared properties
+     * @type {PieceProperties}
+     */
+    this.properties = {};
+    const declared = /** @type {typeof Piece} */ (this.constructor).properties;
+    for (const [name, value] of Object.entries(declared)) {
+      this.properties[name] = Piece._cloneValue(properties && name in properties ? properties[name] : value);
+    }
+  }
+
+  /**
+   * Change one of the piece's declared properties.
+   * Call it from an action's perform() and replay() alike, so replay reproduces the change.
+   * @param {string} name
+   * @param {any} value
+   * @throws {GameError} If the piece type doesn't declare the property
+   */
+  setProperty(name, value) {
+    if (!(name in this.properties)) {
+      throw new GameError(`${this.type} has no property '${name}'`);
+    }
+    this.properties[name] = value;
+  }
+
+  /**
+   * The player who owns this piece, or 'neutral'
+   * @returns {string}
+   */
+  get owner() {
+    return this._owner;
+  }
+
+  /**
+   * Change the owner, e.g. when a neutral piece is deployed (keeps the game state's owner index up to date)
+   * @param {string} owner
+   */
+  set owner(owner) {
+    this._owner = owner;
+    this._gameState?._onOwnerChanged(this);
   }
 
   /**
@@ -176,6 +247,29 @@ export class Piece {
     return path.every(coord => !this._gameState?.hasPiece(coord));
   }
 
+  /**
+   * Capture policy: can this piece capture the target piece with the given action?
+   * Override to opt out of some captures, e.g. a piece that can't take Citadels.
+   * Ownership is already checked by the action, so the target is always an enemy.
+   * @param {Piece} target - The piece that would be captured
+   * @param {import('../engine/Cell.js').Cell} targetCell - The cell the target is on
+   * @param {import('../actions/Action.js').Action} action - The action doing the capturing
+   * @returns {boolean}
+   */
+  canCapture(target, targetCell, action) {
+    return true;
+  }
+
+  /**
+   * Get rules this piece imposes on every action while it is on the board
+   * (e.g. a Bomber may not blow up its own Citadel).
+   * Return shared Constraint instances rather than creating new ones on each call.
+   * @returns {import('../engine/Constraints.js').Constraint[]}
+   */
+  getConstraints() {
+    return [];
+  }
+
   /**
    * Get all available actions for this piece
    * This should be overridden by subclasses to return their action classes
@@ -187,6 +281,32 @@ export class Piece {
     return [];
   }
 
+  /**
+   * Get the actions that bring this piece onto the board from a stash or the community pool.
+   * Override for pieces that enter the board differently.
+   * @returns {Function[]} Array of Action constructor functions
+   */
+  getDeployActions() {
+    return [Deploy];
+  }
+
+  /**
+   * Get the actions for climbing onto a carrier like the Turtle, offered alongside getActions() while on the board.
+   * Terrain pieces can't board anything.
+   * @returns {Function[]} Array of Action constructor functions
+   */
+  getBoardingActions() {
+    return this.isTerrain() ? [] : [Board];
+  }
+
+  /**
+   * Whether this is terrain that carries the piece standing on it when it moves, like the Turtle
+   * @returns {boolean}
+   */
+  isCarrier() {
+    return false;
+  }
+
   /**
    * Create a deep copy of this piece
    * @returns {Piece}
@@ -198,7 +318,9 @@ export class Piece {
       type: this.type,
       owner: this.owner,
       id: this.id,
-      gameState: this._gameState || undefined
+      gameState: this._gameState || undefined,
+      properties: this.properties,
+      origin: this.origin
     });
     return copy;
   }
@@ -208,11 +330,19 @@ export class Piece {
    * @returns {PieceJSON}
    */
   toJSON() {
-    return {
+    /** @type {PieceJSON} */
+    const json = {
       type: this.type,
       owner: this.owner,
       id: this.id
     };
+    if (Object.keys(this.properties).length > 0) {
+      json.properties = Piece._cloneValue(this.properties);
+    }
+    if (this.origin) {
+      json.origin = this.origin;
+    }
+    return json;
   }
 
   /**
@@ -228,10 +358,22 @@ export class Piece {
     return new this({
       owner: data.owner,
       id: data.id,
-      gameState: gameState
+      gameState: gameState,
+      properties: data.properties,
+      origin: data.origin
     });
   }
 
+  /**
+   * Deep copy a property value, so copies of a piece don't share arrays or objects
+   * @param {any} value
+   * @returns {any}
+   * @private
+   */
+  static _cloneValue(value) {
+    return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
   layer = 1
 
   isTerrain() {
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+
+import { Piece } from './Piece.js';
+import { Cell } from '../engine/Cell.js';
+import { GameState } from '../engine/GameState.js';
+import { Coordinate } from '../engine/Coordinate.js';
+import { GameError } from '../engine/Errors.js';
+
+// A piece that keeps its own state, like a Werewolf that levels up
+class Werewolf extends Piece {
+  static properties = { level: 1, victims: [] };
+
+  /**
+   * @param {Omit<import('./Piece.js').PieceOptions, 'type'>} options
+   */
+  constructor(options) {
+    super({ ...options, type: 'Werewolf' });
+  }
+}
+
+/**
+ * @param {any} data
+ * @param {GameState} [gameState]
+ */
+const werewolfFromJSON = (data, gameState) => Werewolf.fromJSON(data, gameState);
+
+describe('Piece - declared properties', () => {
+  it('should start from the declared defaults', () => {
+    const first = new Werewolf({ owner: 'player1' });
+    const second = new Werewolf({ owner: 'player1', properties: { level: 3 } });
+
+    expect(first.properties).toEqual({ level: 1, victims: [] });
+    expect(second.properties).toEqual({ level: 3, victims: [] });
+    first.properties.victims.push('soldier1');
+    expect(second.properties.victims).toEqual([]);
+    expect(new Piece({ type: 'Plain', owner: 'player1' }).toJSON()).not.toHaveProperty('properties');
+  });
+
+  it('should round-trip through JSON and copies', () => {
+    const werewolf = new Werewolf({ owner: 'player1', id: 'wolf1' });
+    werewolf.setProperty('level', 2);
+    werewolf.setProperty('victims', ['soldier1']);
+
+    const restored = Werewolf.fromJSON(werewolf.toJSON());
+    expect(restored.properties).toEqual({ level: 2, victims: ['soldier1'] });
+
+    const copy = werewolf.copy();
+    copy.setProperty('level', 3);
+    copy.properties.victims.push('bird1');
+    expect(werewolf.properties).toEqual({ level: 2, victims: ['soldier1'] });
+
+    const cell = new Cell(new Coordinate(0, 0), [null, werewolf]);
+    expect(cell.copy().piece?.properties).toEqual({ level: 2, victims: ['soldier1'] });
+  });
+
+  it('should keep changes on a copied game state out of the original', () => {
+    const state = new GameState();
+    const here = new Coordinate(0, 0);
+    state.setPiece(here, new Werewolf({ owner: 'player1', id: 'wolf1' }));
+
+    const copy = state.copy({ isSimulation: true });
+    copy.getPieceById('wolf1')?.setProperty('level', 5);
+    expect(state.getPieceById('wolf1')?.properties.level).toBe(1);
+
+    const loaded = GameState.fromJSON(/** @type {any} */ (copy.toJSON()), werewolfFromJSON);
+    expect(loaded.getPieceAt(here)?.properties.level).toBe(5);
+  });
+
+  it('should reject properties the piece type does not declare', () => {
+    expect(() => new Werewolf({ owner: 'player1' }).setProperty('mana', 3)).toThrow(GameError);
+  });
+});
@@ -0,0 +1,97 @@
+import { GameError } from '../engine/Errors.js';
+
+/**
+ * @typedef {Object} PieceRegistration
+ * @property {string} type - The serialized piece type (e.g., 'Bird')
+ * @property {typeof import('./Piece.js').Piece} PieceClass - The piece class
+ * @property {string} label - Human-readable name for UIs
+ * @property {boolean} selectable - Whether players can pick this piece for their army
+ */
+
+/**
+ * Maps serialized piece types to the classes that implement them.
+ * Pieces register themselves next to their definition, so loading a saved game
+ * recreates every piece with its real class and actions:
+ *
+ * ```js
+ * export class Bird extends Piece { ... }
+ * PieceRegistry.register('Bird', Bird);
+ * ```
+ */
+export class PieceRegistry {
+  /** @type {Map<string, PieceRegistration>} */
+  static _pieces = new Map();
+
+  /**
+   * Register a piece class under its serialized type
+   * @param {string} type - The type the piece serializes as
+   * @param {typeof import('./Piece.js').Piece} PieceClass
+   * @param {Object} [options]
+   * @param {string} [options.label] - Human-readable name, defaults to the type
+   * @param {boolean} [options.selectable] - Whether players can pick this piece (false for Land, Citadel, etc.)
+   * @throws {GameError} If another class already owns the type
+   */
+  static register(type, PieceClass, { label = type, selectable = true } = {}) {
+    const existing = PieceRegistry._pieces.get(type);
+    // Re-registering the same class (e.g. after a hot reload) is fine
+    if (existing && existing.PieceClass !== PieceClass && existing.PieceClass.name !== PieceClass.name) {
+      throw new GameError(`Piece type "${type}" is already registered`);
+    }
+    PieceRegistry._pieces.set(type, { type, PieceClass, label, selectable });
+  }
+
+  /**
+   * Get the class registered for a piece type
+   * @param {string} type
+   * @returns {typeof import('./Piece.js').Piece|null}
+   */
+  static get(type) {
+    return PieceRegistry._pieces.get(type)?.PieceClass || null;
+  }
+
+  /**
+   * Check if a piece type is registered
+   * @param {string} type
+   * @returns {boolean}
+   */
+  static has(type) {
+    return PieceRegistry._pieces.has(type);
+  }
+
+  /**
+   * Recreate a piece from its JSON using the registered class
+   * @param {import('./Piece.js').PieceJSON} data
+   * @param {import('../engine/GameState.js').GameState} [gameState]
+   * @returns {import('./Piece.js').Piece}
+   * @throws {GameError} If the piece type isn't registered
+   */
+  static fromJSON(data, gameState = undefined) {
+    const PieceClass = PieceRegistry.get(data.type);
+    if (!PieceClass) {
+      throw new GameError(`Unknown piece type: ${data.type}`);
+    }
+    return PieceClass.fromJSON(data, gameState);
+  }
+
+  /**
+   * List every registered piece
+   * @returns {PieceRegistration[]}
+   */
+  static list() {
+    return [...PieceRegistry._pieces.values()];
+  }
+
+  /**
+   * List the pieces players can pick, as palette descriptors for UIs
+   * @returns {import('../variants/Variant.js').VariantPieceDescriptor[]}
+   */
+  static palette() {
+    return PieceRegistry.list()
+      .filter(entry => entry.selectable)
+      .map(({ type, PieceClass, label }) => ({
+        key: type,
+        label,
+        create: (owner) => new /** @type {any} */ (PieceClass)({ owner })
+      }));
+  }
+}
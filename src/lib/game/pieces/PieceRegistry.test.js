@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+
+import { PieceRegistry } from './PieceRegistry.js';
+import { Piece } from './Piece.js';
+import { Bird, BirdMove } from './Bird.js';
+import { Soldier } from './Soldier.js';
+import { Builder } from './Builder.js';
+import { Citadel } from './Citadel.js';
+import { Land } from './Land.js';
+import { GameState } from '../engine/GameState.js';
+import { GameEngine } from '../engine/GameEngine.js';
+import { Coordinate } from '../engine/Coordinate.js';
+import { GameError } from '../engine/Errors.js';
+import { Variant } from '../variants/Variant.js';
+
+describe('PieceRegistry', () => {
+  it('should look up built-in pieces by type', () => {
+    expect(PieceRegistry.get('Bird')).toBe(Bird);
+    expect(PieceRegistry.get('Soldier')).toBe(Soldier);
+    expect(PieceRegistry.get('Builder')).toBe(Builder);
+    expect(PieceRegistry.get('Citadel')).toBe(Citadel);
+    expect(PieceRegistry.get('Land')).toBe(Land);
+    expect(PieceRegistry.has('Dragon')).toBe(false);
+    expect(PieceRegistry.get('Dragon')).toBeNull();
+  });
+
+  it('should recreate pieces with their real class and actions', () => {
+    const state = new GameState();
+    const bird = PieceRegistry.fromJSON({ type: 'Bird', owner: 'player1', id: 'bird1' }, state);
+
+    expect(bird).toBeInstanceOf(Bird);
+    expect(bird.id).toBe('bird1');
+    expect(bird.owner).toBe('player1');
+    expect(bird.gameState).toBe(state);
+    expect(bird.getActions()).toContain(BirdMove);
+  });
+
+  it('should fail loudly on unknown piece types', () => {
+    expect(() => PieceRegistry.fromJSON({ type: 'Dragon', owner: 'player1', id: 'dragon1' }))
+      .toThrow(GameError);
+  });
+
+  it('should reject a different class registering an existing type', () => {
+    class Impostor extends Piece {}
+    expect(() => PieceRegistry.register('Bird', Impostor)).toThrow(GameError);
+    expect(PieceRegistry.get('Bird')).toBe(Bird);
+  });
+
+  it('should list only selectable pieces in the palette', () => {
+    const keys = PieceRegistry.palette().map(entry => entry.key);
+    expect(keys).toEqual(expect.arrayContaining(['Bird', 'Soldier', 'Builder']));
+    expect(keys).not.toContain('Land');
+    expect(keys).not.toContain('Citadel');
+
+    const soldier = PieceRegistry.palette().find(entry => entry.key === 'Soldier')?.create('player2');
+    expect(soldier).toBeInstanceOf(Soldier);
+    expect(soldier?.owner).toBe('player2');
+  });
+
+  it('should back the variant palette when a variant lists no pieces', () => {
+    const variant = new Variant({ id: 'open', name: 'Open', checkEnd: () => ({ isEnded: false }) });
+    const keys = variant.listPiecePalette(new GameState()).map(entry => entry.key);
+    expect(keys).toEqual(PieceRegistry.palette().map(entry => entry.key));
+  });
+
+  it('should be the default for GameState.fromJSON', () => {
+    const state = new GameState();
+    state.addPlayer('player1');
+    state.setTerrain(new Coordinate(0, 0), new Land({ owner: 'neutral' }));
+    state.setPiece(new Coordinate(0, 0), new Builder({ owner: 'player1', id: 'builder1' }));
+    state.playerStashes.set('player1', [new Soldier({ owner: 'player1', id: 'soldier1' })]);
+
+    const restored = GameState.fromJSON(/** @type {any} */ (state.toJSON()));
+    expect(restored.getPieceAt(new Coordinate(0, 0))).toBeInstanceOf(Builder);
+    expect(restored.getCell(new Coordinate(0, 0)).terrain).toBeInstanceOf(Land);
+    expect(restored.playerStashes.get('player1')?.[0]).toBeInstanceOf(Soldier);
+  });
+
+  it('should be the default for GameEngine replay', () => {
+    const engine = new GameEngine();
+    engine.addPlayer('player1', 'Alice');
+    engine.updateInitialConfig({
+      initialPieces: [new Bird({ owner: 'player1', id: 'bird1' }).toJSON()]
+    });
+
+    const restored = GameEngine.fromJSON(engine.toJSON());
+    expect(restored.getCurrentState().communityPool[0]).toBeInstanceOf(Bird);
+  });
+});
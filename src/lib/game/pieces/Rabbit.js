@@ -0,0 +1,99 @@
+import { Piece } from './Piece.js';
+import { PieceRegistry } from './PieceRegistry.js';
+import { Move } from '../actions/Move.js';
+import { RuleViolation } from '../engine/Errors.js';
+import { Coordinate } from '../engine/Coordinate.js';
+
+/**
+ * Rabbit piece implementation
+ * Movement: Steps one square, or jumps two in a straight line over the middle square, even if it's water or holds a piece
+ * Capture: Only captures by jumping onto a piece, never with a single step
+ */
+export class Rabbit extends Piece {
+  /**
+   * @param {Omit<import('./Piece.js').PieceOptions, 'type'>} options
+   */
+  constructor(options) {
+    super({ ...options, type: 'Rabbit' });
+  }
+
+  /**
+   * Get all available actions for the Rabbit
+   * @returns {Function[]} Array of Action constructor functions
+   */
+  getActions() {
+    return [RabbitMove];
+  }
+
+  /**
+   * The Rabbit only captures by jumping onto a piece
+   * @param {Piece} target
+   * @param {import('../engine/Cell.js').Cell} targetCell
+   * @param {import('../actions/Action.js').Action} action
+   * @returns {boolean}
+   */
+  canCapture(target, targetCell, action) {
+    return action instanceof RabbitMove && !!this.coordinate && RabbitMove.isJump(this.coordinate, targetCell.coordinate);
+  }
+}
+
+/**
+ * Rabbit movement action: a step to any neighbour, or a jump two squares straight ahead or diagonally.
+ * Only the landing square matters (it needs terrain, as for any move); the square jumped over doesn't.
+ */
+export class RabbitMove extends Move {
+  /**
+   * Check if the target is a valid step or jump for the Rabbit
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell to check
+   * @param {import('../engine/GameState.js').GameState} currentGame - The current game state
+   * @param {import('../engine/GameState.js').GameState} newGame - The new game state after the move
+   * @throws {RuleViolation} If the move is invalid
+   */
+  check(targetCell, currentGame, newGame) {
+    const from = this.piece.coordinate;
+    const to = targetCell.coordinate;
+    if (from && !this.piece.isAdjacentTo(to) && !RabbitMove.isJump(from, to)) {
+      throw new RuleViolation('Rabbit can only step to an adjacent square or jump two squares in a straight line');
+    }
+
+    // Call base class validation (includes basic move rules and the capture policy)
+    super.check(targetCell, currentGame, newGame);
+  }
+
+  /**
+   * Whether a move between two squares is a jump: two squares orthogonally or diagonally
+   * @param {Coordinate} from
+   * @param {Coordinate} to
+   * @returns {boolean}
+   */
+  static isJump(from, to) {
+    const dx = Math.abs(to.x - from.x);
+    const dy = Math.abs(to.y - from.y);
+    return (dx === 0 || dx === 2) && (dy === 0 || dy === 2) && dx + dy > 0;
+  }
+
+  /**
+   * The Rabbit's neighbours, and the squares one beyond them
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    const start = this.piece.coordinate;
+    if (!start) return;
+
+    for (const neighbour of start.getAllAdjacent()) {
+      yield neighbour;
+      yield new Coordinate(2 * neighbour.x - start.x, 2 * neighbour.y - start.y);
+    }
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return 'Move Rabbit one square or jump two';
+  }
+}
+
+PieceRegistry.register('Rabbit', Rabbit);
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { Rabbit, RabbitMove } from './Rabbit.js';
+import { Land } from './Land.js';
+import { Soldier } from './Soldier.js';
+import { GameState } from '../engine/GameState.js';
+import { Coordinate } from '../engine/Coordinate.js';
+
+describe('Rabbit', () => {
+  /** @type {GameState} */
+  let gameState;
+  /** @type {Rabbit} */
+  let rabbit;
+  const start = new Coordinate(0, 0);
+
+  beforeEach(() => {
+    gameState = new GameState();
+    gameState.addPlayer('player1');
+    gameState.addPlayer('player2');
+
+    gameState.setTerrain(start, new Land({ owner: 'neutral' }));
+    rabbit = new Rabbit({ owner: 'player1', id: 'rabbit1' });
+    gameState.setPiece(start, rabbit);
+  });
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  function land(x, y) {
+    const coordinate = new Coordinate(x, y);
+    gameState.setTerrain(coordinate, new Land({ owner: 'neutral' }));
+    return gameState.getCell(coordinate);
+  }
+
+  it('should step to any adjacent square', () => {
+    const move = new RabbitMove(rabbit);
+    expect(() => move.check(land(1, 1), gameState, gameState)).not.toThrow();
+    expect(() => move.check(land(0, -1), gameState, gameState)).not.toThrow();
+  });
+
+  it('should jump two squares over water', () => {
+    const move = new RabbitMove(rabbit);
+    const target = land(2, 0);
+    expect(gameState.isWater(new Coordinate(1, 0))).toBe(true);
+    expect(() => move.check(target, gameState, gameState)).not.toThrow();
+    expect(() => move.check(land(-2, 2), gameState, gameState)).not.toThrow();
+
+    move.perform(target, gameState);
+    expect(gameState.getPieceAt(target.coordinate)).toBe(rabbit);
+    expect(gameState.getPieceAt(start)).toBeNull();
+  });
+
+  it('should still have to land on terrain', () => {
+    expect(() => {
+      new RabbitMove(rabbit).check(gameState.getCell(new Coordinate(2, 0)), gameState, gameState);
+    }).toThrow('Cannot move piece to layer 1 without a piece on layer 0');
+  });
+
+  it('should reject anything but a step or a straight jump', () => {
+    const move = new RabbitMove(rabbit);
+    for (const [x, y] of [[2, 1], [3, 0], [1, 2]]) {
+      expect(() => move.check(land(x, y), gameState, gameState))
+        .toThrow('Rabbit can only step to an adjacent square or jump two squares in a straight line');
+    }
+  });
+
+  it('should capture by jumping', () => {
+    const target = land(0, 2);
+    const enemy = new Soldier({ owner: 'player2' });
+    gameState.setPiece(target.coordinate, enemy);
+
+    const move = new RabbitMove(rabbit);
+    expect(() => move.check(target, gameState, gameState)).not.toThrow();
+    move.perform(target, gameState);
+
+    expect(gameState.getPieceAt(target.coordinate)).toBe(rabbit);
+    expect(gameState.graveyard).toContain(enemy);
+  });
+
+  it('should not capture with a single step', () => {
+    const target = land(1, 0);
+    gameState.setPiece(target.coordinate, new Soldier({ owner: 'player2' }));
+
+    expect(() => new RabbitMove(rabbit).check(target, gameState, gameState))
+      .toThrow('Rabbit cannot capture Soldier this way');
+  });
+
+  it('should offer steps and jumps as candidates', () => {
+    const targets = [...new RabbitMove(rabbit).getCandidateTargets(gameState)].map(c => c.key);
+    expect(targets).toHaveLength(16);
+    expect(targets).toEqual(expect.arrayContaining(['1,0', '2,0', '-1,-1', '-2,-2']));
+  });
+});
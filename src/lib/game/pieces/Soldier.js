@@ -1,4 +1,5 @@
 import { Piece } from './Piece.js';
+import { PieceRegistry } from './PieceRegistry.js';
 import { Move } from '../actions/Move.js';
 import { RuleViolation } from '../engine/Errors.js';
 import { Coordinate } from '../engine/Coordinate.js';
@@ -51,6 +52,15 @@ export class SoldierMove extends Move {
     }
   }
 
+  /**
+   * The Soldier only reaches its neighbours
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    yield* this.piece.coordinate?.getAllAdjacent() || [];
+  }
+
   /**
    * Get a human-readable description of this action
    * @returns {string}
@@ -59,3 +69,5 @@ export class SoldierMove extends Move {
     return 'Move Soldier one square';
   }
 }
+
+PieceRegistry.register('Soldier', Soldier);
@@ -0,0 +1,121 @@
+import { Piece } from './Piece.js';
+import { PieceRegistry } from './PieceRegistry.js';
+import { Move } from '../actions/Move.js';
+import { Capture } from '../actions/Capture.js';
+import { RuleViolation } from '../engine/Errors.js';
+import { Coordinate } from '../engine/Coordinate.js';
+
+/**
+ * Turtle piece implementation
+ * A terrain piece that lives in the water. Pieces stand on it like on Land, and it counts as land
+ * for deploying next to Citadels and for connecting Citadels.
+ * Movement: Moves one square at a time through the water, orthogonally or diagonally, carrying the piece on its back
+ * Capture: Attacks pieces on orthogonally adjacent Land, and anything on its back
+ */
+export class Turtle extends Piece {
+  /**
+   * @param {Omit<import('./Piece.js').PieceOptions, 'type'>} options
+   */
+  constructor(options) {
+    super({ ...options, type: 'Turtle' });
+  }
+
+  /**
+   * Get all available actions for the Turtle
+   * @returns {Function[]} Array of Action constructor functions
+   */
+  getActions() {
+    return [TurtleMove, TurtleAttack];
+  }
+
+  /**
+   * The Turtle carries the piece on its back when it moves
+   * @returns {boolean}
+   */
+  isCarrier() {
+    return true;
+  }
+
+  layer = 0
+}
+
+/**
+ * Turtle-specific movement action
+ * The Turtle swims to an adjacent water square; Move takes the piece on its back along
+ */
+export class TurtleMove extends Move {
+  /**
+   * Check if the target is a valid move for the Turtle
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell to check
+   * @param {import('../engine/GameState.js').GameState} currentGame - The current game state
+   * @param {import('../engine/GameState.js').GameState} newGame - The new game state after the move
+   * @throws {RuleViolation} If the move is invalid
+   */
+  check(targetCell, currentGame, newGame) {
+    if (targetCell.hasTerrain()) {
+      throw new RuleViolation('Turtle can only move into water');
+    }
+
+    super.check(targetCell, currentGame, newGame);
+
+    if (!this.piece.isAdjacentTo(targetCell.coordinate)) {
+      throw new RuleViolation('Turtle can only move to adjacent squares');
+    }
+  }
+
+  /**
+   * The Turtle only reaches its neighbours
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    yield* this.piece.coordinate?.getAllAdjacent() || [];
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return 'Move Turtle one square';
+  }
+}
+
+/**
+ * Turtle attack: captures a piece on orthogonally adjacent Land, or the piece on its own back
+ */
+export class TurtleAttack extends Capture {
+  /**
+   * @param {import('../engine/Cell.js').Cell} targetCell - The target cell
+   * @returns {boolean}
+   */
+  isInReach(targetCell) {
+    if (this.piece.coordinate?.equals(targetCell.coordinate)) {
+      return true;
+    }
+    return this.piece.isAdjacentTo(targetCell.coordinate, { allowDiagonal: false })
+      && targetCell.hasTerrainOfType('Land');
+  }
+
+  /**
+   * Its back and its orthogonal neighbours
+   * @param {import('../engine/GameState.js').GameState} gameState - The current game state
+   * @returns {Iterable<Coordinate>}
+   */
+  *getCandidateTargets(gameState) {
+    const start = this.piece.coordinate;
+    if (!start) return;
+    yield start;
+    yield* start.getOrthogonalAdjacent();
+  }
+
+  /**
+   * Get a human-readable description of this action
+   * @returns {string}
+   */
+  getDescription() {
+    return 'Turtle attack';
+  }
+}
+
+PieceRegistry.register('Turtle', Turtle);
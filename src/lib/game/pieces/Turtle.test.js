@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { Turtle, TurtleMove, TurtleAttack } from './Turtle.js';
+import { Board } from '../actions/Board.js';
+import { Move } from '../actions/Move.js';
+import { ActionRegistry } from '../actions/ActionRegistry.js';
+import { GameState } from '../engine/GameState.js';
+import { Coordinate } from '../engine/Coordinate.js';
+import { Piece } from './Piece.js';
+
+describe('Turtle', () => {
+  /** @type {GameState} */
+  let gameState;
+  /** @type {Turtle} */
+  let turtle;
+
+  beforeEach(() => {
+    gameState = new GameState();
+    gameState.addPlayer('player1');
+    gameState.addPlayer('player2');
+
+    turtle = new Turtle({ owner: 'player1' });
+    gameState.setTerrain(new Coordinate(0, 0), turtle);
+  });
+
+  describe('Basic Turtle functionality', () => {
+    it('should be a carrier on the terrain layer', () => {
+      expect(turtle.type).toBe('Turtle');
+      expect(turtle.isTerrain()).toBe(true);
+      expect(turtle.isCarrier()).toBe(true);
+      expect(turtle.getActions()).toEqual([TurtleMove, TurtleAttack]);
+      expect(turtle.getBoardingActions()).toEqual([]);
+    });
+
+    it('should let other pieces board it', () => {
+      const soldier = new Piece({ type: 'Soldier', owner: 'player2' });
+      expect(soldier.getBoardingActions()).toEqual([Board]);
+      expect(soldier.isCarrier()).toBe(false);
+    });
+  });
+
+  describe('TurtleMove', () => {
+    it('should move into adjacent water', () => {
+      const targetCell = gameState.getCell(new Coordinate(1, 1));
+      const move = new TurtleMove(turtle);
+
+      expect(() => move.check(targetCell, gameState, gameState)).not.toThrow();
+      move.perform(targetCell, gameState);
+
+      expect(gameState.getTerrainAt(new Coordinate(1, 1))).toBe(turtle);
+      expect(gameState.hasTerrain(new Coordinate(0, 0))).toBe(false);
+      expect(turtle.coordinate?.toString()).toBe('(1, 1)');
+    });
+
+    it('should reject moving onto land', () => {
+      gameState.setTerrain(new Coordinate(1, 0), new Piece({ type: 'Land', owner: 'neutral' }));
+      const move = new TurtleMove(turtle);
+
+      expect(() => {
+        move.check(gameState.getCell(new Coordinate(1, 0)), gameState, gameState);
+      }).toThrow('Turtle can only move into water');
+    });
+
+    it('should reject moving more than one square', () => {
+      const move = new TurtleMove(turtle);
+
+      expect(() => {
+        move.check(gameState.getCell(new Coordinate(2, 0)), gameState, gameState);
+      }).toThrow('Turtle can only move to adjacent squares');
+    });
+
+    it('should carry the piece on its back', () => {
+      const rider = new Piece({ type: 'Soldier', owner: 'player1' });
+      gameState.setPiece(new Coordinate(0, 0), rider);
+
+      new TurtleMove(turtle).perform(gameState.getCell(new Coordinate(0, 1)), gameState);
+
+      expect(gameState.getPieceAt(new Coordinate(0, 1))).toBe(rider);
+      expect(gameState.getPieceAt(new Coordinate(0, 0))).toBeNull();
+      expect(rider.coordinate?.toString()).toBe('(0, 1)');
+      expect(gameState.getPieceLocation(rider.id)?.coordinate?.toString()).toBe('(0, 1)');
+      expect(gameState.actionHistory.at(-1)).toMatchObject({ type: 'move', data: { to: '(0, 1)', carried: [rider.id] } });
+    });
+
+    it('should replay carrying the piece on its back', () => {
+      const rider = new Piece({ type: 'Soldier', owner: 'player1' });
+      gameState.setPiece(new Coordinate(0, 0), rider);
+      const replayed = gameState.copy();
+
+      new TurtleMove(turtle).perform(gameState.getCell(new Coordinate(0, 1)), gameState);
+      const action = /** @type {any} */ (gameState.actionHistory.at(-1));
+
+      ActionRegistry.replay(replayed, action, {
+        piece: replayed.getPieceById(turtle.id),
+        pieceFromJSON: () => null
+      });
+
+      expect(replayed.getTerrainAt(new Coordinate(0, 1))?.id).toBe(turtle.id);
+      expect(replayed.getPieceAt(new Coordinate(0, 1))?.id).toBe(rider.id);
+      expect(replayed.getCell(new Coordinate(0, 0)).isEmpty()).toBe(true);
+    });
+  });
+
+  describe('Board', () => {
+    it('should step onto an adjacent Turtle', () => {
+      const soldier = new Piece({ type: 'Soldier', owner: 'player1' });
+      gameState.setTerrain(new Coordinate(1, 0), new Piece({ type: 'Land', owner: 'neutral' }));
+      gameState.setPiece(new Coordinate(1, 0), soldier);
+
+      const board = new Board(soldier);
+      expect([...board.getCandidateTargets(gameState)].map(String)).toEqual(['(0, 0)']);
+
+      const targetCell = gameState.getCell(new Coordinate(0, 0));
+      expect(() => board.check(targetCell, gameState, gameState)).not.toThrow();
+      board.perform(targetCell, gameState);
+
+      expect(gameState.getPieceAt(new Coordinate(0, 0))).toBe(soldier);
+      expect(gameState.actionHistory.at(-1)).toMatchObject({ type: Move.type, data: { from: '(1, 0)', to: '(0, 0)' } });
+    });
+
+    it('should reject a Turtle that is already carrying a piece', () => {
+      const soldier = new Piece({ type: 'Soldier', owner: 'player1' });
+      gameState.setTerrain(new Coordinate(1, 0), new Piece({ type: 'Land', owner: 'neutral' }));
+      gameState.setPiece(new Coordinate(1, 0), soldier);
+      gameState.setPiece(new Coordinate(0, 0), new Piece({ type: 'Bird', owner: 'player1' }));
+
+      expect(() => {
+        new Board(soldier).check(gameState.getCell(new Coordinate(0, 0)), gameState, gameState);
+      }).toThrow('The Turtle is already carrying a piece');
+    });
+
+    it('should reject a cell without a carrier', () => {
+      const soldier = new Piece({ type: 'Soldier', owner: 'player1' });
+      gameState.setTerrain(new Coordinate(1, 0), new Piece({ type: 'Land', owner: 'neutral' }));
+      gameState.setTerrain(new Coordinate(2, 0), new Piece({ type: 'Land', owner: 'neutral' }));
+      gameState.setPiece(new Coordinate(1, 0), soldier);
+
+      expect(() => {
+        new Board(soldier).check(gameState.getCell(new Coordinate(2, 0)), gameState, gameState);
+      }).toThrow('There is nothing to board at (2, 0)');
+    });
+  });
+
+  describe('TurtleAttack', () => {
+    it('should capture a piece on orthogonally adjacent land', () => {
+      const enemy = new Piece({ type: 'Soldier', owner: 'player2' });
+      gameState.setTerrain(new Coordinate(1, 0), new Piece({ type: 'Land', owner: 'neutral' }));
+      gameState.setPiece(new Coordinate(1, 0), enemy);
+
+      const attack = new TurtleAttack(turtle);
+      const targetCell = gameState.getCell(new Coordinate(1, 0));
+      expect(() => attack.check(targetCell, gameState, gameState)).not.toThrow();
+      attack.perform(targetCell, gameState);
+
+      expect(gameState.getPieceAt(new Coordinate(1, 0))).toBeNull();
+      expect(gameState.graveyard).toContain(enemy);
+    });
+
+    it('should capture the piece on its back', () => {
+      const enemy = new Piece({ type: 'Soldier', owner: 'player2' });
+      gameState.setPiece(new Coordinate(0, 0), enemy);
+
+      const attack = new TurtleAttack(turtle);
+      attack.perform(gameState.getCell(new Coordinate(0, 0)), gameState);
+
+      expect(gameState.getPieceAt(new Coordinate(0, 0))).toBeNull();
+      expect(gameState.getTerrainAt(new Coordinate(0, 0))).toBe(turtle);
+      expect(gameState.graveyard).toContain(enemy);
+    });
+
+    it('should not reach diagonally', () => {
+      const enemy = new Piece({ type: 'Soldier', owner: 'player2' });
+      gameState.setTerrain(new Coordinate(1, 1), new Piece({ type: 'Land', owner: 'neutral' }));
+      gameState.setPiece(new Coordinate(1, 1), enemy);
+
+      expect(() => {
+        new TurtleAttack(turtle).check(gameState.getCell(new Coordinate(1, 1)), gameState, gameState);
+      }).toThrow();
+    });
+  });
+
+  describe('As land', () => {
+    it('should connect Citadels', () => {
+      gameState.setTerrain(new Coordinate(-1, 0), new Piece({ type: 'Land', owner: 'neutral' }));
+      gameState.setTerrain(new Coordinate(1, 0), new Piece({ type: 'Land', owner: 'neutral' }));
+      gameState.setPiece(new Coordinate(-1, 0), new Piece({ type: 'Citadel', owner: 'player1' }));
+      gameState.setPiece(new Coordinate(1, 0), new Piece({ type: 'Citadel', owner: 'player2' }));
+
+      expect(gameState.areCitadelsConnected()).toBe(true);
+
+      gameState.setTerrain(new Coordinate(0, 0), null);
+      expect(gameState.areCitadelsConnected()).toBe(false);
+    });
+  });
+});
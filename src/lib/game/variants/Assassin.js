@@ -14,10 +14,12 @@ export const Assassin = new Variant({
    * @param {import('../engine/GameState.js').GameState} gameState
    */
   checkEnd(gameState) {
-    // If exactly one move captured a citadel last action, that mover wins.
+    // If the last action captured a citadel, that player wins.
+    // Actions record capture details in `data`; older records kept them at the top level.
     const last = /** @type {any} */ (gameState.actionHistory[gameState.actionHistory.length - 1]);
-    if (last && last.type === 'move' && last.capturedType === 'Citadel' && last.capturedOwner) {
-      return { isEnded: true, winner: last.player, reason: `${last.player} captured ${last.capturedOwner}'s Citadel` };
+    const capture = last?.data?.capturedType ? last.data : last;
+    if (capture && capture.capturedType === 'Citadel' && capture.capturedOwner) {
+      return { isEnded: true, winner: last.player, reason: `${gameState.getPlayerName(last.player)} captured ${gameState.getPlayerName(capture.capturedOwner)}'s Citadel` };
     }
     // Also if any player is the only one with citadels (edge-case after setup), they win.
     const alive = playersWithCitadels(gameState);
@@ -1,3 +1,5 @@
+import { PieceRegistry } from '../pieces/PieceRegistry.js';
+
 /**
  * Simple variant interface to keep win conditions pluggable and easy to author.
  * Entry-level developers can implement a variant by exporting an object with:
@@ -7,11 +9,12 @@
  * - onAction?(action, gameState): optional hook after an action is recorded
  * - availablePieces?/getAvailablePieces?: class-based allowlist of constructors
  * - isPieceInstanceAllowed?: custom instance filter
+ * - constraints?: rules checked against every action (see engine/Constraints.js)
  * - piecePalette?/getPiecePalette?: optional descriptors with factories for UIs
  */
 export class Variant {
   /**
-   * @param {{ id: string, name: string, checkEnd: Function, onAction?: Function, availablePieces?: Array<new (...args: any[]) => import('../pieces/Piece.js').Piece>, getAvailablePieces?: (gameState: import('../engine/GameState.js').GameState) => Array<new (...args: any[]) => import('../pieces/Piece.js').Piece>, isPieceInstanceAllowed?: (piece: import('../pieces/Piece.js').Piece, gameState: import('../engine/GameState.js').GameState) => boolean, piecePalette?: VariantPieceDescriptor[], getPiecePalette?: (gameState: import('../engine/GameState.js').GameState) => VariantPieceDescriptor[] }} cfg
+   * @param {{ id: string, name: string, checkEnd: Function, onAction?: Function, availablePieces?: Array<new (...args: any[]) => import('../pieces/Piece.js').Piece>, getAvailablePieces?: (gameState: import('../engine/GameState.js').GameState) => Array<new (...args: any[]) => import('../pieces/Piece.js').Piece>, isPieceInstanceAllowed?: (piece: import('../pieces/Piece.js').Piece, gameState: import('../engine/GameState.js').GameState) => boolean, piecePalette?: VariantPieceDescriptor[], getPiecePalette?: (gameState: import('../engine/GameState.js').GameState) => VariantPieceDescriptor[], constraints?: import('../engine/Constraints.js').Constraint[] }} cfg
    */
   constructor(cfg) {
     this.id = cfg.id;
@@ -25,6 +28,9 @@ export class Variant {
   // Palette (factory-based list for UI/build)
   this.piecePalette = cfg.piecePalette;
   this.getPiecePalette = cfg.getPiecePalette;
+    // Rules checked against every action
+    /** @type {import('../engine/Constraints.js').Constraint[]} */
+    this.constraints = cfg.constraints || [];
   }
 
   /**
@@ -51,7 +57,7 @@ export class Variant {
 
   /**
    * List variant-provided piece descriptors (with factories) for UIs/builders.
-   * Falls back to classes/types if explicit palette not provided.
+   * Falls back to classes/types if explicit palette not provided, then to every selectable registered piece.
    * @param {import('../engine/GameState.js').GameState} gameState
    * @returns {VariantPieceDescriptor[]}
    */
@@ -62,11 +68,18 @@ export class Variant {
     if (ctors.length) {
       return ctors.map((Ctor) => ({ key: Ctor.name, label: Ctor.name, create: (owner) => new Ctor({ owner }) }));
     }
-  // Default empty palette
-  return [];
+  // Default to every piece players can pick
+  return PieceRegistry.palette();
   }
 }
 
+/**
+ * @typedef {Object} EndResult
+ * @property {boolean} isEnded - Whether the game is over
+ * @property {string|null} winner - The winning player, or null for a draw / no winner yet
+ * @property {string|null} reason - Human-readable reason the game ended
+ */
+
 /**
  * @typedef {Object} VariantPieceDescriptor
  * @property {string} key - unique palette key
@@ -82,11 +95,8 @@ export class Variant {
 export function countCitadelsByPlayer(gameState) {
   const counts = new Map();
   for (const player of gameState.players) counts.set(player, 0);
-  for (const coord of gameState.getAllPieceCoordinates()) {
-    const piece = gameState.getPieceAt(coord);
-    if (piece && piece.type === 'Citadel') {
-      counts.set(piece.owner, (counts.get(piece.owner) || 0) + 1);
-    }
+  for (const { piece } of gameState.findPieces('Citadel')) {
+    counts.set(piece.owner, (counts.get(piece.owner) || 0) + 1);
   }
   return counts;
 }
@@ -101,6 +111,22 @@ export function playersWithCitadels(gameState) {
   return [...counts.entries()].filter(([, n]) => n > 0).map(([p]) => p);
 }
 
+/**
+ * Helper: the default win condition. The game ends when at most one player still has a Citadel.
+ * @param {import('../engine/GameState.js').GameState} gameState
+ * @returns {EndResult}
+ */
+export function lastCitadelStanding(gameState) {
+  const alive = playersWithCitadels(gameState);
+  if (alive.length === 1) {
+    return { isEnded: true, winner: alive[0], reason: 'Only player with a Citadel remaining' };
+  }
+  if (alive.length === 0) {
+    return { isEnded: true, winner: null, reason: 'No Citadels remain' };
+  }
+  return { isEnded: false, winner: null, reason: null };
+}
+
 /**
  * Helper: has a player lost all citadels?
  * @param {import('../engine/GameState.js').GameState} gameState